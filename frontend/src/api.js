@@ -0,0 +1,150 @@
+// Thin client for the ModelMint server. In development, Vite proxies these paths to it.
+const PROJECTS_CHANGED = 'modelmint:projects-changed';
+const ACCOUNT_CHANGED = 'modelmint:account-changed';
+const SIGNED_OUT = 'modelmint:signed-out';
+
+// With accounts enabled, any 401 means the session cookie is missing or its token was revoked
+const checkSignedIn = (response) => {
+    if (response.status === 401) window.dispatchEvent(new Event(SIGNED_OUT));
+};
+
+const request = async (path, options = {}) => {
+    const response = await fetch(path, {
+        ...options,
+        headers: { 'Content-Type': 'application/json', ...options.headers },
+    });
+    checkSignedIn(response);
+    if (response.status === 204) return null;
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || data.text || `Request failed (${response.status})`);
+    return data;
+};
+
+const notifyProjectsChanged = () => window.dispatchEvent(new Event(PROJECTS_CHANGED));
+
+export const onProjectsChanged = (callback) => {
+    window.addEventListener(PROJECTS_CHANGED, callback);
+    return () => window.removeEventListener(PROJECTS_CHANGED, callback);
+};
+
+export const onAccountChanged = (callback) => {
+    window.addEventListener(ACCOUNT_CHANGED, callback);
+    return () => window.removeEventListener(ACCOUNT_CHANGED, callback);
+};
+
+export const onSignedOut = (callback) => {
+    window.addEventListener(SIGNED_OUT, callback);
+    return () => window.removeEventListener(SIGNED_OUT, callback);
+};
+
+// { user, usage, authRequired }; user is null when the server has no accounts
+export const getMe = () => request('/me');
+
+// Trades an API token for a session cookie, which also authorizes /images/... URLs
+export const login = (token) => request('/auth/login', { method: 'POST', body: JSON.stringify({ token }) });
+
+export const logout = () => request('/auth/logout', { method: 'POST' });
+
+export const listProjects = async () => (await request('/projects')).projects;
+
+export const getProject = (id) => request(`/projects/${encodeURIComponent(id)}`);
+
+export const createProject = async (name) => {
+    const { project } = await request('/projects', { method: 'POST', body: JSON.stringify({ name }) });
+    notifyProjectsChanged();
+    return project;
+};
+
+export const renameProject = async (id, name) => {
+    const { project } = await request(`/projects/${encodeURIComponent(id)}`, { method: 'PATCH', body: JSON.stringify({ name }) });
+    notifyProjectsChanged();
+    return project;
+};
+
+export const deleteProject = async (id) => {
+    await request(`/projects/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    notifyProjectsChanged();
+};
+
+export const referenceImageUrl = (projectId, file = 'image') => `/projects/${encodeURIComponent(projectId)}/reference/${file}`;
+
+// Confirms the spec the model read off the reference, with the user's corrections
+export const confirmSpec = async (projectId, dimensions) =>
+    (await request(`/projects/${encodeURIComponent(projectId)}/reference/spec/confirm`, { method: 'POST', body: JSON.stringify({ dimensions }) })).project;
+
+export const removeReference = (projectId) => request(`/projects/${encodeURIComponent(projectId)}/reference`, { method: 'DELETE' });
+
+export const getModelSource = (name) => request(`/models/${encodeURIComponent(name)}/source`);
+
+// Plain URL rather than a fetch, so the browser handles the download
+export const exportUrl = (name, formats, { zip = false, cutHeight } = {}) => {
+    const params = new URLSearchParams({ formats: formats.join(',') });
+    if (zip) params.set('zip', '1');
+    if (cutHeight !== undefined) params.set('cutHeight', cutHeight);
+    return `/models/${encodeURIComponent(name)}/export?${params}`;
+};
+
+// Parts laid flat on a bed of the given size; several plates download as a zip
+export const plateUrl = (name, { bedWidth = 220, bedDepth = 220, spacing } = {}) => {
+    const params = new URLSearchParams({ bed: `${bedWidth}x${bedDepth}` });
+    if (spacing !== undefined) params.set('spacing', spacing);
+    return `/models/${encodeURIComponent(name)}/plate?${params}`;
+};
+
+export const getModelParts = async (name) => (await request(`/models/${encodeURIComponent(name)}/parts`)).parts;
+
+export const getModelParameters = (name) => request(`/models/${encodeURIComponent(name)}/parameters`);
+
+export const renderModel = (name, parameters, { stl = false } = {}) =>
+    request(`/models/${encodeURIComponent(name)}/render`, { method: 'POST', body: JSON.stringify({ parameters, stl }) });
+
+// Renders a contact sheet of several views and, optionally, a turntable animation of a saved model
+export const renderPreviews = (name, options = {}) =>
+    request(`/models/${encodeURIComponent(name)}/previews`, { method: 'POST', body: JSON.stringify(options) });
+
+// POSTs a chat turn to /chat/stream and calls onEvent(type, data) for each server-sent event.
+// Resolves with the data of the final "done" event and rejects with the "error" event's text.
+export const streamChat = async (body, onEvent = () => {}) => {
+    const response = await fetch('/chat/stream', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+    });
+    checkSignedIn(response);
+    if (!response.ok || !response.body) throw new Error(`Request failed (${response.status})`);
+    try {
+        return await readChatEvents(response, onEvent);
+    } finally {
+        // The turn used model calls and render time
+        window.dispatchEvent(new Event(ACCOUNT_CHANGED));
+    }
+};
+
+const readChatEvents = async (response, onEvent) => {
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += value;
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const chunk = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+            const type = chunk.match(/^event: (.*)$/m)?.[1];
+            const data = chunk.match(/^data: (.*)$/m)?.[1];
+            if (!type || !data) continue;
+
+            const payload = JSON.parse(data);
+            if (type === 'error') {
+                const error = new Error(payload.text);
+                error.result = payload;
+                throw error;
+            }
+            if (type === 'done') return payload;
+            onEvent(type, payload);
+        }
+    }
+    throw new Error('The connection closed before the response finished');
+};
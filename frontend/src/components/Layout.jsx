@@ -1,13 +1,38 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { Outlet } from 'react-router-dom';
 import Sidebar from './Sidebar';
+import Login from './Login';
+import { getMe, onAccountChanged, onSignedOut } from '../api';
 
 const Layout = () => {
     const [isSidebarCollapsed, setIsSidebarCollapsed] = useState(false);
+    // undefined while loading, null when signed out
+    const [account, setAccount] = useState(undefined);
+
+    const loadAccount = useCallback(() => getMe()
+        .then(setAccount)
+        .catch((error) => {
+            console.error("Error loading account:", error);
+            // A 401 has already signed the browser out; on other errors keep the app usable without account details
+            setAccount((current) => (current === null ? null : { user: null, authRequired: false }));
+        }), []);
+
+    useEffect(() => {
+        loadAccount();
+        const stopAccount = onAccountChanged(loadAccount);
+        const stopSignedOut = onSignedOut(() => setAccount(null));
+        return () => {
+            stopAccount();
+            stopSignedOut();
+        };
+    }, [loadAccount]);
+
+    if (account === undefined) return <div className="h-screen bg-zinc-900" />;
+    if (account === null) return <Login onSignedIn={loadAccount} />;
 
     return (
         <div className="flex h-screen bg-zinc-900 text-zinc-100 font-sans overflow-hidden">
-            <Sidebar isCollapsed={isSidebarCollapsed} toggleSidebar={() => setIsSidebarCollapsed(!isSidebarCollapsed)} />
+            <Sidebar account={account} isCollapsed={isSidebarCollapsed} toggleSidebar={() => setIsSidebarCollapsed(!isSidebarCollapsed)} />
             <div className="flex-1 flex flex-col min-w-0 overflow-hidden">
                 <Outlet />
             </div>
@@ -0,0 +1,59 @@
+import React, { useState } from 'react';
+import { Box, KeyRound } from 'lucide-react';
+import { login } from '../api';
+
+// Shown instead of the app when the server has accounts and the browser is not signed in
+const Login = ({ onSignedIn }) => {
+    const [token, setToken] = useState('');
+    const [error, setError] = useState(null);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsSubmitting(true);
+        setError(null);
+        try {
+            await login(token.trim());
+            onSignedIn();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="flex h-screen items-center justify-center bg-zinc-950 text-zinc-100 font-sans">
+            <form onSubmit={handleSubmit} className="w-full max-w-sm space-y-5 p-8 rounded-2xl bg-zinc-900 border border-zinc-800">
+                <div className="flex items-center gap-2">
+                    <div className="w-8 h-8 bg-mint-500 rounded-lg flex items-center justify-center">
+                        <Box className="text-zinc-950 w-5 h-5" />
+                    </div>
+                    <span className="text-xl font-bold bg-gradient-to-r from-mint-400 to-mint-600 bg-clip-text text-transparent">
+                        ModelMint
+                    </span>
+                </div>
+                <p className="text-sm text-zinc-400">Sign in with the API token your administrator gave you.</p>
+                <input
+                    type="password"
+                    value={token}
+                    onChange={(e) => setToken(e.target.value)}
+                    placeholder="mm_..."
+                    autoFocus
+                    className="w-full px-3 py-2 rounded-lg bg-zinc-950 border border-zinc-800 text-sm text-zinc-100 placeholder-zinc-600 focus:outline-none focus:border-mint-500"
+                />
+                {error && <p className="text-xs text-red-400">{error}</p>}
+                <button
+                    type="submit"
+                    disabled={!token.trim() || isSubmitting}
+                    className="w-full flex items-center justify-center gap-2 px-4 py-2 rounded-lg bg-mint-600 hover:bg-mint-500 disabled:opacity-50 text-zinc-950 text-sm font-medium transition-colors"
+                >
+                    <KeyRound className="w-4 h-4" />
+                    {isSubmitting ? 'Signing in...' : 'Sign in'}
+                </button>
+            </form>
+        </div>
+    );
+};
+
+export default Login;
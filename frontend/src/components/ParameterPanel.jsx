@@ -0,0 +1,184 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { SlidersHorizontal, RotateCcw, RefreshCw } from 'lucide-react';
+import { getModelParameters, renderModel } from '../api';
+
+const RENDER_DELAY_MS = 400;
+
+const ParameterInput = ({ parameter, value, onChange }) => {
+    const inputClass = "w-full bg-zinc-900 border border-zinc-700 rounded-lg px-2 py-1 text-sm text-zinc-200 focus:outline-none focus:border-mint-500";
+
+    if (parameter.options) {
+        return (
+            <select
+                value={value}
+                onChange={(e) => {
+                    const option = parameter.options.find((o) => String(o.value) === e.target.value);
+                    onChange(option ? option.value : e.target.value);
+                }}
+                className={inputClass}
+            >
+                {parameter.options.map((option) => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+            </select>
+        );
+    }
+
+    switch (parameter.type) {
+        case 'boolean':
+            return (
+                <input
+                    type="checkbox"
+                    checked={value}
+                    onChange={(e) => onChange(e.target.checked)}
+                    className="w-4 h-4 accent-mint-500"
+                />
+            );
+        case 'number':
+            return (
+                <div className="flex items-center gap-2">
+                    {parameter.min !== undefined && parameter.max !== undefined && (
+                        <input
+                            type="range"
+                            min={parameter.min}
+                            max={parameter.max}
+                            step={parameter.step ?? 'any'}
+                            value={value}
+                            onChange={(e) => onChange(Number(e.target.value))}
+                            className="flex-1 accent-mint-500"
+                        />
+                    )}
+                    <input
+                        type="number"
+                        min={parameter.min}
+                        max={parameter.max}
+                        step={parameter.step ?? 'any'}
+                        value={value}
+                        onChange={(e) => e.target.value !== '' && onChange(Number(e.target.value))}
+                        className={`${inputClass} ${parameter.min !== undefined && parameter.max !== undefined ? 'w-20' : ''}`}
+                    />
+                </div>
+            );
+        case 'vector':
+            return (
+                <input
+                    key={value.join(',')}
+                    type="text"
+                    defaultValue={value.join(', ')}
+                    onBlur={(e) => {
+                        const numbers = e.target.value.split(',').map(Number);
+                        if (numbers.every(Number.isFinite)) onChange(numbers);
+                    }}
+                    className={inputClass}
+                />
+            );
+        default:
+            return (
+                <input type="text" value={value} onChange={(e) => onChange(e.target.value)} className={inputClass} />
+            );
+    }
+};
+
+// Customizer form for a model's top-level SCAD variables; every change re-renders the preview on the server
+const ParameterPanel = ({ modelName, onRendered }) => {
+    const [parameters, setParameters] = useState([]);
+    const [values, setValues] = useState({});
+    const [isRendering, setIsRendering] = useState(false);
+    const [error, setError] = useState(null);
+    const renderTimer = useRef(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        getModelParameters(modelName)
+            .then((data) => {
+                if (cancelled) return;
+                setParameters(data.parameters);
+                setValues(Object.fromEntries(data.parameters.map((p) => [p.name, data.values[p.name] ?? p.default])));
+                setError(null);
+            })
+            .catch((err) => !cancelled && setError(err.message));
+        return () => {
+            cancelled = true;
+            clearTimeout(renderTimer.current);
+        };
+    }, [modelName]);
+
+    const render = async (nextValues, options) => {
+        setIsRendering(true);
+        try {
+            const result = await renderModel(modelName, nextValues, options);
+            setError(null);
+            onRendered?.(result, { stl: Boolean(options?.stl) });
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIsRendering(false);
+        }
+    };
+
+    const updateValue = (name, value) => {
+        const nextValues = { ...values, [name]: value };
+        setValues(nextValues);
+        clearTimeout(renderTimer.current);
+        renderTimer.current = setTimeout(() => render(nextValues), RENDER_DELAY_MS);
+    };
+
+    const resetDefaults = () => {
+        const defaults = Object.fromEntries(parameters.map((p) => [p.name, p.default]));
+        setValues(defaults);
+        render(defaults);
+    };
+
+    if (parameters.length === 0) return null;
+
+    const groups = [...new Set(parameters.map((p) => p.group ?? ''))];
+
+    return (
+        <div className="w-72 shrink-0 border-l border-zinc-800 bg-zinc-950 flex flex-col">
+            <div className="h-12 px-4 flex items-center justify-between border-b border-zinc-800">
+                <h3 className="text-sm font-medium text-zinc-300 flex items-center gap-2">
+                    <SlidersHorizontal className="w-4 h-4" />
+                    Parameters
+                </h3>
+                <div className="flex items-center gap-1">
+                    {isRendering && <RefreshCw className="w-4 h-4 animate-spin text-mint-500" />}
+                    <button onClick={resetDefaults} className="p-1 text-zinc-500 hover:text-white" title="Reset to defaults">
+                        <RotateCcw className="w-4 h-4" />
+                    </button>
+                </div>
+            </div>
+
+            <div className="flex-1 overflow-y-auto p-4 space-y-5">
+                {groups.map((group) => (
+                    <div key={group} className="space-y-3">
+                        {group && <div className="text-xs font-semibold text-zinc-500 uppercase tracking-wider">{group}</div>}
+                        {parameters.filter((p) => (p.group ?? '') === group).map((parameter) => (
+                            <label key={parameter.name} className="block space-y-1">
+                                <span className="text-sm text-zinc-300 font-mono">{parameter.name}</span>
+                                {parameter.description && <span className="block text-xs text-zinc-500">{parameter.description}</span>}
+                                <ParameterInput
+                                    parameter={parameter}
+                                    value={values[parameter.name]}
+                                    onChange={(value) => updateValue(parameter.name, value)}
+                                />
+                            </label>
+                        ))}
+                    </div>
+                ))}
+                {error && <p className="text-xs text-red-400 whitespace-pre-wrap">{error}</p>}
+            </div>
+
+            <div className="p-4 border-t border-zinc-800">
+                <button
+                    onClick={() => render(values, { stl: true })}
+                    disabled={isRendering}
+                    className="w-full px-4 py-2 bg-zinc-800 hover:bg-zinc-700 rounded-lg text-sm font-medium transition-colors border border-zinc-700 disabled:opacity-50"
+                >
+                    Save &amp; Render STL
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default ParameterPanel;
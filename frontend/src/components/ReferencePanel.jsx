@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { Check, RefreshCw, Ruler, Trash2 } from 'lucide-react';
+import { confirmSpec, referenceImageUrl, removeReference } from '../api';
+
+// The project's pinned reference image, the spec the model read off it, and the latest side-by-side comparison
+const ReferencePanel = ({ project, comparisonUrl, onChange }) => {
+    const { reference } = project;
+    const spec = reference.spec;
+    // Values the user typed over the proposed spec, by row
+    const [edits, setEdits] = useState({});
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+
+    const run = async (action) => {
+        setBusy(true);
+        setError(null);
+        try {
+            await action();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleConfirm = () => run(async () => {
+        const dimensions = spec.dimensions.map((d, i) => ({ ...d, mm: edits[i] ?? d.mm }));
+        onChange(await confirmSpec(project.id, dimensions));
+        setEdits({});
+    });
+
+    const handleRemove = () => run(async () => {
+        await removeReference(project.id);
+        onChange({ ...project, reference: undefined });
+    });
+
+    return (
+        <div className="w-full h-full overflow-auto p-6 flex flex-col gap-4">
+            <div className="flex gap-4 min-h-0">
+                <img
+                    src={`${referenceImageUrl(project.id)}?v=${reference.createdAt}`}
+                    alt="Reference"
+                    className="max-h-64 max-w-[50%] object-contain rounded-lg border border-zinc-800"
+                />
+                <div className="flex-1 min-w-0 space-y-3">
+                    <div className="flex items-center gap-2 text-sm text-zinc-300">
+                        <Ruler className="w-4 h-4 text-mint-400" />
+                        {reference.dimension}
+                    </div>
+                    {!spec && <p className="text-sm text-zinc-500">The model will propose the dimensions it reads off the image.</p>}
+                    {spec && (
+                        <table className="w-full text-sm">
+                            <tbody>
+                                {spec.dimensions.map((d, i) => (
+                                    <tr key={`${d.feature}-${i}`} className="border-b border-zinc-800">
+                                        <td className="py-1 pr-2 text-zinc-300">
+                                            {d.feature}
+                                            {d.basis && <div className="text-xs text-zinc-500">{d.basis}</div>}
+                                        </td>
+                                        <td className="py-1 w-28">
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                step="any"
+                                                value={edits[i] ?? d.mm}
+                                                onChange={(e) => e.target.value !== '' && setEdits((prev) => ({ ...prev, [i]: Number(e.target.value) }))}
+                                                className="w-20 bg-zinc-900 border border-zinc-700 rounded-lg px-2 py-1 text-zinc-200 focus:outline-none focus:border-mint-500"
+                                            />
+                                            <span className="ml-1 text-zinc-500">mm</span>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                    {spec?.notes && <p className="text-xs text-zinc-500">{spec.notes}</p>}
+                    <div className="flex items-center gap-2">
+                        {spec && (
+                            <button
+                                onClick={handleConfirm}
+                                disabled={busy || (spec.confirmedAt && Object.keys(edits).length === 0)}
+                                className="flex items-center gap-2 px-3 py-1.5 bg-mint-500 hover:bg-mint-400 text-zinc-950 rounded-lg text-sm font-medium transition-colors disabled:opacity-50"
+                            >
+                                <Check className="w-4 h-4" />
+                                {spec.confirmedAt && Object.keys(edits).length === 0 ? 'Spec confirmed' : 'Confirm spec'}
+                            </button>
+                        )}
+                        <button
+                            onClick={handleRemove}
+                            disabled={busy}
+                            className="flex items-center gap-2 px-3 py-1.5 bg-zinc-800 hover:bg-zinc-700 border border-zinc-700 rounded-lg text-sm transition-colors disabled:opacity-50"
+                        >
+                            <Trash2 className="w-4 h-4" />
+                            Remove reference
+                        </button>
+                        {busy && <RefreshCw className="w-4 h-4 animate-spin text-mint-500" />}
+                    </div>
+                    {error && <p className="text-sm text-red-400">{error}</p>}
+                </div>
+            </div>
+            {comparisonUrl && (
+                // Nothing to compare until a model is rendered with the reference pinned
+                <img
+                    src={comparisonUrl}
+                    alt="Reference next to the model"
+                    onError={(e) => { e.currentTarget.style.display = 'none'; }}
+                    className="max-w-full object-contain rounded-lg"
+                />
+            )}
+        </div>
+    );
+};
+
+export default ReferencePanel;
@@ -1,17 +1,75 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
-import { Box, Plus, Folder, ChevronLeft, ChevronRight, Home } from 'lucide-react';
+import { Box, Plus, Folder, ChevronLeft, ChevronRight, Home, Pencil, Trash2, LogOut } from 'lucide-react';
+import { listProjects, createProject, renameProject, deleteProject, onProjectsChanged, logout } from '../api';
 
-const Sidebar = ({ isCollapsed, toggleSidebar }) => {
+const initials = (name) => name.split(/\s+/).filter(Boolean).slice(0, 2).map((word) => word[0].toUpperCase()).join('');
+
+const Sidebar = ({ account, isCollapsed, toggleSidebar }) => {
     const navigate = useNavigate();
     const { projectId } = useParams();
+    const [projects, setProjects] = useState([]);
+    const [editingId, setEditingId] = useState(null);
+    const [editingName, setEditingName] = useState('');
+
+    useEffect(() => {
+        const loadProjects = () => listProjects()
+            .then(setProjects)
+            .catch((error) => console.error("Error loading projects:", error));
+        loadProjects();
+        return onProjectsChanged(loadProjects);
+    }, []);
+
+    const handleNewProject = async () => {
+        try {
+            const project = await createProject('Untitled Project');
+            navigate(`/workspace/${project.id}`);
+        } catch (error) {
+            console.error("Error creating project:", error);
+        }
+    };
+
+    const startRename = (project) => {
+        setEditingId(project.id);
+        setEditingName(project.name);
+    };
+
+    const submitRename = async () => {
+        const id = editingId;
+        setEditingId(null);
+        const project = projects.find((p) => p.id === id);
+        if (!project || !editingName.trim() || editingName.trim() === project.name) return;
+        try {
+            await renameProject(id, editingName.trim());
+        } catch (error) {
+            console.error("Error renaming project:", error);
+        }
+    };
 
-    // Mock projects data
-    const projects = [
-        { id: 'box-design', name: 'Simple Box' },
-        { id: 'gear-v1', name: 'Gear Prototype' },
-        { id: 'phone-stand', name: 'Phone Stand' },
-    ];
+    const handleDelete = async (project) => {
+        if (!window.confirm(`Delete "${project.name}" and all of its models?`)) return;
+        try {
+            await deleteProject(project.id);
+            if (projectId === project.id) navigate('/');
+        } catch (error) {
+            console.error("Error deleting project:", error);
+        }
+    };
+
+    const handleLogout = async () => {
+        try {
+            await logout();
+        } catch (error) {
+            console.error("Error signing out:", error);
+        }
+        window.location.assign('/');
+    };
+
+    const { user, usage } = account;
+    const name = user?.name ?? 'Self-hosted';
+    const plan = user
+        ? `${user.plan} · ${usage.llmCalls}/${usage.quotas.llmCallsPerDay} calls today`
+        : 'No account limits';
 
     return (
         <div className={`${isCollapsed ? 'w-16' : 'w-[280px]'} flex flex-col border-r border-zinc-800 bg-zinc-950 h-full transition-all duration-300 relative`}>
@@ -45,7 +103,7 @@ const Sidebar = ({ isCollapsed, toggleSidebar }) => {
                 </button>
 
                 <button
-                    onClick={() => navigate('/workspace/new')}
+                    onClick={handleNewProject}
                     className={`w-full flex items-center ${isCollapsed ? 'justify-center px-0' : 'gap-2 px-4'} py-3 bg-mint-600 hover:bg-mint-500 text-white rounded-xl transition-colors font-medium shadow-lg shadow-mint-900/20`}
                     title="New Project"
                 >
@@ -60,33 +118,77 @@ const Sidebar = ({ isCollapsed, toggleSidebar }) => {
                         Recent Projects
                     </div>
                 )}
+                {!isCollapsed && projects.length === 0 && (
+                    <p className="px-2 py-1 text-sm text-zinc-600">No projects yet.</p>
+                )}
                 {projects.map((project) => (
-                    <button
-                        key={project.id}
-                        onClick={() => navigate(`/workspace/${project.id}`)}
-                        className={`w-full flex items-center ${isCollapsed ? 'justify-center px-0' : 'gap-3 px-3'} py-2 rounded-lg text-sm transition-colors ${projectId === project.id
-                                ? 'bg-zinc-800 text-white'
-                                : 'text-zinc-400 hover:text-zinc-200 hover:bg-zinc-800/50'
-                            }`}
-                        title={project.name}
-                    >
-                        <Folder className="w-4 h-4 shrink-0" />
-                        {!isCollapsed && <span className="truncate">{project.name}</span>}
-                    </button>
+                    editingId === project.id ? (
+                        <input
+                            key={project.id}
+                            autoFocus
+                            value={editingName}
+                            onChange={(e) => setEditingName(e.target.value)}
+                            onBlur={submitRename}
+                            onKeyDown={(e) => {
+                                if (e.key === 'Enter') submitRename();
+                                if (e.key === 'Escape') setEditingId(null);
+                            }}
+                            className="w-full bg-zinc-900 border border-mint-500 rounded-lg px-3 py-2 text-sm text-white focus:outline-none"
+                        />
+                    ) : (
+                        <div
+                            key={project.id}
+                            className={`group w-full flex items-center ${isCollapsed ? 'justify-center px-0' : 'gap-3 px-3'} py-2 rounded-lg text-sm transition-colors cursor-pointer ${projectId === project.id
+                                    ? 'bg-zinc-800 text-white'
+                                    : 'text-zinc-400 hover:text-zinc-200 hover:bg-zinc-800/50'
+                                }`}
+                            onClick={() => navigate(`/workspace/${project.id}`)}
+                            title={project.name}
+                        >
+                            <Folder className="w-4 h-4 shrink-0" />
+                            {!isCollapsed && (
+                                <>
+                                    <span className="truncate flex-1 text-left">{project.name}</span>
+                                    <button
+                                        onClick={(e) => { e.stopPropagation(); startRename(project); }}
+                                        className="hidden group-hover:block p-1 text-zinc-500 hover:text-white"
+                                        title="Rename"
+                                    >
+                                        <Pencil className="w-3 h-3" />
+                                    </button>
+                                    <button
+                                        onClick={(e) => { e.stopPropagation(); handleDelete(project); }}
+                                        className="hidden group-hover:block p-1 text-zinc-500 hover:text-red-400"
+                                        title="Delete"
+                                    >
+                                        <Trash2 className="w-3 h-3" />
+                                    </button>
+                                </>
+                            )}
+                        </div>
+                    )
                 ))}
             </div>
 
             <div className="p-4 border-t border-zinc-800">
                 <div className={`flex items-center ${isCollapsed ? 'justify-center' : 'gap-3'} px-3 py-2 rounded-lg bg-zinc-900 border border-zinc-800`}>
-                    <div className="w-8 h-8 rounded-full bg-zinc-800 flex items-center justify-center text-zinc-400 shrink-0">
-                        <span className="font-medium text-xs">US</span>
+                    <div className="w-8 h-8 rounded-full bg-zinc-800 flex items-center justify-center text-zinc-400 shrink-0" title={name}>
+                        <span className="font-medium text-xs">{initials(name)}</span>
                     </div>
                     {!isCollapsed && (
-                        <div className="flex-1 min-w-0">
-                            <p className="text-sm font-medium text-zinc-200 truncate">User</p>
-                            <p className="text-xs text-zinc-500 truncate">Free Plan</p>
+                        <div
+                            className="flex-1 min-w-0"
+                            title={user ? `${usage.renderSeconds}/${usage.quotas.renderSecondsPerDay} s of rendering today` : undefined}
+                        >
+                            <p className="text-sm font-medium text-zinc-200 truncate">{name}</p>
+                            <p className="text-xs text-zinc-500 truncate">{plan}</p>
                         </div>
                     )}
+                    {!isCollapsed && user && (
+                        <button onClick={handleLogout} className="p-1 text-zinc-500 hover:text-white" title="Sign out">
+                            <LogOut className="w-4 h-4" />
+                        </button>
+                    )}
                 </div>
             </div>
         </div>
@@ -0,0 +1,103 @@
+import React, { useEffect, useRef, useState } from 'react';
+import * as THREE from 'three';
+import { STLLoader } from 'three/examples/jsm/loaders/STLLoader.js';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { RefreshCw } from 'lucide-react';
+
+// Interactive view of an STL: drag to orbit, scroll to zoom, right-drag to pan. Give it a `key` per URL so its state resets.
+const StlViewer = ({ url }) => {
+    const containerRef = useRef(null);
+    const [status, setStatus] = useState('loading');
+
+    useEffect(() => {
+        const container = containerRef.current;
+        if (!container || !url) return;
+
+        const scene = new THREE.Scene();
+        scene.background = new THREE.Color(0x09090b);
+
+        const camera = new THREE.PerspectiveCamera(45, container.clientWidth / container.clientHeight, 0.1, 5000);
+        const renderer = new THREE.WebGLRenderer({ antialias: true });
+        renderer.setPixelRatio(window.devicePixelRatio);
+        renderer.setSize(container.clientWidth, container.clientHeight);
+        container.appendChild(renderer.domElement);
+
+        scene.add(new THREE.AmbientLight(0xffffff, 0.6));
+        const mainLight = new THREE.DirectionalLight(0xffffff, 1.2);
+        mainLight.position.set(50, 100, 50);
+        scene.add(mainLight);
+        const rimLight = new THREE.DirectionalLight(0x3bc2a8, 0.8);
+        rimLight.position.set(-50, 20, -50);
+        scene.add(rimLight);
+
+        const controls = new OrbitControls(camera, renderer.domElement);
+        controls.enableDamping = true;
+        controls.dampingFactor = 0.05;
+
+        let geometry = null;
+        let cancelled = false;
+        new STLLoader().load(url, (loaded) => {
+            if (cancelled) {
+                loaded.dispose();
+                return;
+            }
+            geometry = loaded;
+            geometry.center();
+            geometry.computeBoundingSphere();
+
+            const mesh = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({ color: 0x3bc2a8, metalness: 0.2, roughness: 0.5 }));
+            // OpenSCAD is Z-up, three.js is Y-up
+            mesh.rotation.x = -Math.PI / 2;
+            scene.add(mesh);
+
+            const radius = geometry.boundingSphere.radius || 10;
+            camera.position.set(radius * 1.8, radius * 1.4, radius * 1.8);
+            camera.lookAt(0, 0, 0);
+            controls.target.set(0, 0, 0);
+            setStatus('ready');
+        }, undefined, (error) => {
+            console.error("Error loading STL:", error);
+            if (!cancelled) setStatus('error');
+        });
+
+        let animationId;
+        const animate = () => {
+            animationId = requestAnimationFrame(animate);
+            controls.update();
+            renderer.render(scene, camera);
+        };
+        animate();
+
+        const resizeObserver = new ResizeObserver(() => {
+            if (container.clientWidth === 0) return;
+            camera.aspect = container.clientWidth / container.clientHeight;
+            camera.updateProjectionMatrix();
+            renderer.setSize(container.clientWidth, container.clientHeight);
+        });
+        resizeObserver.observe(container);
+
+        return () => {
+            cancelled = true;
+            cancelAnimationFrame(animationId);
+            resizeObserver.disconnect();
+            controls.dispose();
+            geometry?.dispose();
+            renderer.dispose();
+            renderer.domElement.remove();
+        };
+    }, [url]);
+
+    return (
+        <div ref={containerRef} className="relative w-full h-full">
+            {status !== 'ready' && (
+                <div className="absolute inset-0 flex items-center justify-center gap-2 text-sm text-zinc-400">
+                    {status === 'loading'
+                        ? <><RefreshCw className="w-4 h-4 animate-spin text-mint-500" /> Loading 3D model...</>
+                        : 'Could not load the STL.'}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default StlViewer;
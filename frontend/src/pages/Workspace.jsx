@@ -1,31 +1,88 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { Send, Download, Image as ImageIcon, Settings, RefreshCw } from 'lucide-react';
-import { useParams } from 'react-router-dom';
-import Sidebar from '../components/Sidebar';
-
-// Mock API service for now
-const mockSendMessage = async (message) => {
-    return new Promise((resolve) => {
-        setTimeout(() => {
-            resolve({
-                text: `I've updated the model based on: "${message}"`,
-                imageUrl: 'https://placehold.co/600x400/1e293b/3bc2a8?text=Model+Preview', // Placeholder
-                scadCode: '// SCAD code would go here\ncube([10, 10, 10]);',
-                status: 'success'
-            });
-        }, 1000);
-    });
+import React, { useState, useEffect, useRef, lazy, Suspense } from 'react';
+import { Send, Download, Image as ImageIcon, Settings, RefreshCw, Paperclip, X, Box, Code, ChevronDown, LayoutGrid, RotateCw, Ruler } from 'lucide-react';
+import { useNavigate, useParams } from 'react-router-dom';
+import ParameterPanel from '../components/ParameterPanel';
+import ReferencePanel from '../components/ReferencePanel';
+import { createProject, exportUrl, getModelParts, getModelSource, getProject, plateUrl, referenceImageUrl, renderPreviews, streamChat } from '../api';
+
+// three.js is large; only load it once someone opens the 3D tab
+const StlViewer = lazy(() => import('../components/StlViewer'));
+
+const EXPORT_OPTIONS = [
+    { label: 'Binary STL', formats: ['stl-binary'] },
+    { label: '3MF', formats: ['3mf'] },
+    { label: 'OBJ', formats: ['obj'] },
+    { label: 'AMF', formats: ['amf'] },
+    { label: 'OFF', formats: ['off'] },
+    { label: 'SVG (top outline)', formats: ['svg'] },
+    { label: 'DXF (top outline)', formats: ['dxf'] },
+    { label: 'Everything (zip)', formats: ['stl', '3mf', 'obj', 'svg', 'dxf'], zip: true },
+];
+
+const STAGE_LABELS = {
+    rendering_preview: 'Rendering preview...',
+    rendering_stl: 'Rendering STL...',
+    rendering_parts: 'Rendering parts...',
+    analyzing: 'Checking printability...',
+    rendering_views: 'Rendering views...',
+    comparing: 'Comparing with the reference...',
+    reviewing: 'Reviewing the render...',
+};
+
+const TABS = [
+    { id: 'preview', label: 'Preview', icon: ImageIcon },
+    { id: 'views', label: 'Views', icon: LayoutGrid },
+    { id: '3d', label: '3D', icon: Box },
+    { id: 'code', label: 'Code', icon: Code },
+    { id: 'reference', label: 'Reference', icon: Ruler },
+];
+
+// A new project is named after the first words of its first message
+const projectNameFrom = (prompt) => {
+    const words = prompt.trim().split(/\s+/).slice(0, 6).join(' ');
+    return words ? words.charAt(0).toUpperCase() + words.slice(1) : 'Untitled Project';
 };
 
+const readAsDataUrl = (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+});
+
 const Workspace = () => {
     const { projectId } = useParams();
+    const navigate = useNavigate();
     const [messages, setMessages] = useState([
         { role: 'system', content: 'Welcome to ModelMint! Describe what you want to create.' }
     ]);
     const [input, setInput] = useState('');
+    const [attachment, setAttachment] = useState(null);
     const [isLoading, setIsLoading] = useState(false);
-    const [previewUrl, setPreviewUrl] = useState('https://placehold.co/600x400/1e293b/3bc2a8?text=No+Model+Yet');
+    const [stage, setStage] = useState(null);
+    const [previewUrl, setPreviewUrl] = useState(null);
+    const [project, setProject] = useState(null);
+    const [activeTab, setActiveTab] = useState('preview');
+    const [showParameters, setShowParameters] = useState(true);
+    const [showExportMenu, setShowExportMenu] = useState(false);
+    // Bumped whenever the current model's files change, so the viewer and code tab reload them
+    const [modelVersion, setModelVersion] = useState(0);
+    // Bumped only when a chat turn rewrites the source; the panel's own STL renders keep its parameters
+    const [sourceVersion, setSourceVersion] = useState(0);
+    const [source, setSource] = useState({ name: null, code: '' });
+    // Contact sheet and turntable URLs of the current model, from the last chat turn or an explicit render
+    const [views, setViews] = useState(null);
+    const [renderingViews, setRenderingViews] = useState(false);
+    const [viewsError, setViewsError] = useState(null);
+    // Parts of the current model when it is an assembly, each with its own STL
+    const [parts, setParts] = useState([]);
+    // Known dimension typed for the attachment; null sends it as a plain image instead of pinning it as the reference
+    const [referenceDimension, setReferenceDimension] = useState(null);
+    const [comparisonUrl, setComparisonUrl] = useState(null);
     const messagesEndRef = useRef(null);
+    const fileInputRef = useRef(null);
+    const currentModel = project?.models.at(-1);
+    const modelUrl = currentModel ? `/images/${encodeURIComponent(currentModel)}.stl?v=${modelVersion}` : null;
 
     const scrollToBottom = () => {
         messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
@@ -35,32 +92,158 @@ const Workspace = () => {
         scrollToBottom();
     }, [messages]);
 
-    // Reset state when project changes
+    // Load the project's saved conversation when the project changes
     useEffect(() => {
-        setMessages([{ role: 'system', content: `Project: ${projectId || 'New Project'}. Describe what you want to create.` }]);
-        setPreviewUrl('https://placehold.co/600x400/1e293b/3bc2a8?text=No+Model+Yet');
+        let cancelled = false;
+        const reset = (content) => {
+            setProject(null);
+            setMessages([{ role: 'system', content }]);
+            setPreviewUrl(null);
+            setViews(null);
+            setComparisonUrl(null);
+        };
+
+        if (!projectId) {
+            reset('New Project. Describe what you want to create.');
+            return;
+        }
+
+        getProject(projectId)
+            .then(({ project, messages: transcript }) => {
+                if (cancelled) return;
+                setProject(project);
+                setMessages([
+                    { role: 'system', content: `Project: ${project.name}. Describe what you want to create.` },
+                    ...transcript,
+                ]);
+                const lastImage = [...transcript].reverse().find((msg) => msg.image);
+                setPreviewUrl(lastImage ? lastImage.image : null);
+                setViews(null);
+                setComparisonUrl(project.reference ? referenceImageUrl(project.id, 'comparison') : null);
+            })
+            .catch((error) => {
+                if (!cancelled) reset(`Could not open project "${projectId}": ${error.message}`);
+            });
+
+        return () => { cancelled = true; };
     }, [projectId]);
 
+    useEffect(() => {
+        if (activeTab !== 'code' || !currentModel) return;
+        let cancelled = false;
+        getModelSource(currentModel)
+            .then(({ code }) => !cancelled && setSource({ name: currentModel, code }))
+            .catch((error) => !cancelled && setSource({ name: currentModel, code: `// Could not load the source: ${error.message}` }));
+        return () => { cancelled = true; };
+    }, [activeTab, currentModel, modelVersion]);
+
+    useEffect(() => {
+        if (!currentModel) {
+            setParts([]);
+            return;
+        }
+        let cancelled = false;
+        getModelParts(currentModel)
+            .then((list) => !cancelled && setParts(list))
+            .catch(() => !cancelled && setParts([]));
+        return () => { cancelled = true; };
+    }, [currentModel, modelVersion]);
+
+    const handleAttach = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            setAttachment(await readAsDataUrl(file));
+        } catch (error) {
+            console.error("Error reading image:", error);
+        }
+    };
+
+    const handleRenderViews = async (options) => {
+        setRenderingViews(true);
+        setViewsError(null);
+        try {
+            setViews(await renderPreviews(currentModel, options));
+        } catch (error) {
+            console.error("Error rendering views:", error);
+            setViewsError(error.message);
+        } finally {
+            setRenderingViews(false);
+        }
+    };
+
     const handleSubmit = async (e) => {
         e.preventDefault();
-        if (!input.trim()) return;
+        if (!input.trim() && !attachment) return;
 
-        const userMsg = { role: 'user', content: input };
-        setMessages(prev => [...prev, userMsg]);
+        const prompt = input;
+        const image = attachment;
+        const reference = image && referenceDimension !== null ? referenceDimension.trim() : undefined;
+        setMessages(prev => [...prev, { role: 'user', content: prompt || 'Attached image...', attachment: image }, { role: 'assistant', content: '', code: '' }]);
         setInput('');
+        setAttachment(null);
+        setReferenceDimension(null);
         setIsLoading(true);
+        setStage(null);
+
+        // Streamed events fill in the assistant message appended above
+        const updateReply = (update) => setMessages(prev => [...prev.slice(0, -1), { ...prev.at(-1), ...update(prev.at(-1)) }]);
 
         try {
-            const response = await mockSendMessage(input);
-            setMessages(prev => [...prev, { role: 'assistant', content: response.text }]);
-            if (response.imageUrl) {
-                setPreviewUrl(response.imageUrl);
+            // The conversation is stored under the project's id, so the first message of a new chat creates one
+            const sessionProjectId = projectId || (await createProject(projectNameFrom(prompt))).id;
+
+            const result = await streamChat({ message: prompt, image, reference, projectId: sessionProjectId }, (type, event) => {
+                switch (type) {
+                    case 'text':
+                        updateReply(reply => ({ content: reply.content + event.text }));
+                        break;
+                    case 'code':
+                        setStage('Writing code...');
+                        updateReply(reply => ({ attempt: event.attempt, code: (reply.attempt === event.attempt ? reply.code : '') + event.delta }));
+                        break;
+                    case 'tool_call':
+                        updateReply(() => ({ attempt: event.attempt, code: event.code }));
+                        break;
+                    case 'stage':
+                        setStage(STAGE_LABELS[event.stage]);
+                        break;
+                    case 'preview':
+                        setPreviewUrl(event.image);
+                        break;
+                    case 'views':
+                        setViews(event.views);
+                        break;
+                    case 'spec':
+                        setProject((prev) => prev && { ...prev, reference: { ...prev.reference, spec: event.spec } });
+                        setActiveTab('reference');
+                        break;
+                    case 'attempt_failed':
+                        setStage(`Attempt ${event.attempt} failed, repairing...`);
+                        break;
+                }
+            });
+            updateReply(reply => ({ content: reply.content || result.text, image: result.image && `${result.image}?v=${result.revision}` }));
+            if (result.image) {
+                setPreviewUrl(`${result.image}?v=${result.revision}`);
+                setModelVersion((version) => version + 1);
+                setSourceVersion((version) => version + 1);
+            }
+            if (result.comparison) setComparisonUrl(result.comparison);
+
+            if (!projectId) {
+                navigate(`/workspace/${sessionProjectId}`, { replace: true });
+            } else {
+                // The project now lists the new model, which the viewer and parameter panel follow
+                getProject(projectId).then(({ project }) => setProject(project)).catch(() => {});
             }
         } catch (error) {
             console.error("Error sending message:", error);
-            setMessages(prev => [...prev, { role: 'system', content: 'Error processing request.' }]);
+            setMessages(prev => [...prev, { role: 'system', content: `Error: ${error.message}` }]);
         } finally {
             setIsLoading(false);
+            setStage(null);
         }
     };
 
@@ -70,7 +253,7 @@ const Workspace = () => {
             {/* Chat Area */}
             <div className="w-1/3 min-w-[350px] flex flex-col border-r border-zinc-800 bg-zinc-950">
                 <div className="flex-1 overflow-y-auto p-4 space-y-4">
-                    {messages.map((msg, idx) => (
+                    {messages.filter((msg) => msg.content || msg.code).map((msg, idx) => (
                         <div key={idx} className={`flex ${msg.role === 'user' ? 'justify-end' : 'justify-start'}`}>
                             <div className={`max-w-[85%] rounded-2xl px-4 py-3 ${msg.role === 'user'
                                     ? 'bg-mint-600 text-white'
@@ -78,7 +261,24 @@ const Workspace = () => {
                                         ? 'bg-zinc-800/50 text-zinc-400 text-sm border border-zinc-800'
                                         : 'bg-zinc-800 text-zinc-200'
                                 }`}>
+                                {msg.attachment && (
+                                    <img src={msg.attachment} alt="Attachment" className="max-w-[200px] rounded-lg mb-2" />
+                                )}
                                 {msg.content}
+                                {msg.code && (
+                                    <pre className="mt-2 max-h-64 overflow-auto rounded-lg bg-zinc-950 p-3 text-xs text-mint-300 font-mono whitespace-pre-wrap">
+                                        {msg.code}
+                                    </pre>
+                                )}
+                                {msg.image && (
+                                    <button
+                                        onClick={() => { setPreviewUrl(msg.image); setActiveTab('preview'); }}
+                                        className="block mt-2 rounded-lg overflow-hidden border border-zinc-700 hover:border-mint-500 transition-colors"
+                                        title="Show in preview"
+                                    >
+                                        <img src={msg.image} alt="Model" className="max-w-[200px] bg-zinc-950" />
+                                    </button>
+                                )}
                             </div>
                         </div>
                     ))}
@@ -86,7 +286,7 @@ const Workspace = () => {
                         <div className="flex justify-start">
                             <div className="bg-zinc-800 rounded-2xl px-4 py-3 flex items-center gap-2">
                                 <RefreshCw className="w-4 h-4 animate-spin text-mint-500" />
-                                <span className="text-zinc-400 text-sm">Generating...</span>
+                                <span className="text-zinc-400 text-sm">{stage || 'Generating...'}</span>
                             </div>
                         </div>
                     )}
@@ -94,17 +294,60 @@ const Workspace = () => {
                 </div>
 
                 <div className="p-4 border-t border-zinc-800 bg-zinc-950">
+                    {attachment && (
+                        <div className="flex items-start gap-3 mb-3">
+                            <div className="relative inline-block">
+                                <img src={attachment} alt="Attachment" className="h-16 w-16 object-cover rounded-lg border border-zinc-700" />
+                                <button
+                                    onClick={() => { setAttachment(null); setReferenceDimension(null); }}
+                                    className="absolute -top-2 -right-2 p-0.5 bg-zinc-800 hover:bg-red-500 border border-zinc-700 rounded-full text-zinc-300 hover:text-white transition-colors"
+                                    title="Remove image"
+                                >
+                                    <X className="w-3 h-3" />
+                                </button>
+                            </div>
+                            <div className="flex-1 space-y-2">
+                                <label className="flex items-center gap-2 text-sm text-zinc-400">
+                                    <input
+                                        type="checkbox"
+                                        checked={referenceDimension !== null}
+                                        onChange={(e) => setReferenceDimension(e.target.checked ? '' : null)}
+                                        className="w-4 h-4 accent-mint-500"
+                                    />
+                                    Pin as the project's reference
+                                </label>
+                                {referenceDimension !== null && (
+                                    <input
+                                        type="text"
+                                        value={referenceDimension}
+                                        onChange={(e) => setReferenceDimension(e.target.value)}
+                                        placeholder="Known dimension, e.g. the coin is 24 mm"
+                                        className="w-full bg-zinc-900 border border-zinc-700 rounded-lg px-2 py-1 text-sm text-zinc-200 focus:outline-none focus:border-mint-500"
+                                    />
+                                )}
+                            </div>
+                        </div>
+                    )}
                     <form onSubmit={handleSubmit} className="relative">
+                        <input ref={fileInputRef} type="file" accept="image/png,image/jpeg,image/webp,image/gif" onChange={handleAttach} className="hidden" />
+                        <button
+                            type="button"
+                            onClick={() => fileInputRef.current?.click()}
+                            className="absolute left-2 top-1/2 -translate-y-1/2 p-2 text-zinc-400 hover:text-mint-400 rounded-lg transition-colors"
+                            title="Attach a sketch or photo"
+                        >
+                            <Paperclip className="w-4 h-4" />
+                        </button>
                         <input
                             type="text"
                             value={input}
                             onChange={(e) => setInput(e.target.value)}
                             placeholder="Describe your model..."
-                            className="w-full bg-zinc-900 border border-zinc-700 rounded-xl pl-4 pr-12 py-3 focus:outline-none focus:border-mint-500 focus:ring-1 focus:ring-mint-500 transition-all placeholder-zinc-500"
+                            className="w-full bg-zinc-900 border border-zinc-700 rounded-xl pl-11 pr-12 py-3 focus:outline-none focus:border-mint-500 focus:ring-1 focus:ring-mint-500 transition-all placeholder-zinc-500"
                         />
                         <button
                             type="submit"
-                            disabled={isLoading || !input.trim()}
+                            disabled={isLoading || (!input.trim() && !attachment) || (attachment && referenceDimension !== null && !/\d/.test(referenceDimension))}
                             className="absolute right-2 top-1/2 -translate-y-1/2 p-2 bg-mint-500 hover:bg-mint-400 text-zinc-950 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
                         >
                             <Send className="w-4 h-4" />
@@ -114,45 +357,167 @@ const Workspace = () => {
             </div>
 
             {/* Main Content / Preview Area */}
-            <div className="flex-1 flex flex-col bg-zinc-900">
+            <div className="flex-1 flex flex-col bg-zinc-900 min-w-0">
                 <div className="h-16 border-b border-zinc-800 flex items-center justify-between px-6 bg-zinc-900/50 backdrop-blur-sm">
                     <div className="flex items-center gap-4">
-                        <h2 className="text-zinc-400 font-medium flex items-center gap-2">
-                            <ImageIcon className="w-4 h-4" />
-                            Preview
+                        <h2 className="text-zinc-400 font-medium">
+                            {project ? project.name : 'New Project'}
                         </h2>
+                        <div className="flex items-center gap-1 bg-zinc-950 border border-zinc-800 rounded-lg p-1">
+                            {TABS.map((tab) => (
+                                <button
+                                    key={tab.id}
+                                    onClick={() => setActiveTab(tab.id)}
+                                    className={`flex items-center gap-1.5 px-3 py-1 rounded-md text-sm transition-colors ${activeTab === tab.id ? 'bg-zinc-800 text-mint-400' : 'text-zinc-400 hover:text-white'}`}
+                                >
+                                    <tab.icon className="w-4 h-4" />
+                                    {tab.label}
+                                </button>
+                            ))}
+                        </div>
                     </div>
                     <div className="flex items-center gap-3">
-                        <button className="flex items-center gap-2 px-4 py-2 bg-zinc-800 hover:bg-zinc-700 rounded-lg text-sm font-medium transition-colors border border-zinc-700">
-                            <Download className="w-4 h-4" />
-                            Export STL
-                        </button>
-                        <button className="p-2 hover:bg-zinc-800 rounded-lg text-zinc-400 hover:text-white transition-colors">
+                        <div className="relative flex">
+                            <a
+                                href={modelUrl ?? undefined}
+                                download={currentModel ? `${currentModel}.stl` : undefined}
+                                aria-disabled={!modelUrl}
+                                className={`flex items-center gap-2 px-4 py-2 bg-zinc-800 hover:bg-zinc-700 rounded-l-lg text-sm font-medium transition-colors border border-zinc-700 ${modelUrl ? '' : 'opacity-50 pointer-events-none'}`}
+                            >
+                                <Download className="w-4 h-4" />
+                                Export STL
+                            </a>
+                            <button
+                                onClick={() => setShowExportMenu((show) => !show)}
+                                disabled={!currentModel}
+                                className="px-2 bg-zinc-800 hover:bg-zinc-700 rounded-r-lg border border-l-0 border-zinc-700 transition-colors disabled:opacity-50"
+                                title="Other formats"
+                            >
+                                <ChevronDown className="w-4 h-4" />
+                            </button>
+                            {showExportMenu && currentModel && (
+                                <div className="absolute right-0 top-full mt-2 w-48 z-20 bg-zinc-900 border border-zinc-700 rounded-lg shadow-xl py-1">
+                                    {EXPORT_OPTIONS.map((option) => (
+                                        <a
+                                            key={option.label}
+                                            href={exportUrl(currentModel, option.formats, { zip: option.zip })}
+                                            onClick={() => setShowExportMenu(false)}
+                                            className="block px-4 py-2 text-sm text-zinc-300 hover:bg-zinc-800 hover:text-white"
+                                        >
+                                            {option.label}
+                                        </a>
+                                    ))}
+                                    <a
+                                        href={plateUrl(currentModel)}
+                                        onClick={() => setShowExportMenu(false)}
+                                        className="block px-4 py-2 text-sm text-zinc-300 hover:bg-zinc-800 hover:text-white border-t border-zinc-800"
+                                    >
+                                        Print plate (220 × 220)
+                                    </a>
+                                    {parts.map((part) => (
+                                        <a
+                                            key={part.name}
+                                            href={`${part.model}?v=${modelVersion}`}
+                                            download={`${currentModel}.${part.name}.stl`}
+                                            onClick={() => setShowExportMenu(false)}
+                                            className="flex items-center gap-2 px-4 py-2 text-sm text-zinc-300 hover:bg-zinc-800 hover:text-white"
+                                        >
+                                            <span className="w-2 h-2 rounded-full bg-zinc-500" style={part.color ? { backgroundColor: part.color } : undefined} />
+                                            Part: {part.name}
+                                        </a>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+                        <button
+                            onClick={() => setShowParameters((show) => !show)}
+                            disabled={!currentModel}
+                            className={`p-2 hover:bg-zinc-800 rounded-lg transition-colors disabled:opacity-50 ${showParameters && currentModel ? 'text-mint-400' : 'text-zinc-400 hover:text-white'}`}
+                            title={showParameters ? 'Hide parameters' : 'Show parameters'}
+                        >
                             <Settings className="w-5 h-5" />
                         </button>
                     </div>
                 </div>
 
-                <div className="flex-1 p-8 flex items-center justify-center relative overflow-hidden">
-                    {/* Grid Background */}
-                    <div className="absolute inset-0 opacity-[0.03]"
-                        style={{
-                            backgroundImage: 'linear-gradient(#fff 1px, transparent 1px), linear-gradient(90deg, #fff 1px, transparent 1px)',
-                            backgroundSize: '40px 40px'
-                        }}
-                    />
-
-                    <div className="relative z-10 w-full max-w-4xl aspect-video bg-zinc-950 rounded-2xl border border-zinc-800 shadow-2xl overflow-hidden flex items-center justify-center group">
-                        <img
-                            src={previewUrl}
-                            alt="Model Preview"
-                            className="max-w-full max-h-full object-contain transition-transform duration-500 group-hover:scale-105"
+                <div className="flex-1 flex min-h-0">
+                    <div className="flex-1 p-8 flex items-center justify-center relative overflow-hidden">
+                        {/* Grid Background */}
+                        <div className="absolute inset-0 opacity-[0.03]"
+                            style={{
+                                backgroundImage: 'linear-gradient(#fff 1px, transparent 1px), linear-gradient(90deg, #fff 1px, transparent 1px)',
+                                backgroundSize: '40px 40px'
+                            }}
                         />
 
-                        <div className="absolute bottom-4 right-4 bg-black/50 backdrop-blur-md px-3 py-1.5 rounded-full text-xs text-zinc-400 border border-white/10">
-                            Preview Mode
+                        <div className="relative z-10 w-full h-full max-w-4xl bg-zinc-950 rounded-2xl border border-zinc-800 shadow-2xl overflow-hidden flex items-center justify-center">
+                            {activeTab === 'preview' && (previewUrl
+                                ? <img src={previewUrl} alt="Model Preview" className="max-w-full max-h-full object-contain" />
+                                : <span className="text-zinc-500 text-sm">No model yet</span>)}
+
+                            {activeTab === 'views' && (currentModel
+                                ? (
+                                    <div className="w-full h-full flex flex-col items-center justify-center gap-4 p-6">
+                                        {views?.sheet && <img src={views.sheet} alt="Views" className="min-h-0 flex-1 max-w-full object-contain" />}
+                                        {views?.turntable && <img src={views.turntable} alt="Turntable" className="min-h-0 max-h-[40%] max-w-full object-contain" />}
+                                        {renderingViews && <RefreshCw className="w-5 h-5 animate-spin text-mint-500" />}
+                                        {viewsError && <span className="text-red-400 text-sm">Could not render the views: {viewsError}</span>}
+                                        <div className="flex gap-2">
+                                            <button
+                                                onClick={() => handleRenderViews({})}
+                                                disabled={renderingViews}
+                                                className="flex items-center gap-2 px-3 py-1.5 bg-zinc-800 hover:bg-zinc-700 border border-zinc-700 rounded-lg text-sm transition-colors disabled:opacity-50"
+                                            >
+                                                <LayoutGrid className="w-4 h-4" />
+                                                {views?.sheet ? 'Re-render views' : 'Render views'}
+                                            </button>
+                                            <button
+                                                onClick={() => handleRenderViews({ turntable: 'gif' })}
+                                                disabled={renderingViews}
+                                                className="flex items-center gap-2 px-3 py-1.5 bg-zinc-800 hover:bg-zinc-700 border border-zinc-700 rounded-lg text-sm transition-colors disabled:opacity-50"
+                                            >
+                                                <RotateCw className="w-4 h-4" />
+                                                Render turntable
+                                            </button>
+                                        </div>
+                                    </div>
+                                )
+                                : <span className="text-zinc-500 text-sm">No model yet</span>)}
+
+                            {activeTab === '3d' && (modelUrl
+                                ? (
+                                    <Suspense fallback={<RefreshCw className="w-5 h-5 animate-spin text-mint-500" />}>
+                                        <StlViewer key={modelUrl} url={modelUrl} />
+                                    </Suspense>
+                                )
+                                : <span className="text-zinc-500 text-sm">No model yet</span>)}
+
+                            {activeTab === 'code' && (currentModel
+                                ? (
+                                    <pre className="w-full h-full overflow-auto p-6 text-sm text-mint-300 font-mono whitespace-pre">
+                                        {source.name === currentModel ? source.code : 'Loading...'}
+                                    </pre>
+                                )
+                                : <span className="text-zinc-500 text-sm">No model yet</span>)}
+
+                            {activeTab === 'reference' && (project?.reference
+                                ? <ReferencePanel key={project.reference.spec?.proposedAt ?? project.reference.createdAt} project={project} comparisonUrl={comparisonUrl} onChange={setProject} />
+                                : <span className="text-zinc-500 text-sm">No reference image. Attach a photo or sketch and pin it with a known dimension.</span>)}
                         </div>
                     </div>
+
+                    {currentModel && showParameters && (
+                        <ParameterPanel
+                            key={`${currentModel}:${sourceVersion}`}
+                            modelName={currentModel}
+                            onRendered={(result, { stl }) => {
+                                setPreviewUrl(result.image);
+                                // The views were rendered with the old values
+                                setViews(null);
+                                if (stl) setModelVersion((version) => version + 1);
+                            }}
+                        />
+                    )}
                 </div>
             </div>
         </div>
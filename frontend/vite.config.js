@@ -1,7 +1,24 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
+export default defineConfig(({ mode }) => {
+  // The ModelMint server (npm run build && node build/index.js in the repo root)
+  const API_URL = loadEnv(mode, process.cwd(), '').MODELMINT_API_URL || 'http://localhost:3000'
+
+  return {
+    plugins: [react()],
+    server: {
+      proxy: {
+        '/projects': API_URL,
+        '/models': API_URL,
+        '/chat': API_URL,
+        '/images': API_URL,
+        '/auth': API_URL,
+        '/me': API_URL,
+        '/jobs': API_URL,
+        '/status': API_URL,
+      },
+    },
+  }
 })
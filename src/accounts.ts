@@ -0,0 +1,276 @@
+import { AsyncLocalStorage } from "async_hooks";
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { NextFunction, Request, Response } from "express";
+import { inWorkspace, WORKSPACE_ROOT } from "./workspace.js";
+import { readJson, writeJson } from "./project_store.js";
+
+// Without it the server runs as before: one shared workspace and no sign-in
+export const AUTH_REQUIRED = /^(1|true)$/i.test(process.env.REQUIRE_AUTH ?? "");
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "";
+
+export const TOKEN_COOKIE = "modelmint_token";
+export const TOKEN_COOKIE_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Next to the users' workspaces rather than in any of them; functions because render_service imports this module
+// while workspace.ts is still loading
+function accountsFile(name: string) {
+  return path.join(WORKSPACE_ROOT, ".accounts", name);
+}
+
+export interface Quotas {
+  llmCallsPerDay: number;
+  renderSecondsPerDay: number;
+}
+
+const DEFAULT_QUOTAS: Quotas = {
+  llmCallsPerDay: Number(process.env.QUOTA_LLM_CALLS_PER_DAY) || 200,
+  renderSecondsPerDay: Number(process.env.QUOTA_RENDER_SECONDS_PER_DAY) || 1800,
+};
+
+export interface ApiToken {
+  id: string;
+  label: string;
+  /** SHA-256 of the token; the token itself is only shown when it is issued. */
+  hash: string;
+  createdAt: string;
+  lastUsedAt: string | null;
+}
+
+export interface User {
+  id: string;
+  name: string;
+  email?: string;
+  /** Shown in the web app, e.g. "Team". */
+  plan: string;
+  /** Overrides the deployment's QUOTA_* defaults. */
+  quotas?: Partial<Quotas>;
+  tokens: ApiToken[];
+  createdAt: string;
+}
+
+interface Usage {
+  /** UTC date the counters belong to; they start over the next day. */
+  day: string;
+  llmCalls: number;
+  renderMs: number;
+}
+
+export class QuotaExceededError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "QuotaExceededError";
+  }
+}
+
+const USER_SCOPE = new AsyncLocalStorage<User>();
+
+/** The signed-in user of the current request; null when accounts are off. */
+export function currentUser() {
+  return USER_SCOPE.getStore() ?? null;
+}
+
+export function userWorkspaceDir(userId: string) {
+  return path.join(WORKSPACE_ROOT, ".users", userId);
+}
+
+/** Runs `fn` as `user`: quotas are charged to them and workspace paths resolve inside their directory. */
+export function runAsUser<T>(user: User, fn: () => T) {
+  return USER_SCOPE.run(user, () => inWorkspace(userWorkspaceDir(user.id), fn));
+}
+
+let users: User[] | null = null;
+let usage: Record<string, Usage> | null = null;
+
+async function loadUsers() {
+  users ??= (await readJson<User[]>(accountsFile("users.json"))) ?? [];
+  return users;
+}
+
+function hashToken(token: string) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function newToken(label: string) {
+  const token = `mm_${crypto.randomBytes(24).toString("base64url")}`;
+  const record: ApiToken = {
+    id: crypto.randomBytes(4).toString("hex"),
+    label: label.trim().slice(0, 100) || "API token",
+    hash: hashToken(token),
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+  };
+  return { token, record };
+}
+
+/** The user without token hashes, for API responses. */
+export function publicUser(user: User) {
+  return { ...user, tokens: user.tokens.map(({ hash, ...token }) => token) };
+}
+
+export function quotasFor(user: User): Quotas {
+  return { ...DEFAULT_QUOTAS, ...user.quotas };
+}
+
+export function parseQuotas(raw: unknown): Partial<Quotas> {
+  if (typeof raw !== "object" || raw === null || Array.isArray(raw)) throw new Error("quotas must be an object");
+  const quotas: Partial<Quotas> = {};
+  for (const key of ["llmCallsPerDay", "renderSecondsPerDay"] as const) {
+    const value = (raw as Record<string, unknown>)[key];
+    if (value === undefined) continue;
+    if (!Number.isInteger(value) || (value as number) < 0) throw new Error(`quotas.${key} must be a whole number of at least 0`);
+    quotas[key] = value as number;
+  }
+  return quotas;
+}
+
+export async function listUsers() {
+  return [...(await loadUsers())];
+}
+
+/** Creates an account with a first API token, which is returned only this once. */
+export async function createUser({ name, email, plan = "Team", quotas }: { name: string; email?: string; plan?: string; quotas?: Partial<Quotas> }) {
+  const all = await loadUsers();
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 40);
+  const { token, record } = newToken("Initial token");
+  const user: User = {
+    id: `${slug || "user"}-${crypto.randomBytes(3).toString("hex")}`,
+    name: name.trim() || "User",
+    ...(email ? { email } : {}),
+    plan,
+    ...(quotas && Object.keys(quotas).length > 0 ? { quotas } : {}),
+    tokens: [record],
+    createdAt: new Date().toISOString(),
+  };
+  all.push(user);
+  await writeJson(accountsFile("users.json"), all);
+  return { user, token };
+}
+
+/** Deletes the account and everything in its workspace. */
+export async function deleteUser(id: string) {
+  const all = await loadUsers();
+  const user = all.find(u => u.id === id);
+  if (!user) return null;
+  users = all.filter(u => u !== user);
+  await writeJson(accountsFile("users.json"), users);
+  await fs.rm(userWorkspaceDir(user.id), { recursive: true, force: true });
+  return user;
+}
+
+export async function issueToken(user: User, label: string) {
+  const { token, record } = newToken(label);
+  user.tokens.push(record);
+  await writeJson(accountsFile("users.json"), await loadUsers());
+  return { token, record };
+}
+
+export async function revokeToken(user: User, tokenId: string) {
+  const count = user.tokens.length;
+  user.tokens = user.tokens.filter(t => t.id !== tokenId);
+  if (user.tokens.length === count) return false;
+  await writeJson(accountsFile("users.json"), await loadUsers());
+  return true;
+}
+
+export async function findUserByToken(token: string) {
+  const hash = hashToken(token);
+  for (const user of await loadUsers()) {
+    const record = user.tokens.find(t => t.hash === hash);
+    if (!record) continue;
+    // Recorded at most once an hour, so requests don't all rewrite the users file
+    const now = new Date();
+    if (!record.lastUsedAt || now.getTime() - Date.parse(record.lastUsedAt) > 60 * 60 * 1000) {
+      record.lastUsedAt = now.toISOString();
+      await writeJson(accountsFile("users.json"), users);
+    }
+    return user;
+  }
+  return null;
+}
+
+async function usageOf(userId: string) {
+  usage ??= (await readJson<Record<string, Usage>>(accountsFile("usage.json"))) ?? {};
+  const day = new Date().toISOString().slice(0, 10);
+  if (usage[userId]?.day !== day) usage[userId] = { day, llmCalls: 0, renderMs: 0 };
+  return usage[userId];
+}
+
+/** Today's usage against the user's quotas. */
+export async function accountUsage(user: User) {
+  const { day, llmCalls, renderMs } = await usageOf(user.id);
+  return { day, llmCalls, renderSeconds: Math.round(renderMs / 1000), quotas: quotasFor(user) };
+}
+
+/** Counts a model call against the current user's daily quota, refusing it once the quota is used up. */
+export async function chargeLlmCall() {
+  const user = currentUser();
+  if (!user) return;
+  const today = await usageOf(user.id);
+  const { llmCallsPerDay } = quotasFor(user);
+  if (today.llmCalls >= llmCallsPerDay) {
+    throw new QuotaExceededError(`The daily limit of ${llmCallsPerDay} model calls is used up; it resets at midnight UTC`);
+  }
+  today.llmCalls++;
+  await writeJson(accountsFile("usage.json"), usage);
+}
+
+/** Refuses to start a render once the user's render time for the day is used up. */
+export async function checkRenderBudget(user: User | null) {
+  if (!user) return;
+  const today = await usageOf(user.id);
+  const { renderSecondsPerDay } = quotasFor(user);
+  if (today.renderMs >= renderSecondsPerDay * 1000) {
+    throw new QuotaExceededError(`The daily limit of ${renderSecondsPerDay} seconds of rendering is used up; it resets at midnight UTC`);
+  }
+}
+
+export async function recordRenderTime(user: User | null, ms: number) {
+  if (!user) return;
+  (await usageOf(user.id)).renderMs += ms;
+  await writeJson(accountsFile("usage.json"), usage);
+}
+
+function requestToken(req: Request) {
+  const header = req.headers.authorization?.match(/^Bearer\s+(\S+)$/i)?.[1];
+  if (header) return header;
+  const cookie = req.headers.cookie?.split(";").map(c => c.trim()).find(c => c.startsWith(`${TOKEN_COOKIE}=`));
+  if (!cookie) return null;
+  try {
+    return decodeURIComponent(cookie.slice(TOKEN_COOKIE.length + 1));
+  } catch {
+    // A malformed cookie is no token at all
+    return null;
+  }
+}
+
+/**
+ * Resolves the API token of the request (an `Authorization: Bearer` header, or the cookie set by /auth/login,
+ * which is how the browser loads artifact URLs) and runs the rest of the request as its user.
+ */
+export async function authenticate(req: Request, res: Response, next: NextFunction) {
+  if (!AUTH_REQUIRED) return next();
+  const token = requestToken(req);
+  const user = token ? await findUserByToken(token) : null;
+  if (!user) {
+    res.status(401).json({ error: "Sign in with an API token" });
+    return;
+  }
+  runAsUser(user, next);
+}
+
+/** Admin routes take ADMIN_TOKEN as a bearer token; without ADMIN_TOKEN they are disabled. */
+export function requireAdmin(req: Request, res: Response, next: NextFunction) {
+  const token = requestToken(req) ?? "";
+  if (!ADMIN_TOKEN || !crypto.timingSafeEqual(Buffer.from(hashToken(token)), Buffer.from(hashToken(ADMIN_TOKEN)))) {
+    res.status(403).json({ error: "Admin access needs ADMIN_TOKEN" });
+    return;
+  }
+  next();
+}
+
+/** The token a login request carries, if it belongs to an account. */
+export async function verifyToken(token: unknown) {
+  return typeof token === "string" && token ? findUserByToken(token) : null;
+}
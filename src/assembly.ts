@@ -0,0 +1,89 @@
+export interface AssemblyPart {
+  /** Also names the part's STL, so it is limited to letters, digits, _ and -. */
+  name: string;
+  /** OpenSCAD module in the model's code that builds the part. */
+  module: string;
+  /** Where the part sits in the assembled object, in mm. */
+  translate: number[];
+  /** Rotation [x, y, z] in degrees, applied before `translate`. */
+  rotate: number[];
+  /** OpenSCAD colour name or #rrggbb hex, for previews. */
+  color: string | null;
+}
+
+// Separates the generated assembly block from the model-written code in saved .scad files
+export const ASSEMBLY_MARKER = "// --- ASSEMBLY (generated from create_model parts) ---";
+
+const PARTS_COMMENT = "// parts: ";
+
+export const PARTS_DESCRIPTION =
+  "Optional. Splits the model into separately printed parts. Each part is built by a module in the code (named after the part unless " +
+  "`module` is given) and placed in the assembly with `rotate` (degrees) then `translate` (mm). With parts, the code only defines " +
+  "variables and modules; the assembly, per-part STLs and print plate are generated from this list.";
+
+function vector(value: unknown, label: string) {
+  if (value === undefined) return [0, 0, 0];
+  if (!Array.isArray(value) || value.length !== 3 || !value.every(v => typeof v === "number" && Number.isFinite(v))) {
+    throw new Error(`${label} must be three numbers`);
+  }
+  return value as number[];
+}
+
+/** Validates the parts of a create_model call, filling in defaults. */
+export function parseParts(raw: unknown): AssemblyPart[] {
+  if (raw === undefined || raw === null) return [];
+  if (!Array.isArray(raw)) throw new Error("parts must be a list");
+
+  const parts = raw.map((item, index) => {
+    if (typeof item !== "object" || item === null) throw new Error(`parts[${index}] must be an object`);
+    const { name, module = name, translate, rotate, color = null } = item as Record<string, unknown>;
+    if (typeof name !== "string" || !/^[a-zA-Z0-9_-]{1,40}$/.test(name)) {
+      throw new Error(`parts[${index}].name must be 1-40 letters, digits, _ or -`);
+    }
+    if (typeof module !== "string" || !/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(module)) {
+      throw new Error(`parts[${index}].module must be the name of an OpenSCAD module`);
+    }
+    if (color !== null && (typeof color !== "string" || !/^(#[0-9a-fA-F]{6}|[a-zA-Z]+)$/.test(color))) {
+      throw new Error(`parts[${index}].color must be a colour name or #rrggbb`);
+    }
+    return {
+      name,
+      module,
+      translate: vector(translate, `parts[${index}].translate`),
+      rotate: vector(rotate, `parts[${index}].rotate`),
+      color: color as string | null,
+    };
+  });
+
+  const names = parts.map(p => p.name.toLowerCase());
+  const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+  if (duplicate) throw new Error(`Part "${duplicate}" is listed twice`);
+  return parts;
+}
+
+/**
+ * OpenSCAD code that places every part for the assembly, or renders a single part when run with
+ * `-D part="name"`. The parts are kept as JSON in a comment so they travel with the file into revisions.
+ */
+export function assemblyCode(parts: AssemblyPart[]) {
+  const placed = parts.map(p =>
+    `  ${p.color ? `color(${JSON.stringify(p.color)}) ` : ""}translate([${p.translate.join(", ")}]) rotate([${p.rotate.join(", ")}]) ${p.module}();`);
+  return [
+    ASSEMBLY_MARKER,
+    PARTS_COMMENT + JSON.stringify(parts),
+    'part = "";',
+    'if (part == "") {',
+    ...placed,
+    "}",
+    ...parts.map(p => `if (part == ${JSON.stringify(p.name)}) ${p.module}();`),
+    "",
+  ].join("\n");
+}
+
+/** The parts recorded in a saved .scad file; empty for single-part models. */
+export function readParts(fullCode: string): AssemblyPart[] {
+  const markerIndex = fullCode.indexOf(ASSEMBLY_MARKER);
+  if (markerIndex === -1) return [];
+  const line = fullCode.slice(markerIndex).split("\n").find(l => l.startsWith(PARTS_COMMENT));
+  return line ? JSON.parse(line.slice(PARTS_COMMENT.length)) : [];
+}
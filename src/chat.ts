@@ -0,0 +1,357 @@
+import fs from "fs/promises";
+import { CREATE_MODEL_DESCRIPTION } from "./mcp.js";
+import { describeLibrary, LIBRARY_VERSION } from "./scad_lib.js";
+import { generateScad, RenderStage, toSafeName } from "./workspace.js";
+import { ScadDiagnostic, ScadRenderError } from "./scad_errors.js";
+import { analyzeStl, PrintabilityReport, summarizeReport } from "./stl.js";
+import { addModelToProject, archiveSessionMessages, getProject, loadSession, Project, saveSession, withSessionLock } from "./project_store.js";
+import { recordRevision } from "./revisions.js";
+import { CHAT_VIEWS, PreviewOptions, previewUrls, renderPreviewSet, resolvePreviewOptions } from "./previews.js";
+import { getProvider, resolveLlmSettings, ToolSchema } from "./llm.js";
+import { compactHistory, repairHistory, shrinkImages } from "./history.js";
+import { parseParts, PARTS_DESCRIPTION } from "./assembly.js";
+import { QuotaExceededError } from "./accounts.js";
+import { parseImageDataUrl, pinReference, proposeSpec, ReferenceSpec, referencePrompt, renderComparison, SPEC_TOOL, withReference } from "./references.js";
+
+export const MAX_REPAIR_ATTEMPTS = Math.max(1, Number(process.env.MAX_REPAIR_ATTEMPTS) || 3);
+
+// Whether the model gets to comment on the render it just made, unless the request says otherwise
+const FOLLOW_UP = /^(1|true)$/i.test(process.env.CHAT_FOLLOW_UP ?? "");
+
+export interface RepairAttempt {
+  attempt: number;
+  code: string;
+  error: string | null;
+  diagnostics: ScadDiagnostic[];
+}
+
+const SYSTEM_PROMPT = `
+You are an expert 3D Architect.
+You do NOT write raw geometry math. You use the provided **STANDARD LIBRARY**.
+
+### THE STANDARD LIBRARY v${LIBRARY_VERSION} (Already included):
+${describeLibrary()}
+
+### RULES:
+- Use 'union()' to combine parts.
+- If the user asks to "increase hollow area", reduce the wall thickness or increase the radius in your code.
+- Always output the FULL code for the part.
+- Declare the main dimensions as top-level variables before any module, with OpenSCAD Customizer comments (e.g. \`height = 40; // [10:200]\`) so the user can tweak them with sliders.
+- For objects printed in several pieces (a box and its lid, a hinge), give each piece a module and list them in 'parts' with their assembled position and a colour. Model each part in its print orientation where you can.
+`;
+
+function systemPrompt(extraInstructions: string[]) {
+  return extraInstructions.length > 0 ? `${SYSTEM_PROMPT}\n### ADDITIONAL INSTRUCTIONS:\n${extraInstructions.join("\n\n")}\n` : SYSTEM_PROMPT;
+}
+
+const createToolSchema: ToolSchema = {
+  name: "create_model",
+  description: CREATE_MODEL_DESCRIPTION,
+  input_schema: {
+    type: "object",
+    properties: {
+      filename: { type: "string" },
+      code: { type: "string", description: "The OpenSCAD logic calling Standard Library modules." },
+      parts: {
+        type: "array",
+        description: PARTS_DESCRIPTION,
+        items: {
+          type: "object",
+          properties: {
+            name: { type: "string" },
+            module: { type: "string" },
+            translate: { type: "array", items: { type: "number" } },
+            rotate: { type: "array", items: { type: "number" } },
+            color: { type: "string", description: "Colour name or #rrggbb." }
+          },
+          required: ["name"]
+        }
+      }
+    },
+    required: ["filename", "code"]
+  }
+};
+
+export interface ChatRequest {
+  message?: string;
+  /** data: URL of an attached image. */
+  image?: string;
+  projectId?: string;
+  sessionId?: string;
+  material?: string;
+  /** Views (PREVIEW_VIEWS when omitted), colour scheme, size and turntable of the previews; see resolvePreviewOptions. */
+  preview?: Record<string, unknown>;
+  /** Lets the model see the render result and reply to it before the turn ends; defaults to CHAT_FOLLOW_UP. */
+  followUp?: boolean;
+  /** Pins `image` to the project as its reference, scaled by this known dimension ("the coin is 24 mm"). */
+  reference?: string;
+}
+
+export interface ChatResponse {
+  text: string;
+  image?: string | null;
+  model?: string;
+  revision?: number;
+  printability?: PrintabilityReport | null;
+  views?: ReturnType<typeof previewUrls> | null;
+  /** STLs of the assembly's parts, when the model has any. */
+  parts?: { name: string; color: string | null; model: string }[];
+  /** The spec read off the project's reference image, when the model proposed one this turn. */
+  spec?: ReferenceSpec;
+  /** The reference image next to the new preview. */
+  comparison?: string | null;
+  attempts?: RepairAttempt[];
+}
+
+/** Progress of one /chat turn, in the order it happens; /chat/stream forwards these as server-sent events. */
+export type ChatEvent =
+  | { type: "text"; text: string }
+  | { type: "code"; attempt: number; delta: string }
+  | { type: "tool_call"; attempt: number; filename: string; code: string }
+  | { type: "stage"; attempt: number; stage: Exclude<RenderStage, "preview_ready"> | "analyzing" | "rendering_views" | "comparing" | "reviewing" }
+  | { type: "preview"; attempt: number; image: string }
+  | { type: "views"; attempt: number; views: ReturnType<typeof previewUrls> }
+  | { type: "spec"; attempt: number; spec: ReferenceSpec }
+  | { type: "attempt_failed"; attempt: number; error: string; diagnostics: ScadDiagnostic[] };
+
+/**
+ * Runs one chat turn: asks the model for code, renders it and lets the model repair render errors.
+ * Resolves with the HTTP status and body /chat responds with; `emit` reports progress along the way.
+ */
+export async function runChat(request: ChatRequest, emit: (event: ChatEvent) => void = () => {}): Promise<{ status: number; body: ChatResponse }> {
+  // A project's conversation is stored under the project's id
+  const sessionId = request.projectId || request.sessionId;
+  if (!sessionId) return { status: 400, body: { text: "A sessionId or projectId is required" } };
+  // A second turn on the same session waits for the first, instead of mixing its messages into the same history
+  return withSessionLock(sessionId, () => runTurn(request, sessionId, emit));
+}
+
+async function runTurn(request: ChatRequest, sessionId: string, emit: (event: ChatEvent) => void): Promise<{ status: number; body: ChatResponse }> {
+  const { message: userPrompt, image: userImage, projectId, material } = request;
+  let history: any[];
+  let previewOptions: PreviewOptions;
+  let llm: ReturnType<typeof resolveLlmSettings>;
+  let project: Project | null;
+  try {
+    if (!userPrompt && !userImage) throw new Error("A message or image is required");
+    if (request.reference !== undefined && !(projectId && userImage)) throw new Error("A reference needs an image and a projectId to pin it to");
+    previewOptions = resolvePreviewOptions(request.preview, CHAT_VIEWS);
+    project = projectId ? await getProject(projectId) : null;
+    if (projectId && !project) {
+      return { status: 404, body: { text: `Project "${projectId}" not found` } };
+    }
+    if (request.reference !== undefined) project = await pinReference(projectId!, userImage!, String(request.reference));
+    llm = resolveLlmSettings(project?.llm);
+    history = await loadSession(sessionId);
+  } catch (error) {
+    return { status: 400, body: { text: (error as Error).message } };
+  }
+
+  try {
+    const contentPayload: any[] = [];
+    // A pinned reference is attached to every request by withReference, so the history only notes it
+    if (request.reference !== undefined) {
+      contentPayload.push({ type: "text", text: `[Pinned a new reference image. Known dimension: ${project!.reference!.dimension}]` });
+    } else if (userImage) {
+      const image = parseImageDataUrl(userImage);
+      if (image) contentPayload.push({ type: "image", source: { type: "base64", media_type: image.mediaType, data: image.data } });
+    }
+    if (userPrompt) contentPayload.push({ type: "text", text: userPrompt });
+
+    history.push({ role: "user", content: contentPayload });
+    repairHistory(history);
+    await shrinkImages(history);
+    const condensed = await compactHistory(history, llm.model);
+    if (condensed.length > 0) await archiveSessionMessages(sessionId, condensed);
+
+    const attempts: RepairAttempt[] = [];
+
+    const callModel = async (attempt: number, toolChoice: "auto" | "none" = "auto") => {
+      const reference = project?.reference;
+      // Until the user confirms the spec read off the reference, the model can only propose one
+      const tools = !reference ? [createToolSchema] : reference.spec?.confirmedAt ? [createToolSchema, SPEC_TOOL] : [SPEC_TOOL];
+      // The tool input arrives as partial JSON; forward only the newly written part of `code`
+      let streamedCode = "";
+      return getProvider().createMessage({
+        model: llm.model,
+        maxTokens: llm.maxTokens,
+        system: systemPrompt(llm.extraInstructions) + (reference ? referencePrompt(reference) : ""),
+        messages: reference ? await withReference(history, projectId!, reference) : history,
+        tools,
+        toolChoice
+      }, {
+        onText: text => emit({ type: "text", text }),
+        onToolInput: snapshot => {
+          const code = snapshot.code;
+          if (typeof code === "string" && code.length > streamedCode.length && code.startsWith(streamedCode)) {
+            emit({ type: "code", attempt, delta: code.slice(streamedCode.length) });
+            streamedCode = code;
+          }
+        },
+      });
+    };
+
+    for (let attempt = 1; ; attempt++) {
+      const msg = await callModel(attempt);
+      history.push({ role: "assistant", content: msg.content });
+
+      const toolUse = msg.content.find(c => c.type === "tool_use");
+
+      if (!toolUse) {
+        const text = msg.content.find(c => c.type === "text");
+        return { status: 200, body: { text: text?.type === "text" ? text.text : "Error", image: null, attempts } };
+      }
+
+      const awaitingSpec = project?.reference && !project.reference.spec?.confirmedAt;
+      if (toolUse.name === SPEC_TOOL.name || awaitingSpec) {
+        let error: string | null = null;
+        try {
+          if (toolUse.name !== SPEC_TOOL.name) throw new Error("Call propose_spec and wait for the user to confirm it before calling create_model");
+          project = await proposeSpec(projectId!, toolUse.input as Record<string, unknown>);
+        } catch (err) {
+          error = (err as Error).message;
+        }
+        history.push({
+          role: "user",
+          content: [{
+            type: "tool_result",
+            tool_use_id: toolUse.id,
+            ...(error
+              ? { is_error: true, content: `Error: ${error}` }
+              : { content: "Spec saved. The user will check it; wait for their confirmation or corrections before calling create_model." })
+          }]
+        });
+        if (error) {
+          if (attempt >= MAX_REPAIR_ATTEMPTS) return { status: 500, body: { text: `No valid spec after ${attempt} attempt(s): ${error}`, attempts } };
+          continue;
+        }
+
+        const spec = project!.reference!.spec!;
+        emit({ type: "spec", attempt, spec });
+        const text = msg.content.map(c => c.type === "text" ? c.text : "").join("").trim();
+        return { status: 200, body: { text: text || "Please check these dimensions before I start modelling.", image: null, spec, attempts } };
+      }
+
+      const { filename, code, parts: rawParts } = toolUse.input as any;
+      emit({ type: "tool_call", attempt, filename, code });
+
+      try {
+        const parts = parseParts(rawParts);
+        const { safeName, stlPath, pngPath } = await generateScad(filename, code, stage => {
+          if (stage === "preview_ready") emit({ type: "preview", attempt, image: `/images/${toSafeName(filename)}.png?v=${Date.now()}` });
+          else emit({ type: "stage", attempt, stage });
+        }, { colorScheme: previewOptions.colorScheme, size: previewOptions.size }, parts);
+        const { revision } = await recordRevision(safeName, userPrompt || null);
+        if (projectId) await addModelToProject(projectId, safeName);
+        emit({ type: "stage", attempt, stage: "analyzing" });
+        const printability = await analyzeStl(stlPath, { material }).catch(err => {
+          console.error("Printability analysis failed:", err);
+          return null;
+        });
+
+        // The views go back to the model with the tool result, so it can check features the main preview hides
+        let preview: Awaited<ReturnType<typeof renderPreviewSet>> | null = null;
+        if (previewOptions.views.length > 0 || previewOptions.turntable) {
+          emit({ type: "stage", attempt, stage: "rendering_views" });
+          preview = await renderPreviewSet(safeName, previewOptions).catch(err => {
+            console.error("Rendering views failed:", err);
+            return null;
+          });
+        }
+        const views = preview && previewUrls(preview);
+        if (views) emit({ type: "views", attempt, views });
+
+        let comparisonPath: string | null = null;
+        if (project?.reference) {
+          emit({ type: "stage", attempt, stage: "comparing" });
+          comparisonPath = await renderComparison(projectId!, project.reference, pngPath).catch(err => {
+            console.error("Rendering the comparison failed:", err);
+            return null;
+          });
+        }
+
+        attempts.push({ attempt, code, error: null, diagnostics: [] });
+        const resultText = `Success. Generated ${safeName}.png (revision ${revision})` +
+          (parts.length > 0 ? ` with parts ${parts.map(p => p.name).join(", ")}, each rendered to its own STL` : "") +
+          (printability ? `. Printability: ${summarizeReport(printability)}` : "") +
+          (preview?.sheetPath ? `. Attached: ${preview.views.map(v => v.view).join(", ")} views; check that they match the request` : "") +
+          (comparisonPath ? ". Also attached: the reference image next to the preview; compare proportions and features with it" : "");
+        const attachments = [preview?.sheetPath, comparisonPath].filter((file): file is string => Boolean(file));
+        history.push({
+            role: "user",
+            content: [{
+                type: "tool_result",
+                tool_use_id: toolUse.id,
+                content: attachments.length > 0
+                  ? [
+                      { type: "text", text: resultText },
+                      ...await Promise.all(attachments.map(async file =>
+                        ({ type: "image", source: { type: "base64", media_type: "image/png", data: (await fs.readFile(file)).toString("base64") } })))
+                    ]
+                  : resultText
+            }]
+        });
+
+        const body: ChatResponse = {
+          text: `I've updated the model for "${filename}".`,
+          image: `/images/${safeName}.png`,
+          model: `/images/${safeName}.stl`,
+          revision,
+          printability,
+          views,
+          ...(project?.reference && { comparison: comparisonPath && `/projects/${projectId}/reference/comparison?v=${Date.now()}` }),
+          ...(parts.length > 0 && { parts: parts.map(p => ({ name: p.name, color: p.color, model: `/images/${safeName}.${p.name}.stl` })) }),
+          attempts
+        };
+
+        if (request.followUp ?? FOLLOW_UP) {
+          emit({ type: "stage", attempt, stage: "reviewing" });
+          // Text only, so the review can't start a render the user hasn't asked for
+          const review = await callModel(attempt, "none").catch(err => {
+            console.error("Follow-up turn failed:", err);
+            return null;
+          });
+          const reviewText = review?.content.map(c => c.type === "text" ? c.text : "").join("").trim();
+          if (reviewText) {
+            history.push({ role: "assistant", content: [{ type: "text", text: reviewText }] });
+            body.text = reviewText;
+          }
+        }
+        return { status: 200, body };
+      } catch (err) {
+        // Not something the model can repair
+        if (err instanceof QuotaExceededError) throw err;
+        const diagnostics = err instanceof ScadRenderError ? err.diagnostics : [];
+        const error = err instanceof Error ? err.message : String(err);
+        attempts.push({ attempt, code, error, diagnostics });
+        emit({ type: "attempt_failed", attempt, error, diagnostics });
+
+        const giveUp = attempt >= MAX_REPAIR_ATTEMPTS;
+        history.push({
+            role: "user",
+            content: [{
+                type: "tool_result",
+                tool_use_id: toolUse.id,
+                is_error: true,
+                content: `OpenSCAD could not render your code (attempt ${attempt} of ${MAX_REPAIR_ATTEMPTS}).\n` +
+                  `${error}\n` +
+                  `Diagnostics: ${JSON.stringify(diagnostics)}\n` +
+                  (giveUp ? "No attempts left." : "Fix these problems and call create_model again with the FULL corrected code.")
+            }]
+        });
+
+        if (giveUp) {
+          return { status: 500, body: { text: `Generation failed after ${attempt} attempt(s). See the attempts for OpenSCAD's errors.`, attempts } };
+        }
+        console.log(`🔧 Attempt ${attempt} failed, asking the model to repair it...`);
+      }
+    }
+
+  } catch (error) {
+    if (error instanceof QuotaExceededError) return { status: 429, body: { text: error.message } };
+    console.error(error);
+    return { status: 500, body: { text: "API Error: " + (error as Error).message } };
+  } finally {
+    await saveSession(sessionId, history).catch(err => console.error("Failed to save session:", err));
+  }
+}
@@ -0,0 +1,219 @@
+#!/usr/bin/env node
+import fs from "fs/promises";
+import path from "path";
+import { parseArgs } from "util";
+import { analyzeModel, exportsDir, findOrphanedFiles, inWorkspace, listModels, rerenderModel, toSafeName, workspaceDir } from "./workspace.js";
+import { listRevisions, pruneRevisions } from "./revisions.js";
+import { exportFormats, parseFormats, zipExport } from "./export.js";
+import { PrintabilityReport, summarizeReport } from "./stl.js";
+import { LIBRARY_VERSION } from "./scad_lib.js";
+import { listUsers, userWorkspaceDir } from "./accounts.js";
+
+const USAGE = `Usage: mm <command> [models...] [options]
+
+Commands:
+  list                      Models with their revisions, render status and library version
+  render [models] [--all]   Re-render models with the current Standard Library; --outdated picks those on an older one
+  export <model>            Export to --formats stl,3mf,... (default stl) into --out (default .exports/<model>); --zip, --cut-height
+  printability [models]     Check printability; --material, --density, --overhang
+  orphans [--delete]        Previews and STLs whose model has no .scad
+  prune [models] --keep N   Delete all but the newest N revisions (default 10); --dry-run
+  serve [--stdio]           Start the web server, or the MCP server on stdio
+
+Options:
+  --user <id>   Work in a user's workspace (with REQUIRE_AUTH)
+  --json        Print machine-readable JSON`;
+
+class UsageError extends Error {}
+
+let parsed;
+try {
+  parsed = parseArgs({
+    allowPositionals: true,
+    options: {
+      all: { type: "boolean", default: false },
+      outdated: { type: "boolean", default: false },
+      formats: { type: "string", default: "stl" },
+      out: { type: "string" },
+      zip: { type: "boolean", default: false },
+      "cut-height": { type: "string" },
+      material: { type: "string", default: "PLA" },
+      density: { type: "string" },
+      overhang: { type: "string", default: "45" },
+      keep: { type: "string", default: "10" },
+      "dry-run": { type: "boolean", default: false },
+      delete: { type: "boolean", default: false },
+      user: { type: "string" },
+      json: { type: "boolean", default: false },
+      stdio: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+} catch (err) {
+  console.error(`${(err as Error).message}\n\n${USAGE}`);
+  process.exit(2);
+}
+const { values: options, positionals: [command, ...names] } = parsed;
+
+function log(message = "") {
+  if (!options.json) console.log(message);
+}
+
+// The named models, or every model in the workspace
+async function selectModels(required = false) {
+  if (names.length > 0) return names.map(toSafeName);
+  if (required && !options.all && !options.outdated) throw new UsageError("Name the models, or pass --all");
+  return (await listModels()).map(m => m.name);
+}
+
+async function list() {
+  const models = await Promise.all((await listModels()).map(async model => {
+    const revisions = await listRevisions(model.name);
+    return { ...model, revisions: revisions.length, lastRevisionAt: revisions.at(-1)?.createdAt ?? null };
+  }));
+
+  if (models.length === 0) log("The workspace has no models.");
+  for (const m of models) {
+    const library = m.libraryVersion === LIBRARY_VERSION ? "" : `, library v${m.libraryVersion ?? "?"}`;
+    const icon = m.render === "ok" ? "✅" : m.render === "stale" ? "⚠️ " : "❌";
+    log(`${icon} ${m.name} - ${m.revisions} revision(s), render ${m.render}${library}, updated ${m.updatedAt}`);
+  }
+  return { libraryVersion: LIBRARY_VERSION, models };
+}
+
+async function render() {
+  let models = await selectModels(true);
+  if (options.outdated) {
+    const outdated = new Set((await listModels()).filter(m => m.libraryVersion !== LIBRARY_VERSION).map(m => m.name));
+    models = models.filter(name => outdated.has(name));
+  }
+
+  log(`🔄 Re-rendering ${models.length} model(s) with Standard Library v${LIBRARY_VERSION}...`);
+  const results = [];
+  for (const name of models) {
+    try {
+      const { previousLibraryVersion } = await rerenderModel(name);
+      results.push({ name, ok: true, previousLibraryVersion });
+      log(`✅ ${name}${previousLibraryVersion === LIBRARY_VERSION ? "" : ` (was v${previousLibraryVersion ?? "?"})`}`);
+    } catch (err) {
+      results.push({ name, ok: false, error: (err as Error).message });
+      log(`❌ ${name} - ${(err as Error).message}`);
+    }
+  }
+  if (results.some(r => !r.ok)) process.exitCode = 1;
+  return { libraryVersion: LIBRARY_VERSION, results };
+}
+
+async function exportCommand() {
+  if (names.length !== 1) throw new UsageError("Name one model to export");
+  const formats = parseFormats(options.formats.split(",").filter(Boolean));
+  const cutHeight = options["cut-height"] === undefined ? undefined : Number(options["cut-height"]);
+  if (cutHeight !== undefined && !Number.isFinite(cutHeight)) throw new UsageError("--cut-height must be a number");
+
+  const outDir = path.resolve(options.out ?? path.join(exportsDir(), toSafeName(names[0])));
+  const exported = await exportFormats(names[0], formats, { cutHeight, outDir });
+  let files = exported.files.map(f => f.path);
+  if (options.zip) {
+    const zipPath = path.join(outDir, `${exported.safeName}.zip`);
+    await fs.writeFile(zipPath, await zipExport(exported));
+    files = [zipPath];
+  }
+  files.forEach(file => log(`📦 ${file}`));
+  return { name: exported.safeName, files };
+}
+
+async function printability() {
+  const models = await selectModels();
+  const reports: Record<string, PrintabilityReport | { error: string }> = {};
+  for (const name of models) {
+    try {
+      reports[name] = await analyzeModel(name, {
+        material: options.material,
+        density: options.density ? Number(options.density) : undefined,
+        overhangAngle: Number(options.overhang),
+      });
+    } catch (err) {
+      reports[name] = { error: (err as Error).message };
+    }
+  }
+
+  let ready = 0;
+  for (const [name, report] of Object.entries(reports)) {
+    if ("error" in report) {
+      log(`❌ ${name} - ${report.error}`);
+      continue;
+    }
+    if (report.warnings.length === 0) ready++;
+    log(`${report.warnings.length === 0 ? "✅" : "⚠️ "} ${name} - ${summarizeReport(report)}`);
+    report.warnings.forEach(warning => log(`     • ${warning}`));
+  }
+  log(`\n✅ Print-ready: ${ready} of ${models.length} model(s)`);
+  return reports;
+}
+
+async function orphans() {
+  const files = await findOrphanedFiles();
+  const sizes = await Promise.all(files.map(async file => (await fs.stat(file)).size));
+  if (options.delete) await Promise.all(files.map(file => fs.rm(file, { force: true })));
+
+  files.forEach((file, i) => log(`${options.delete ? "🗑️ " : "📄"} ${path.relative(workspaceDir(), file)} - ${(sizes[i] / 1024).toFixed(2)} KB`));
+  const total = sizes.reduce((sum, size) => sum + size, 0);
+  log(files.length === 0 ? "No orphaned files." : `💾 ${options.delete ? "Freed" : "Orphaned"}: ${(total / (1024 * 1024)).toFixed(2)} MB`);
+  return { deleted: options.delete, files: files.map((file, i) => ({ path: file, size: sizes[i] })) };
+}
+
+async function prune() {
+  const keep = Number(options.keep);
+  if (!Number.isInteger(keep) || keep < 1) throw new UsageError("--keep must be a whole number of at least 1");
+  const results = [];
+  for (const name of await selectModels()) {
+    const { removed, kept } = await pruneRevisions(name, keep, { dryRun: options["dry-run"] });
+    results.push({ name, removed: removed.map(r => r.revision), kept });
+    if (removed.length > 0) {
+      log(`✂️  ${name} - ${options["dry-run"] ? "would delete" : "deleted"} ${removed.length} revision(s), kept ${kept}`);
+    }
+  }
+  if (results.every(r => r.removed.length === 0)) log(`Nothing to prune; no model has more than ${keep} revision(s).`);
+  return { dryRun: options["dry-run"], keep, results };
+}
+
+const COMMANDS: Record<string, () => Promise<unknown>> = {
+  list,
+  render,
+  export: exportCommand,
+  printability,
+  orphans,
+  prune,
+};
+
+async function main() {
+  if (command === "serve") {
+    // index.ts reads --stdio from process.argv itself
+    await import("./index.js");
+    return;
+  }
+  if (options.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+  if (!(command in COMMANDS)) throw new UsageError(`Unknown command "${command}"`);
+
+  let dir = workspaceDir();
+  if (options.user) {
+    if (!(await listUsers()).some(u => u.id === options.user)) throw new Error(`User "${options.user}" not found`);
+    dir = userWorkspaceDir(options.user);
+  }
+  const result = await inWorkspace(dir, COMMANDS[command]);
+  if (options.json) console.log(JSON.stringify(result, null, 2));
+}
+
+try {
+  await main();
+} catch (err) {
+  if (err instanceof UsageError) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+  console.error(`❌ ${(err as Error).message}`);
+  process.exit(1);
+}
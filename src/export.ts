@@ -0,0 +1,233 @@
+import fs from "fs/promises";
+import path from "path";
+import JSZip from "jszip";
+import sharp from "sharp";
+import { ScadRenderError } from "./scad_errors.js";
+import { AssemblyPart } from "./assembly.js";
+import { parseStl, TriangleSoup } from "./stl.js";
+import { checkedRender, exportsDir, modelPaths, readModelParameters, readModelParts, readModelSource, renderFile, renderStl } from "./workspace.js";
+import { ParameterValue } from "./parameters.js";
+
+interface FormatSpec {
+  suffix: string;
+  args: string[];
+  /** 2D formats are rendered from a projection() of the model's STL. */
+  flat?: boolean;
+  /** Written by ModelMint from per-part STL renders rather than by OpenSCAD. */
+  assembled?: boolean;
+}
+
+export type ExportFormat = "stl" | "stl-binary" | "3mf" | "obj" | "amf" | "off" | "dxf" | "svg";
+
+export const EXPORT_FORMATS: Record<ExportFormat, FormatSpec> = {
+  stl: { suffix: ".stl", args: ["--export-format", "asciistl"] },
+  "stl-binary": { suffix: "_binary.stl", args: ["--export-format", "binstl"] },
+  "3mf": { suffix: ".3mf", args: [], assembled: true },
+  obj: { suffix: ".obj", args: [] },
+  amf: { suffix: ".amf", args: [] },
+  off: { suffix: ".off", args: [] },
+  dxf: { suffix: ".dxf", args: [], flat: true },
+  svg: { suffix: ".svg", args: [], flat: true },
+};
+
+export interface ExportOptions {
+  /** DXF/SVG: height of the horizontal cut through the model. Without it they show the model's outline seen from above. */
+  cutHeight?: number;
+  /** Defaults to .exports/<model>/, which is overwritten by the next export. */
+  outDir?: string;
+}
+
+export interface ExportedFile {
+  format: ExportFormat;
+  path: string;
+}
+
+export function parseFormats(formats: string[]) {
+  const unknown = formats.filter(f => !(f.toLowerCase() in EXPORT_FORMATS));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown export format(s) ${unknown.join(", ")}; use ${Object.keys(EXPORT_FORMATS).join(", ")}`);
+  }
+  return [...new Set(formats.map(f => f.toLowerCase() as ExportFormat))];
+}
+
+interface ThreeMfObject {
+  name: string;
+  soup: TriangleSoup;
+  /** #rrggbb, or null for the slicer's default. */
+  color: string | null;
+  /** Placement in the build as a 3MF 4×3 matrix. */
+  transform: number[];
+}
+
+const IDENTITY = [1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0];
+
+// OpenSCAD's rotate([x, y, z]) then translate(), in 3MF's row-vector order: p' = p · M
+function partTransform(part: AssemblyPart) {
+  const [cx, cy, cz] = part.rotate.map(d => Math.cos((d * Math.PI) / 180));
+  const [sx, sy, sz] = part.rotate.map(d => Math.sin((d * Math.PI) / 180));
+  // Rz · Ry · Rx
+  const r = [
+    [cy * cz, sx * sy * cz - cx * sz, cx * sy * cz + sx * sz],
+    [cy * sz, sx * sy * sz + cx * cz, cx * sy * sz - sx * cz],
+    [-sy, sx * cy, cx * cy],
+  ];
+  return [0, 1, 2].flatMap(i => [r[0][i], r[1][i], r[2][i]]).concat(part.translate);
+}
+
+// OpenSCAD colour names are the CSS ones, which sharp understands
+async function colorHex(color: string | null) {
+  if (!color) return null;
+  if (color.startsWith("#")) return color.toUpperCase();
+  try {
+    const pixel = await sharp({ create: { width: 1, height: 1, channels: 3, background: color } }).raw().toBuffer();
+    return `#${[...pixel].map(v => v.toString(16).padStart(2, "0")).join("")}`.toUpperCase();
+  } catch {
+    return null;
+  }
+}
+
+/** One object per part, each rendered on its own and placed like in the assembly; the whole model for single-part models. */
+async function render3mfObjects(safeName: string, values: Record<string, ParameterValue>, aiCode: string, outDir: string) {
+  const { scadPath } = modelPaths(safeName);
+  const parts = await readModelParts(safeName);
+  const objects: ThreeMfObject[] = [];
+  for (const part of parts.length > 0 ? parts : [null]) {
+    const stlPath = path.join(outDir, `${safeName}.${part?.name ?? "model"}.3mf-source.stl`);
+    try {
+      await checkedRender(renderStl(scadPath, stlPath, part ? { ...values, part: part.name } : values), aiCode);
+      objects.push({
+        name: part?.name ?? safeName,
+        soup: parseStl(await fs.readFile(stlPath)),
+        color: await colorHex(part?.color ?? null),
+        transform: part ? partTransform(part) : IDENTITY,
+      });
+    } finally {
+      await fs.rm(stlPath, { force: true });
+    }
+  }
+  return objects;
+}
+
+const xmlEscape = (text: string) => text.replace(/[<>&"]/g, c => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;" })[c]!);
+const num = (value: number) => String(Math.round(value * 1e6) / 1e6);
+
+/** A 3MF package in millimetres with a base material per coloured object. */
+async function build3mf(objects: ThreeMfObject[]) {
+  const colored = objects.filter(o => o.color);
+  const materialsId = objects.length + 1;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<model unit="millimeter" xml:lang="en-US" xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02">',
+    "  <resources>",
+  ];
+  if (colored.length > 0) {
+    lines.push(`    <basematerials id="${materialsId}">`);
+    for (const object of colored) lines.push(`      <base name="${xmlEscape(object.name)}" displaycolor="${object.color}" />`);
+    lines.push("    </basematerials>");
+  }
+
+  for (const [index, object] of objects.entries()) {
+    const material = object.color ? ` pid="${materialsId}" pindex="${colored.indexOf(object)}"` : "";
+    lines.push(`    <object id="${index + 1}" name="${xmlEscape(object.name)}" type="model"${material}>`, "      <mesh>", "        <vertices>");
+    // STL repeats shared corners per triangle; 3MF meshes index them
+    const vertexIds = new Map<string, number>();
+    const triangles: number[] = [];
+    for (let i = 0; i < object.soup.length; i += 3) {
+      const key = [object.soup[i], object.soup[i + 1], object.soup[i + 2]].map(num).join(" ");
+      let id = vertexIds.get(key);
+      if (id === undefined) {
+        id = vertexIds.size;
+        vertexIds.set(key, id);
+        const [x, y, z] = key.split(" ");
+        lines.push(`          <vertex x="${x}" y="${y}" z="${z}" />`);
+      }
+      triangles.push(id);
+    }
+    lines.push("        </vertices>", "        <triangles>");
+    for (let t = 0; t < triangles.length; t += 3) {
+      lines.push(`          <triangle v1="${triangles[t]}" v2="${triangles[t + 1]}" v3="${triangles[t + 2]}" />`);
+    }
+    lines.push("        </triangles>", "      </mesh>", "    </object>");
+  }
+
+  lines.push("  </resources>", "  <build>");
+  objects.forEach((object, index) => lines.push(`    <item objectid="${index + 1}" transform="${object.transform.map(num).join(" ")}" />`));
+  lines.push("  </build>", "</model>", "");
+
+  const zip = new JSZip();
+  zip.file("[Content_Types].xml", [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">',
+    '  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml" />',
+    '  <Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml" />',
+    "</Types>",
+    "",
+  ].join("\n"));
+  zip.file("_rels/.rels", [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+    '  <Relationship Target="/3D/3dmodel.model" Id="rel0" Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel" />',
+    "</Relationships>",
+    "",
+  ].join("\n"));
+  zip.file("3D/3dmodel.model", lines.join("\n"));
+  return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+}
+
+/** Renders a saved model, with its saved parameter values, to each requested format. */
+export async function exportFormats(name: string, formats: ExportFormat[], options: ExportOptions = {}) {
+  const { safeName, values } = await readModelParameters(name);
+  const { scadPath } = modelPaths(safeName);
+  const aiCode = await readModelSource(safeName);
+  const outDir = options.outDir ?? path.join(exportsDir(), safeName);
+  await fs.mkdir(outDir, { recursive: true });
+
+  const files: ExportedFile[] = [];
+  for (const format of formats.filter(f => !EXPORT_FORMATS[f].flat)) {
+    const spec = EXPORT_FORMATS[format];
+    const outPath = path.join(outDir, safeName + spec.suffix);
+    if (spec.assembled) {
+      await fs.writeFile(outPath, await build3mf(await render3mfObjects(safeName, values, aiCode, outDir)));
+    } else {
+      await checkedRender(renderFile(scadPath, outPath, values, spec.args), aiCode);
+    }
+    files.push({ format, path: outPath });
+  }
+
+  const flatFormats = formats.filter(f => EXPORT_FORMATS[f].flat);
+  if (flatFormats.length > 0) {
+    // projection() needs the geometry as a child, so 2D exports cut the rendered STL rather than the source
+    const meshPath = files.find(f => f.format === "stl")?.path ?? path.join(outDir, `${safeName}.projection-source.stl`);
+    if (!files.some(f => f.path === meshPath)) await checkedRender(renderFile(scadPath, meshPath, values), aiCode);
+
+    const cut = options.cutHeight !== undefined;
+    const projectionPath = path.join(outDir, `${safeName}.projection.scad`);
+    await fs.writeFile(projectionPath,
+      `projection(cut = ${cut}) translate([0, 0, ${cut ? -options.cutHeight! : 0}]) import("${path.basename(meshPath)}");\n`);
+
+    for (const format of flatFormats) {
+      const outPath = path.join(outDir, safeName + EXPORT_FORMATS[format].suffix);
+      await checkedRender(renderFile(projectionPath, outPath), aiCode).catch(err => {
+        if (cut && err instanceof ScadRenderError && err.diagnostics.some(d => d.kind === "empty")) {
+          throw new Error(`The cut at z = ${options.cutHeight} does not intersect "${safeName}"`);
+        }
+        throw err;
+      });
+      files.push({ format, path: outPath });
+    }
+    await fs.rm(projectionPath, { force: true });
+    if (!files.some(f => f.path === meshPath)) await fs.rm(meshPath, { force: true });
+  }
+
+  return { safeName, scadPath, files };
+}
+
+/** Bundles exported files with the full .scad source (library included) and the parameter values they were rendered with. */
+export async function zipExport(exported: { safeName: string; scadPath: string; files: ExportedFile[] }) {
+  const zip = new JSZip();
+  for (const file of exported.files) zip.file(path.basename(file.path), await fs.readFile(file.path));
+  zip.file(`${exported.safeName}.scad`, await fs.readFile(exported.scadPath));
+  const { values } = await readModelParameters(exported.safeName);
+  if (Object.keys(values).length > 0) zip.file(`${exported.safeName}.params.json`, JSON.stringify(values, null, 2));
+  return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+}
@@ -0,0 +1,134 @@
+import fs from "fs/promises";
+import path from "path";
+import sharp from "sharp";
+import { checkedRender, extractModelCode, inWorkspace, renderPng, renderStl, withCurrentLibrary } from "./workspace.js";
+import { analyzeStl } from "./stl.js";
+
+/** What a golden model is compared on. */
+export interface GoldenMetrics {
+  triangles: number;
+  boundingBox: { min: number[]; max: number[] };
+  /** mm³ */
+  volume: number;
+}
+
+export interface GoldenTolerance {
+  /** mm, per bounding box coordinate. */
+  boundingBox: number;
+  /** Relative, e.g. 0.005 for 0.5 %. */
+  volume: number;
+  /** Relative; OpenSCAD versions and geometry backends triangulate the same shape differently. */
+  triangles: number;
+  /** Share of preview pixels that may differ noticeably. */
+  preview: number;
+}
+
+export interface GoldenBaseline {
+  /** Missing on excluded models. */
+  metrics?: GoldenMetrics;
+  /** Overrides DEFAULT_TOLERANCE for this model. */
+  tolerance?: Partial<GoldenTolerance>;
+  /** Why the model is left out of the golden set; it is reported and skipped instead of rendered. */
+  excluded?: string;
+}
+
+export const DEFAULT_TOLERANCE: GoldenTolerance = {
+  boundingBox: 0.05,
+  volume: 0.005,
+  triangles: 0.05,
+  preview: 0.02,
+};
+
+const PREVIEW_COMPARE_SIZE = 128;
+// Grey levels (of 255) two blurred pixels may differ by before they count as different
+const PREVIEW_PIXEL_THRESHOLD = 24;
+
+/**
+ * Renders a golden model with the current Standard Library into `outDir` and measures the STL.
+ * Plain fixtures get the library prepended; saved workspace models have theirs replaced.
+ */
+export async function renderGolden(name: string, scadFile: string, outDir: string, { preview = false } = {}) {
+  const fullCode = await fs.readFile(scadFile, "utf8");
+  const scadPath = path.join(outDir, `${name}.scad`);
+  const stlPath = path.join(outDir, `${name}.stl`);
+  const pngPath = path.join(outDir, `${name}.png`);
+  await fs.mkdir(outDir, { recursive: true });
+  await fs.writeFile(scadPath, withCurrentLibrary(fullCode));
+
+  const aiCode = extractModelCode(fullCode);
+  await inWorkspace(outDir, async () => {
+    await checkedRender(renderStl(scadPath, stlPath), aiCode);
+    if (preview) await checkedRender(renderPng(scadPath, pngPath, {}, { size: 400 }), aiCode);
+  });
+  const { triangles, boundingBox, volume } = await analyzeStl(stlPath);
+  return { metrics: { triangles, boundingBox: { min: boundingBox.min, max: boundingBox.max }, volume }, stlPath, pngPath: preview ? pngPath : null };
+}
+
+function relativeChange(actual: number, expected: number) {
+  return expected === 0 ? (actual === 0 ? 0 : Infinity) : Math.abs(actual - expected) / Math.abs(expected);
+}
+
+const percent = (value: number) => `${(value * 100).toFixed(2)} %`;
+
+/** One readable line per metric outside its tolerance; empty when the model matches its baseline. */
+export function compareMetrics(actual: GoldenMetrics, baseline: GoldenMetrics, tolerance: GoldenTolerance = DEFAULT_TOLERANCE) {
+  const failures: string[] = [];
+  for (const bound of ["min", "max"] as const) {
+    for (let axis = 0; axis < 3; axis++) {
+      const [a, b] = [actual.boundingBox[bound][axis], baseline.boundingBox[bound][axis]];
+      if (Math.abs(a - b) > tolerance.boundingBox) {
+        failures.push(`bounding box ${"xyz"[axis]} ${bound} is ${a.toFixed(2)} mm, baseline ${b.toFixed(2)} mm (allowed ± ${tolerance.boundingBox} mm)`);
+      }
+    }
+  }
+  const volumeChange = relativeChange(actual.volume, baseline.volume);
+  if (volumeChange > tolerance.volume) {
+    failures.push(`volume is ${actual.volume.toFixed(2)} mm³, baseline ${baseline.volume.toFixed(2)} mm³: ${percent(volumeChange)} off (allowed ${percent(tolerance.volume)})`);
+  }
+  const triangleChange = relativeChange(actual.triangles, baseline.triangles);
+  if (triangleChange > tolerance.triangles) {
+    failures.push(`${actual.triangles} triangles, baseline ${baseline.triangles}: ${percent(triangleChange)} off (allowed ${percent(tolerance.triangles)})`);
+  }
+  return failures;
+}
+
+async function comparable(image: string | Buffer) {
+  return sharp(image)
+    .flatten({ background: "#ffffff" })
+    .resize(PREVIEW_COMPARE_SIZE, PREVIEW_COMPARE_SIZE, { fit: "contain", background: "#ffffff" })
+    .greyscale()
+    .blur(1)
+    .raw()
+    .toBuffer();
+}
+
+/**
+ * Perceptual difference of two previews: the share of pixels that differ noticeably once both are scaled down,
+ * greyscaled and blurred, so anti-aliasing and single-pixel shifts don't count.
+ */
+export async function previewDifference(actual: string | Buffer, baseline: string | Buffer) {
+  const [a, b] = await Promise.all([comparable(actual), comparable(baseline)]);
+  let different = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (Math.abs(a[i] - b[i]) > PREVIEW_PIXEL_THRESHOLD) different++;
+  }
+  return different / a.length;
+}
+
+export interface GoldenResult {
+  name: string;
+  status: "pass" | "fail" | "error" | "no baseline" | "recorded" | "excluded";
+  failures: string[];
+}
+
+/** Summary table of a golden run, followed by the reasons of every model that didn't pass. */
+export function formatGoldenReport(results: GoldenResult[]) {
+  const width = Math.max(5, ...results.map(r => r.name.length));
+  const icons = { pass: "✅", fail: "❌", error: "💥", "no baseline": "❔", recorded: "📝", excluded: "⏭️ " };
+  const lines = [`🧪 Golden models: ${results.filter(r => r.status === "pass").length} of ${results.length} match their baselines`, ""];
+  for (const result of results) lines.push(`${icons[result.status]} ${result.name.padEnd(width)}  ${result.status}`);
+  for (const result of results.filter(r => r.failures.length > 0)) {
+    lines.push("", `${result.name}:`, ...result.failures.map(f => `  • ${f}`));
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,220 @@
+import sharp from "sharp";
+import { getProvider } from "./llm.js";
+
+// Rough budget for the history resent with every model call; above it, earlier turns are condensed into a summary
+const TOKEN_BUDGET = Number(process.env.HISTORY_TOKEN_BUDGET) || 60000;
+
+// The newest images stay as sent, older ones shrink to thumbnails, and the oldest are left out
+const FULL_IMAGES = Number(process.env.HISTORY_FULL_IMAGES ?? 2);
+const MAX_THUMBNAILS = Number(process.env.HISTORY_MAX_THUMBNAILS ?? 6);
+const THUMBNAIL_SIZE = 256;
+
+// Starts the text block that carries the summary, so transcripts can leave it out
+export const SUMMARY_HEADER = "[Summary of the earlier conversation]";
+
+const SUMMARY_PROMPT = `You condense conversations between a user and an assistant that designs 3D-printable OpenSCAD models.
+Describe the current state of the design: what is being built, its dimensions and features, the decisions made, and requests that are still open.
+Write at most 300 words of plain text. Leave out the code; it is added separately.`;
+
+function blocks(message: any): any[] {
+  return typeof message.content === "string" ? [{ type: "text", text: message.content }] : message.content;
+}
+
+function isPrompt(message: any) {
+  return message.role === "user" && blocks(message).some(b => b.type !== "tool_result");
+}
+
+/**
+ * Restores the invariants the model API checks, in place: the history starts with the user, roles alternate,
+ * every tool_use is answered by a tool_result in the next message, and no tool_result lacks its tool_use.
+ */
+export function repairHistory(history: any[]) {
+  let repairs = 0;
+  const fixed: any[] = [];
+  for (const message of history) {
+    if (fixed.length === 0 && message.role !== "user") {
+      repairs++;
+      continue;
+    }
+
+    let content = blocks(message);
+    if (message.role === "user") {
+      const previous = fixed.at(-1);
+      const calls = new Set(previous?.role === "assistant" ? blocks(previous).filter(b => b.type === "tool_use").map(b => b.id) : []);
+      const orphaned = content.filter(b => b.type === "tool_result" && !calls.has(b.tool_use_id));
+      repairs += orphaned.length;
+      content = content.filter(b => !orphaned.includes(b));
+    }
+    if (content.length === 0) continue;
+
+    const last = fixed.at(-1);
+    if (last?.role === message.role) {
+      last.content = [...last.content, ...content];
+    } else {
+      fixed.push({ ...message, content });
+    }
+  }
+
+  for (let i = 0; i < fixed.length; i++) {
+    const calls = fixed[i].role === "assistant" ? fixed[i].content.filter((b: any) => b.type === "tool_use").map((b: any) => b.id) : [];
+    if (calls.length === 0) continue;
+    if (!fixed[i + 1]) fixed.push({ role: "user", content: [] });
+    const next = fixed[i + 1];
+    const answered = new Set(next.content.filter((b: any) => b.type === "tool_result").map((b: any) => b.tool_use_id));
+    const missing = calls.filter((id: string) => !answered.has(id)).map((id: string) => ({
+      type: "tool_result",
+      tool_use_id: id,
+      is_error: true,
+      content: "Error: Previous generation was interrupted. Please retry.",
+    }));
+    repairs += missing.length;
+    // Tool results have to come before anything else in their message
+    next.content = [
+      ...next.content.filter((b: any) => b.type === "tool_result"),
+      ...missing,
+      ...next.content.filter((b: any) => b.type !== "tool_result"),
+    ];
+  }
+
+  if (repairs > 0) console.log(`⚠️ Repaired ${repairs} problem(s) in the conversation history...`);
+  history.splice(0, history.length, ...fixed);
+}
+
+function pngSize(block: any) {
+  if (block.source?.media_type !== "image/png") return null;
+  const header = Buffer.from(block.source.data.slice(0, 44), "base64");
+  if (header.length < 24) return null;
+  return { width: header.readUInt32BE(16), height: header.readUInt32BE(20) };
+}
+
+function imageTokens(block: any) {
+  const size = pngSize(block);
+  // Images are scaled to fit about 1600 tokens (width * height / 750)
+  return size ? Math.min(1600, Math.ceil((size.width * size.height) / 750)) : 1600;
+}
+
+function blockTokens(block: any): number {
+  switch (block.type) {
+    case "text": return Math.ceil(block.text.length / 4);
+    case "image": return imageTokens(block);
+    case "tool_use": return Math.ceil(JSON.stringify(block.input).length / 4);
+    case "tool_result": return typeof block.content === "string" ? Math.ceil(block.content.length / 4) : block.content.reduce((sum: number, b: any) => sum + blockTokens(b), 0);
+    default: return 0;
+  }
+}
+
+/** Estimated input tokens of a history, from text length and image size. */
+export function estimateTokens(history: any[]) {
+  return history.reduce((sum, message) => sum + blocks(message).reduce((total, block) => total + blockTokens(block), 0), 0);
+}
+
+async function thumbnail(block: any) {
+  const size = pngSize(block);
+  if (size && size.width <= THUMBNAIL_SIZE && size.height <= THUMBNAIL_SIZE) return block;
+  const data = await sharp(Buffer.from(block.source.data, "base64"))
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: "inside" })
+    .png()
+    .toBuffer();
+  return { type: "image", source: { type: "base64", media_type: "image/png", data: data.toString("base64") } };
+}
+
+/** Shrinks all but the newest images to thumbnails and replaces the oldest with a note, in place. */
+export async function shrinkImages(history: any[]) {
+  let seen = 0;
+  const shrink = async (list: any[]) => {
+    for (let i = list.length - 1; i >= 0; i--) {
+      if (list[i].type === "tool_result" && Array.isArray(list[i].content)) {
+        await shrink(list[i].content);
+        continue;
+      }
+      if (list[i].type !== "image") continue;
+      seen++;
+      if (seen <= FULL_IMAGES) continue;
+      list[i] = seen <= FULL_IMAGES + MAX_THUMBNAILS
+        ? await thumbnail(list[i]).catch(() => ({ type: "text", text: "[Image left out of the history]" }))
+        : { type: "text", text: "[Image left out of the history]" };
+    }
+  };
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (typeof history[i].content !== "string") await shrink(history[i].content);
+  }
+}
+
+// Plain-text rendering of condensed turns for the summarizer
+function describeTurns(messages: any[]) {
+  const lines: string[] = [];
+  for (const message of messages) {
+    for (const block of blocks(message)) {
+      if (block.type === "text") lines.push(`${message.role === "user" ? "User" : "Assistant"}: ${block.text}`);
+      else if (block.type === "image") lines.push(`${message.role === "user" ? "User" : "Assistant"}: [image]`);
+      else if (block.type === "tool_use") lines.push(`Assistant called ${block.name} for "${block.input?.filename}".`);
+      else if (block.type === "tool_result") {
+        const text = typeof block.content === "string" ? block.content : block.content.filter((b: any) => b.type === "text").map((b: any) => b.text).join("\n");
+        lines.push(`Result: ${text.split("\n")[0]}`);
+      }
+    }
+  }
+  return lines.join("\n");
+}
+
+// Code of the last create_model call that rendered, which is what the next edit has to start from
+function latestCode(messages: any[]) {
+  const failed = new Set(messages.flatMap(m => blocks(m)).filter(b => b.type === "tool_result" && b.is_error).map(b => b.tool_use_id));
+  const calls = messages.flatMap(m => m.role === "assistant" ? blocks(m) : []).filter(b => b.type === "tool_use" && !failed.has(b.id));
+  const input = calls.at(-1)?.input;
+  if (typeof input?.code === "string") return { filename: String(input.filename), code: input.code as string };
+
+  // Nothing rendered since the previous summary, so its code is still the latest
+  const previous = blocks(messages[0]).find(b => b.type === "text" && b.text.startsWith(SUMMARY_HEADER))?.text
+    .match(/\n\nLatest code of "([^"]*)":\n```openscad\n([\s\S]*)\n```$/);
+  return previous ? { filename: previous[1], code: previous[2] } : null;
+}
+
+async function summarize(messages: any[], model: string) {
+  const turns = describeTurns(messages);
+  try {
+    const reply = await getProvider().createMessage({
+      model,
+      maxTokens: 1024,
+      system: SUMMARY_PROMPT,
+      messages: [{ role: "user", content: [{ type: "text", text: `Summarize this conversation:\n\n${turns}` }] }],
+      tools: [],
+    });
+    const text = reply.content.map(b => b.type === "text" ? b.text : "").join("").trim();
+    if (text) return text;
+  } catch (error) {
+    console.error("Summarizing the history failed:", error);
+  }
+  // Without the model, keep at least what the user asked for
+  const requests = turns.split("\n").filter(line => line.startsWith("User: ") && line !== "User: [image]");
+  return `The user asked, in order:\n${requests.map(line => `- ${line.slice("User: ".length)}`).join("\n")}`;
+}
+
+/**
+ * When the history is over the token budget, condenses the turns before the newest ones into a summary of the
+ * design plus its latest code, placed at the start of the first kept message. Works in place and returns the
+ * condensed messages so they can be archived.
+ */
+export async function compactHistory(history: any[], model: string, budget = TOKEN_BUDGET) {
+  if (estimateTokens(history) <= budget) return [];
+
+  // Keep whole turns from the end while they fit in half the budget; the current turn is always kept
+  const starts = history.map((m, i) => (isPrompt(m) ? i : -1)).filter(i => i > 0);
+  let keepFrom = starts.at(-1);
+  for (const start of [...starts].reverse()) {
+    if (estimateTokens(history.slice(start)) > budget / 2) break;
+    keepFrom = start;
+  }
+  if (keepFrom === undefined) return [];
+
+  const condensed = history.slice(0, keepFrom);
+  // The first kept message holds the results of the last condensed calls
+  const code = latestCode(history.slice(0, keepFrom + 1));
+  const summary = `${SUMMARY_HEADER}\n${await summarize(condensed, model)}` +
+    (code ? `\n\nLatest code of "${code.filename}":\n\`\`\`openscad\n${code.code}\n\`\`\`` : "");
+
+  history.splice(0, keepFrom);
+  history[0] = { ...history[0], content: [{ type: "text", text: summary }, ...blocks(history[0]).filter(b => b.type !== "tool_result")] };
+  console.log(`🗜️ Condensed ${condensed.length} message(s) of history into a summary`);
+  return condensed;
+}
@@ -1,187 +1,508 @@
+#!/usr/bin/env node
 import express from "express";
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
-import { z } from "zod";
-import { exec } from "child_process";
+import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import fs from "fs/promises";
 import path from "path";
-import { fileURLToPath } from "url";
 import cors from "cors";
-import Anthropic from "@anthropic-ai/sdk";
-import { SCAD_LIBRARY } from "./scad_lib.js"; 
+import { createMcpServer } from "./mcp.js";
+import { runChat } from "./chat.js";
+import { repairHistory } from "./history.js";
+import { analyzeModel, deleteModel, exportsDir, previewsDir, readModelParameters, readModelParts, readModelSource, renderWithParameters, toSafeName, workspaceDir } from "./workspace.js";
+import { ScadRenderError } from "./scad_errors.js";
+import { PrintabilityOptions } from "./stl.js";
+import { createProject, deleteProject, getProject, listProjects, loadFullSession, loadSession, saveSession, sessionTranscript, updateProject, withSessionLock } from "./project_store.js";
+import { ExportFormat, exportFormats, parseFormats, zipExport } from "./export.js";
+import { PreviewOptions, previewUrls, renderPreviewSet, resolvePreviewOptions } from "./previews.js";
+import { getJob, listJobs, queueStats } from "./render_service.js";
+import { renderCacheStats } from "./render_cache.js";
+import { LlmSettings, mergeLlmSettings, parseLlmSettings } from "./llm.js";
+import { arrangeOnPlate, parseBedSize, zipPlates } from "./plate.js";
+import { comparisonPath, confirmSpec, pinReference, referenceImagePath, removeReference } from "./references.js";
+import { diffRevisions, listRevisions, REVISION_ARTIFACTS, RevisionArtifact, revisionPath, rollbackRevision } from "./revisions.js";
+import { accountUsage, AUTH_REQUIRED, authenticate, createUser, currentUser, deleteUser, issueToken, listUsers, parseQuotas, publicUser, Quotas, QuotaExceededError, requireAdmin, revokeToken, TOKEN_COOKIE, TOKEN_COOKIE_MAX_AGE_MS, verifyToken } from "./accounts.js";
 
-const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY; 
+// The built React app (cd frontend && npm run build)
+const PUBLIC_DIR = path.join(process.cwd(), "frontend", "dist");
+const PORT = Number(process.env.PORT) || 3000;
+// Comma-separated origins that may call the API from a browser, or "*". With accounts the default is same-origin only
+const CORS_ORIGINS = (process.env.CORS_ORIGINS ?? (AUTH_REQUIRED ? "" : "*")).split(",").map(o => o.trim()).filter(Boolean);
+const MAX_BODY_SIZE = process.env.MAX_BODY_SIZE || "50mb";
 
-const __filename = fileURLToPath(import.meta.url);
-const WORKSPACE_DIR = path.join(process.cwd(), "workspace");
-const PUBLIC_DIR = path.join(process.cwd(), "public");
+const app = express();
+app.use(cors(CORS_ORIGINS.includes("*") ? {} : { origin: CORS_ORIGINS, credentials: true }));
+app.use(express.json({ limit: MAX_BODY_SIZE })); 
+app.use(express.static(PUBLIC_DIR)); 
 
-const SESSIONS = new Map<string, any[]>();
+// Client-side routes like /workspace/:projectId all load the React app
+app.get("/workspace/{*route}", (req, res) => {
+  res.sendFile(path.join(PUBLIC_DIR, "index.html"), err => {
+    if (err) res.status(404).send("The web app is not built; run npm run build in frontend/");
+  });
+});
 
-async function generateScad(filename: string, aiCode: string) {
-  const safeName = filename.replace(/[^a-zA-Z0-9_-]/g, "");
-  await fs.mkdir(WORKSPACE_DIR, { recursive: true });
-  
-  const scadPath = path.join(WORKSPACE_DIR, `${safeName}.scad`);
-  const pngPath = path.join(WORKSPACE_DIR, `${safeName}.png`);
-  const stlPath = path.join(WORKSPACE_DIR, `${safeName}.stl`);
+// Trades an API token for a cookie, so the browser can also load artifact URLs like /images/... as that user
+app.post("/auth/login", async (req, res) => {
+  if (!AUTH_REQUIRED) return res.status(400).json({ error: "This server has no accounts; set REQUIRE_AUTH=1 to enable them" });
+  const user = await verifyToken(req.body.token);
+  if (!user) return res.status(401).json({ error: "Unknown API token" });
+  res.cookie(TOKEN_COOKIE, req.body.token, { httpOnly: true, sameSite: "strict", secure: req.secure, maxAge: TOKEN_COOKIE_MAX_AGE_MS });
+  res.json({ user: publicUser(user) });
+});
 
-  const fullCode = `${SCAD_LIBRARY}\n\n// --- AI GENERATED CODE ---\n${aiCode}`;
+app.post("/auth/logout", (req, res) => {
+  res.clearCookie(TOKEN_COOKIE);
+  res.status(204).end();
+});
 
-  await fs.writeFile(scadPath, fullCode);
+app.get("/admin/users", requireAdmin, async (req, res) => {
+  const users = await listUsers();
+  res.json({ users: await Promise.all(users.map(async user => ({ ...publicUser(user), usage: await accountUsage(user) }))) });
+});
 
-  const pngCommand = `openscad -o "${pngPath}" --viewall --autocenter --imgsize=800,800 --colorscheme="Cornfield" "${scadPath}"`;
-  await new Promise((resolve, reject) => {
-    exec(pngCommand, { maxBuffer: 1024 * 5000 }, (err, stdout, stderr) => {
-      if (err) reject(stderr || err.message);
-      else resolve(stdout);
-    });
+// Answers with the account's first API token; it is not shown again
+app.post("/admin/users", requireAdmin, async (req, res) => {
+  const { name, email, plan, quotas } = req.body;
+  let parsed: Partial<Quotas> | undefined;
+  try {
+    if (typeof name !== "string" || !name.trim()) throw new Error("A non-empty name is required");
+    if (quotas !== undefined) parsed = parseQuotas(quotas);
+  } catch (error) {
+    return res.status(400).json({ error: (error as Error).message });
+  }
+  const { user, token } = await createUser({
+    name,
+    email: typeof email === "string" ? email.trim() : undefined,
+    plan: typeof plan === "string" && plan.trim() ? plan.trim() : undefined,
+    quotas: parsed,
   });
+  res.status(201).json({ user: publicUser(user), token });
+});
 
-  const stlCommand = `openscad -o "${stlPath}" "${scadPath}"`;
-  await new Promise((resolve, reject) => {
-    exec(stlCommand, { maxBuffer: 1024 * 5000 }, (err, stdout, stderr) => {
-      if (err) reject(stderr || err.message);
-      else resolve(stdout);
-    });
-  });
+// Also deletes everything in the user's workspace
+app.delete("/admin/users/:id", requireAdmin, async (req, res) => {
+  if (!(await deleteUser(String(req.params.id)))) return res.status(404).json({ error: "User not found" });
+  res.status(204).end();
+});
 
-  return { safeName };
-}
+// Everything below runs as the signed-in user, inside their own workspace directory
+app.use(authenticate);
+
+const STATIC_WORKSPACES = new Map<string, express.Handler>();
+app.use("/images", (req, res, next) => {
+  const dir = workspaceDir();
+  if (!STATIC_WORKSPACES.has(dir)) STATIC_WORKSPACES.set(dir, express.static(dir));
+  STATIC_WORKSPACES.get(dir)!(req, res, next);
+});
+
+// The signed-in account with today's usage; `user` is null when the server has no accounts
+app.get("/me", async (req, res) => {
+  const user = currentUser();
+  if (!user) return res.json({ user: null, authRequired: false });
+  res.json({ user: publicUser(user), usage: await accountUsage(user), authRequired: true });
+});
+
+app.post("/me/tokens", async (req, res) => {
+  const user = currentUser();
+  if (!user) return res.status(400).json({ error: "This server has no accounts" });
+  const { token, record } = await issueToken(user, String(req.body.label ?? ""));
+  const { hash, ...created } = record;
+  res.status(201).json({ token, created });
+});
+
+app.delete("/me/tokens/:id", async (req, res) => {
+  const user = currentUser();
+  if (!user || !(await revokeToken(user, req.params.id))) return res.status(404).json({ error: "Token not found" });
+  res.status(204).end();
+});
 
-const server = new McpServer({ name: "modelmint", version: "2.1.0" });
+// MCP over SSE: each GET /sse opens a session, its client POSTs to /messages?sessionId=...
+const MCP_TRANSPORTS = new Map<string, { transport: SSEServerTransport; owner?: string }>();
 
-const createToolSchema = {
-  name: "create_model",
-  description: "Generates 3D geometry. Output MUST be valid OpenSCAD code utilizing the Standard Library.",
-  input_schema: {
-    type: "object" as const, 
-    properties: {
-      filename: { type: "string" },
-      code: { type: "string", description: "The OpenSCAD logic calling Standard Library modules." }
-    },
-    required: ["filename", "code"]
+app.get("/sse", async (req, res) => {
+  const transport = new SSEServerTransport("/messages", res);
+  MCP_TRANSPORTS.set(transport.sessionId, { transport, owner: currentUser()?.id });
+  res.on("close", () => MCP_TRANSPORTS.delete(transport.sessionId));
+  await createMcpServer().connect(transport);
+});
+
+app.post("/messages", async (req, res) => {
+  const session = MCP_TRANSPORTS.get(String(req.query.sessionId));
+  if (!session || session.owner !== currentUser()?.id) {
+    res.status(404).json({ error: "Unknown MCP session" });
+    return;
   }
-};
+  await session.transport.handlePostMessage(req, res, req.body);
+});
+
+app.post("/chat", async (req, res) => {
+  const { status, body } = await runChat(req.body);
+  res.status(status).json(body);
+});
+
+// Same as /chat, but answers with server-sent events while the turn progresses and ends with a "done" or "error" event
+app.post("/chat/stream", async (req, res) => {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  const send = (event: string, data: object) => {
+    // The turn still completes and is saved if the browser goes away
+    if (!res.writableEnded && !res.destroyed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
 
-server.tool("create_model", createToolSchema.description, 
-  { filename: z.string(), code: z.string() },
-  async ({ filename, code }) => {
-    return { content: [{ type: "text", text: "Processing..." }] }; 
+  const { status, body } = await runChat(req.body, event => send(event.type, event));
+  send(status < 400 ? "done" : "error", { status, ...body });
+  res.end();
+});
+
+app.get("/projects", async (req, res) => {
+  res.json({ projects: await listProjects() });
+});
+
+app.post("/projects", async (req, res) => {
+  let llm: LlmSettings | undefined;
+  try {
+    if (req.body.llm !== undefined) llm = parseLlmSettings(req.body.llm);
+  } catch (error) {
+    return res.status(400).json({ error: (error as Error).message });
   }
-);
+  res.status(201).json({ project: await createProject(String(req.body.name ?? ""), llm) });
+});
 
-const app = express();
-app.use(cors());
-app.use(express.json({ limit: '50mb' })); 
-app.use(express.static(PUBLIC_DIR)); 
-app.use('/images', express.static(WORKSPACE_DIR)); 
+app.get("/projects/:id", async (req, res) => {
+  try {
+    const project = await getProject(req.params.id);
+    if (!project) {
+      res.status(404).json({ error: "Project not found" });
+      return;
+    }
+    res.json({ project, messages: sessionTranscript(await loadFullSession(project.id)) });
+  } catch (error) {
+    res.status(400).json({ error: (error as Error).message });
+  }
+});
 
-app.post("/chat", async (req, res) => {
-  const { message: userPrompt, image: userImage, sessionId } = req.body;
-  const anthropic = new Anthropic({ apiKey: ANTHROPIC_API_KEY });
-
-  if (!SESSIONS.has(sessionId)) SESSIONS.set(sessionId, []);
-  let history = SESSIONS.get(sessionId)!;
-
-  if (history.length > 0) {
-      const lastMsg = history[history.length - 1];
-      if (lastMsg.role === "assistant" && lastMsg.content.some((c:any) => c.type === "tool_use")) {
-          const toolUse = lastMsg.content.find((c:any) => c.type === "tool_use");
-          console.log("⚠️ Repairing broken conversation history...");
-          history.push({
-              role: "user",
-              content: [{
-                  type: "tool_result",
-                  tool_use_id: toolUse.id,
-                  content: "Error: Previous generation was interrupted. Please retry."
-              }]
-          });
+app.patch("/projects/:id", async (req, res) => {
+  const changes: { name?: string; llm?: LlmSettings } = {};
+  try {
+    if (req.body.name !== undefined) {
+      changes.name = String(req.body.name).trim();
+      if (!changes.name) throw new Error("A non-empty name is required");
+    }
+    if (req.body.llm !== undefined) {
+      const project = await getProject(req.params.id);
+      if (!project) {
+        res.status(404).json({ error: "Project not found" });
+        return;
       }
+      changes.llm = mergeLlmSettings(project.llm, req.body.llm);
+    }
+    if (Object.keys(changes).length === 0) throw new Error("Send a name or llm settings to change");
+  } catch (error) {
+    res.status(400).json({ error: (error as Error).message });
+    return;
   }
+  try {
+    const project = await updateProject(req.params.id, changes);
+    if (!project) res.status(404).json({ error: "Project not found" });
+    else res.json({ project });
+  } catch (error) {
+    res.status(400).json({ error: (error as Error).message });
+  }
+});
+
+// Pins a reference image: { image: "data:image/png;base64,...", dimension: "the coin is 24 mm" }
+app.post("/projects/:id/reference", async (req, res) => {
+  try {
+    const project = await pinReference(req.params.id, String(req.body.image ?? ""), String(req.body.dimension ?? ""));
+    res.status(201).json({ project });
+  } catch (error) {
+    const message = (error as Error).message;
+    res.status(/not found/.test(message) ? 404 : 400).json({ error: message });
+  }
+});
 
+// "image" is the pinned reference, "comparison" the reference next to the latest preview
+app.get("/projects/:id/reference/:file", async (req, res) => {
   try {
-    const contentPayload: any[] = [];
-    if (userImage) {
-         const matches = userImage.match(/^data:((?:image\/(?:png|jpeg|webp|gif)));base64,(.*)$/);
-         if(matches) contentPayload.push({ type: "image", source: { type: "base64", media_type: matches[1] as any, data: matches[2] }});
+    const project = await getProject(req.params.id);
+    if (!project?.reference || !["image", "comparison"].includes(req.params.file)) {
+      res.status(404).json({ error: "Reference not found" });
+      return;
     }
-    if (userPrompt) contentPayload.push({ type: "text", text: userPrompt });
-
-    history.push({ role: "user", content: contentPayload });
-
-    const SYSTEM_PROMPT = `
-You are an expert 3D Architect.
-You do NOT write raw geometry math. You use the provided **STANDARD LIBRARY**.
-
-### THE STANDARD LIBRARY (Already included):
-1. **Tube(height, radius, wall)** - Hollow pipe/cup.
-2. **ArcHandle(mug_radius, handle_radius, thickness, z_center)** - Torus handle.
-3. **SoftBox(size_vector, corner_radius)** - Rounded case.
-
-### RULES:
-- Use 'union()' to combine parts.
-- If the user asks to "increase hollow area", reduce the wall thickness or increase the radius in your code.
-- Always output the FULL code for the part.
-`;
-
-    const msg = await anthropic.messages.create({
-      model: "claude-sonnet-4-5-20250929",
-      max_tokens: 4096,
-      system: SYSTEM_PROMPT,
-      messages: history,
-      tools: [createToolSchema]
+    const file = req.params.file === "image" ? referenceImagePath(project.id, project.reference) : comparisonPath(project.id);
+    res.sendFile(file, { dotfiles: "allow" }, err => {
+      if (err && !res.headersSent) res.status(404).json({ error: "Reference not found" });
     });
+  } catch (error) {
+    res.status(400).json({ error: (error as Error).message });
+  }
+});
 
-    history.push({ role: "assistant", content: msg.content });
-    
-    SESSIONS.set(sessionId, history);
-
-    const toolUse = msg.content.find(c => c.type === "tool_use");
-
-    if (toolUse) {
-      const { filename, code } = toolUse.input as any;
-      
-      try {
-        const { safeName } = await generateScad(filename, code);
-        
-        history.push({
-            role: "user",
-            content: [{
-                type: "tool_result",
-                tool_use_id: toolUse.id,
-                content: `Success. Generated ${safeName}.png`
-            }]
-        });
-        
-        res.json({ 
-            text: `I've updated the model for "${filename}".`,
-            image: `/images/${safeName}.png`, 
-            model: `/images/${safeName}.stl`
-        });
-      } catch (err) {
-        history.push({
-            role: "user",
-            content: [{
-                type: "tool_result",
-                tool_use_id: toolUse.id,
-                content: `Error generating model: ${err}`
-            }]
-        });
-        
-        res.status(500).json({ text: "Generation failed, but I saved the error log. Try again?" });
-      }
-      
-      SESSIONS.set(sessionId, history);
-      
-    } else {
-      res.json({ text: msg.content.find(c => c.type === "text")?.text || "Error", image: null });
+app.delete("/projects/:id/reference", async (req, res) => {
+  try {
+    const project = await removeReference(req.params.id);
+    if (!project) res.status(404).json({ error: "Project not found" });
+    else res.status(204).end();
+  } catch (error) {
+    res.status(400).json({ error: (error as Error).message });
+  }
+});
+
+// Confirms the spec the model read off the reference; send `dimensions` to correct it first
+app.post("/projects/:id/reference/spec/confirm", async (req, res) => {
+  try {
+    const project = await confirmSpec(req.params.id, req.body.dimensions);
+    if (!project) res.status(404).json({ error: "Project not found" });
+    else res.json({ project });
+  } catch (error) {
+    const message = (error as Error).message;
+    res.status(/no proposed spec/.test(message) ? 409 : 400).json({ error: message });
+  }
+});
+
+// Deleting a project also deletes the models generated in it
+app.delete("/projects/:id", async (req, res) => {
+  try {
+    const project = await deleteProject(req.params.id);
+    if (!project) {
+      res.status(404).json({ error: "Project not found" });
+      return;
+    }
+    for (const model of project.models) await deleteModel(model).catch(() => {});
+    res.status(204).end();
+  } catch (error) {
+    res.status(400).json({ error: (error as Error).message });
+  }
+});
+
+app.get("/models/:name/source", async (req, res) => {
+  try {
+    res.json({ name: toSafeName(req.params.name), code: await readModelSource(req.params.name) });
+  } catch (error) {
+    res.status(404).json({ error: (error as Error).message });
+  }
+});
+
+app.get("/models/:name/parameters", async (req, res) => {
+  try {
+    const { parameters, values } = await readModelParameters(req.params.name);
+    res.json({ parameters, values });
+  } catch (error) {
+    res.status(404).json({ error: (error as Error).message });
+  }
+});
+
+app.get("/models/:name/parts", async (req, res) => {
+  try {
+    const safeName = toSafeName(req.params.name);
+    const parts = await readModelParts(safeName);
+    res.json({ parts: parts.map(({ stlPath, ...part }) => ({ ...part, model: `/images/${path.basename(stlPath)}` })) });
+  } catch (error) {
+    res.status(404).json({ error: (error as Error).message });
+  }
+});
+
+// Re-renders with customizer values as -D definitions, without a round trip to the model
+app.post("/models/:name/render", async (req, res) => {
+  const { parameters = {}, stl = false } = req.body;
+  try {
+    const { safeName, values } = await renderWithParameters(req.params.name, parameters, { stl: Boolean(stl) });
+    const version = Date.now();
+    res.json({
+        image: `/images/${safeName}.png?v=${version}`,
+        model: `/images/${safeName}.stl?v=${version}`,
+        values
+    });
+  } catch (error) {
+    const status = error instanceof QuotaExceededError ? 429 : error instanceof ScadRenderError ? 422 : 400;
+    res.status(status).json({ error: (error as Error).message });
+  }
+});
+
+// Renders on demand: ?formats=3mf,svg&zip=1&cutHeight=5. One format downloads the file, several (or zip=1) a zip with the .scad source
+app.get("/models/:name/export", async (req, res) => {
+  let formats: ExportFormat[];
+  let cutHeight: number | undefined;
+  try {
+    formats = parseFormats(String(req.query.formats || "stl").split(",").filter(Boolean));
+    cutHeight = req.query.cutHeight === undefined ? undefined : Number(req.query.cutHeight);
+    if (cutHeight !== undefined && !Number.isFinite(cutHeight)) throw new Error("cutHeight must be a number");
+  } catch (error) {
+    return res.status(400).json({ error: (error as Error).message });
+  }
+
+  await fs.mkdir(exportsDir(), { recursive: true });
+  const outDir = await fs.mkdtemp(path.join(exportsDir(), "download-"));
+  res.on("close", () => fs.rm(outDir, { recursive: true, force: true }).catch(() => {}));
+  try {
+    const exported = await exportFormats(req.params.name, formats, { cutHeight, outDir });
+    if (exported.files.length === 1 && !["1", "true"].includes(String(req.query.zip))) {
+      return res.download(exported.files[0].path, path.basename(exported.files[0].path), { dotfiles: "allow" });
+    }
+    res.attachment(`${exported.safeName}.zip`).type("application/zip").send(await zipExport(exported));
+  } catch (error) {
+    const message = (error as Error).message;
+    const status = error instanceof QuotaExceededError ? 429 : error instanceof ScadRenderError ? 422 : /not found|no such file/i.test(message) ? 404 : 500;
+    res.status(status).json({ error: message });
+  }
+});
+
+// Lays the parts flat on a bed: ?bed=220x220&spacing=5. One plate downloads as an STL, several as a zip
+app.get("/models/:name/plate", async (req, res) => {
+  let bed: ReturnType<typeof parseBedSize>;
+  let spacing: number | undefined;
+  try {
+    bed = parseBedSize(String(req.query.bed ?? "220x220"));
+    spacing = req.query.spacing === undefined ? undefined : Number(req.query.spacing);
+    if (spacing !== undefined && !(spacing >= 0 && spacing <= 50)) throw new Error("spacing must be between 0 and 50 mm");
+  } catch (error) {
+    return res.status(400).json({ error: (error as Error).message });
+  }
+
+  await fs.mkdir(exportsDir(), { recursive: true });
+  const outDir = await fs.mkdtemp(path.join(exportsDir(), "download-"));
+  res.on("close", () => fs.rm(outDir, { recursive: true, force: true }).catch(() => {}));
+  try {
+    const arranged = await arrangeOnPlate(req.params.name, { ...bed, spacing, outDir });
+    if (arranged.plates.length === 1) {
+      return res.download(arranged.plates[0].path, path.basename(arranged.plates[0].path), { dotfiles: "allow" });
     }
+    res.attachment(`${arranged.safeName}_plates.zip`).type("application/zip").send(await zipPlates(arranged));
+  } catch (error) {
+    const message = (error as Error).message;
+    const status = error instanceof QuotaExceededError ? 429 : error instanceof ScadRenderError || /does not fit/.test(message) ? 422 : /not found|no such file/i.test(message) ? 404 : 500;
+    res.status(status).json({ error: message });
+  }
+});
+
+app.post("/models/:name/previews", async (req, res) => {
+  let options: PreviewOptions;
+  try {
+    options = resolvePreviewOptions(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: (error as Error).message });
+  }
+  try {
+    res.json(previewUrls(await renderPreviewSet(req.params.name, options)));
+  } catch (error) {
+    const message = (error as Error).message;
+    const status = error instanceof QuotaExceededError ? 429 : error instanceof ScadRenderError ? 422 : /no such file/i.test(message) ? 404 : 500;
+    res.status(status).json({ error: message });
+  }
+});
+
+app.get("/models/:name/previews/:file", async (req, res) => {
+  if (!/^[a-z]+\.(png|gif|webp)$/.test(req.params.file)) return res.status(400).json({ error: "Invalid preview file" });
+  try {
+    res.sendFile(path.join(previewsDir(), toSafeName(req.params.name), req.params.file), { dotfiles: "allow" }, err => {
+      if (err && !res.headersSent) res.status(404).json({ error: "Preview not found" });
+    });
+  } catch (error) {
+    res.status(400).json({ error: (error as Error).message });
+  }
+});
+
+app.get("/models/:name/printability", async (req, res) => {
+  const options: PrintabilityOptions = {
+    material: req.query.material ? String(req.query.material) : undefined,
+    density: req.query.density ? Number(req.query.density) : undefined,
+    overhangAngle: req.query.overhangAngle ? Number(req.query.overhangAngle) : undefined,
+  };
+  try {
+    res.json({ printability: await analyzeModel(req.params.name, options) });
+  } catch (error) {
+    res.status(404).json({ error: (error as Error).message });
+  }
+});
+
+app.get("/models/:name/revisions", async (req, res) => {
+  try {
+    res.json({ revisions: await listRevisions(req.params.name) });
+  } catch (error) {
+    res.status(400).json({ error: (error as Error).message });
+  }
+});
+
+app.get("/models/:name/revisions/:revision/:artifact", async (req, res) => {
+  const artifact = req.params.artifact as RevisionArtifact;
+  if (!REVISION_ARTIFACTS.includes(artifact)) {
+    res.status(400).json({ error: `Artifact must be one of ${REVISION_ARTIFACTS.join(", ")}` });
+    return;
+  }
+  try {
+    res.sendFile(revisionPath(req.params.name, Number(req.params.revision), artifact), { dotfiles: "allow" }, err => {
+      if (err && !res.headersSent) res.status(404).json({ error: "Revision artifact not found" });
+    });
+  } catch (error) {
+    res.status(400).json({ error: (error as Error).message });
+  }
+});
 
+app.get("/models/:name/diff", async (req, res) => {
+  const from = Number(req.query.from);
+  const to = Number(req.query.to);
+  if (!Number.isInteger(from) || !Number.isInteger(to)) {
+    res.status(400).json({ error: "Query parameters 'from' and 'to' must be revision numbers" });
+    return;
+  }
+  try {
+    res.json({ from, to, diff: await diffRevisions(req.params.name, from, to) });
   } catch (error) {
-    console.error(error);
-    res.status(500).json({ text: "API Error: " + (error as Error).message });
+    res.status(404).json({ error: (error as Error).message });
   }
 });
 
-app.listen(3000, () => console.log("Engine running on port 3000"));
\ No newline at end of file
+app.post("/models/:name/rollback", async (req, res) => {
+  const { revision, sessionId } = req.body;
+  try {
+    const { safeName, revision: restored, code } = await rollbackRevision(req.params.name, Number(revision));
+
+    // Tell the model which code is current, otherwise its next edit starts from the discarded design
+    if (sessionId) await withSessionLock(sessionId, async () => {
+      const history = await loadSession(sessionId);
+      repairHistory(history);
+      history.push({
+          role: "user",
+          content: [{
+              type: "text",
+              text: `I rolled "${safeName}" back to revision ${revision}. This is now the current code; base further changes on it:\n\`\`\`openscad\n${code}\n\`\`\``
+          }]
+      });
+      await saveSession(sessionId, history);
+    });
+
+    res.json({
+        revision: restored,
+        image: `/images/${safeName}.png`,
+        model: `/images/${safeName}.stl`
+    });
+  } catch (error) {
+    res.status(404).json({ error: (error as Error).message });
+  }
+});
+
+app.get("/jobs", (req, res) => {
+  const model = typeof req.query.model === "string" ? req.query.model : undefined;
+  res.json({ ...queueStats(), jobs: listJobs({ model, owner: currentUser()?.id }) });
+});
+
+app.get("/status", async (req, res) => {
+  res.json({ queue: queueStats(), renderCache: await renderCacheStats() });
+});
+
+app.get("/jobs/:id", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job || job.owner !== currentUser()?.id) return res.status(404).json({ error: "Job not found" });
+  res.json(job);
+});
+
+if (process.argv.includes("--stdio")) {
+  // stdout carries the protocol here, so nothing else may write to it
+  await createMcpServer().connect(new StdioServerTransport());
+  console.error("ModelMint MCP server running on stdio");
+} else {
+  app.listen(PORT, () => console.log(`Engine running on port ${PORT}`));
+}
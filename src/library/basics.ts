@@ -0,0 +1,69 @@
+import { ScadModule } from "./types.js";
+
+export const BASIC_MODULES: ScadModule[] = [
+  {
+    name: "Tube",
+    category: "Basic shapes",
+    description: "Hollow pipe/cup with a closed bottom (open at both ends when centered).",
+    params: [
+      { name: "height", description: "Height in mm." },
+      { name: "radius", description: "Outer radius in mm." },
+      { name: "wall", description: "Wall and bottom thickness in mm." },
+      { name: "center", default: "false", description: "Center on the z axis instead of standing on z = 0." },
+    ],
+    source: `
+module Tube(height, radius, wall, center = false) {
+    difference() {
+        cylinder(h = height, r = radius, center = center);
+        translate([0, 0, center ? 0 : wall])
+            cylinder(h = height + 1, r = radius - wall, center = center);
+    }
+}`,
+    example: { call: "Tube(20, 10, 2);", bounds: [[-10, -10, 0], [10, 10, 20]] },
+  },
+  {
+    name: "SoftBox",
+    category: "Basic shapes",
+    description: "Rounded case: a centered box with every edge and corner rounded.",
+    params: [
+      { name: "size", description: "Outer [x, y, z] size in mm." },
+      { name: "radius", description: "Rounding radius in mm; at most half the smallest side." },
+    ],
+    source: `
+module SoftBox(size, radius) {
+    minkowski() {
+        cube(size - [radius*2, radius*2, radius*2], center=true);
+        sphere(r=radius);
+    }
+}`,
+    example: { call: "SoftBox([40, 30, 20], 3);", bounds: [[-20, -15, -10], [20, 15, 10]] },
+  },
+  {
+    name: "ArcHandle",
+    category: "Basic shapes",
+    description: "Torus handle for a mug or cup at the origin. It sinks into the mug body and is trimmed flush with the inner wall.",
+    params: [
+      { name: "mug_radius", description: "Outer radius of the mug in mm." },
+      { name: "handle_radius", description: "Radius of the handle loop, measured to the middle of the grip." },
+      { name: "thickness", description: "Diameter of the grip in mm." },
+      { name: "z_center", description: "Height of the handle's center in mm." },
+      { name: "wall", default: "4", description: "Mug wall thickness; the handle is trimmed at mug_radius - wall so nothing pokes into the drink area." },
+    ],
+    source: `
+module ArcHandle(mug_radius, handle_radius, thickness, z_center, wall = 4) {
+    translate([0, 0, z_center])
+    difference() {
+        // The Handle Ring
+        translate([mug_radius - thickness/2, 0, 0])
+        rotate([90, 0, 0])
+        rotate_extrude(angle = 360)
+            translate([handle_radius, 0])
+            circle(d = thickness);
+
+        // CLEANUP: Remove any handle bits that poke into the drink area
+        cylinder(h = 2 * (handle_radius + thickness) + 2, r = mug_radius - wall, center = true);
+    }
+}`,
+    example: { call: "ArcHandle(40, 15, 8, 30);", bounds: [[35.8, -4, 11], [55, 4, 49]], tolerance: 0.5 },
+  },
+];
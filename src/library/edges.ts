@@ -0,0 +1,74 @@
+import { ScadModule } from "./types.js";
+
+export const EDGE_MODULES: ScadModule[] = [
+  {
+    name: "FilletBox",
+    category: "Edges",
+    description: "Box standing on z = 0 at the origin, with its vertical edges rounded. Prints without supports, unlike SoftBox.",
+    params: [
+      { name: "size", description: "[x, y, z] size in mm." },
+      { name: "radius", description: "Radius of the vertical edges in mm." },
+    ],
+    source: `
+module FilletBox(size, radius) {
+    linear_extrude(size.z)
+        offset(r = radius) offset(delta = -radius)
+            square([size.x, size.y]);
+}`,
+    example: { call: "FilletBox([40, 30, 10], 5);", bounds: [[0, 0, 0], [40, 30, 10]] },
+  },
+  {
+    name: "ChamferBox",
+    category: "Edges",
+    description: "Box standing on z = 0 at the origin, with every edge chamfered at 45°.",
+    params: [
+      { name: "size", description: "[x, y, z] size in mm." },
+      { name: "chamfer", description: "Chamfer width in mm; less than half the smallest side." },
+    ],
+    source: `
+module ChamferBox(size, chamfer) {
+    c = chamfer;
+    hull() {
+        translate([c, c, 0]) cube([size.x - 2 * c, size.y - 2 * c, size.z]);
+        translate([c, 0, c]) cube([size.x - 2 * c, size.y, size.z - 2 * c]);
+        translate([0, c, c]) cube([size.x, size.y - 2 * c, size.z - 2 * c]);
+    }
+}`,
+    example: { call: "ChamferBox([40, 30, 10], 2);", bounds: [[0, 0, 0], [40, 30, 10]] },
+  },
+  {
+    name: "FilletEdge",
+    category: "Edges",
+    description: "Concave fillet strip along the x axis, filling the inside corner between the planes y = 0 and z = 0. Union it into inside corners to strengthen them; rotate/translate it into place.",
+    params: [
+      { name: "length", description: "Length along x in mm." },
+      { name: "radius", description: "Fillet radius in mm." },
+    ],
+    source: `
+module FilletEdge(length, radius) {
+    rotate([90, 0, 90])
+    linear_extrude(length)
+        difference() {
+            square([radius, radius]);
+            translate([radius, radius]) circle(r = radius);
+        }
+}`,
+    example: { call: "FilletEdge(30, 4);", bounds: [[0, 0, 0], [30, 4, 4]] },
+  },
+  {
+    name: "ChamferEdge",
+    category: "Edges",
+    description: "45° triangular prism along the x axis in the corner between the planes y = 0 and z = 0. Subtract it with difference() to chamfer an outside edge, or union it to brace an inside corner.",
+    params: [
+      { name: "length", description: "Length along x in mm." },
+      { name: "chamfer", description: "Chamfer width in mm." },
+    ],
+    source: `
+module ChamferEdge(length, chamfer) {
+    rotate([90, 0, 90])
+    linear_extrude(length)
+        polygon([[0, 0], [chamfer, 0], [0, chamfer]]);
+}`,
+    example: { call: "ChamferEdge(30, 3);", bounds: [[0, 0, 0], [30, 3, 3]] },
+  },
+];
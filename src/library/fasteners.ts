@@ -0,0 +1,50 @@
+import { ScadModule } from "./types.js";
+
+export const FASTENER_MODULES: ScadModule[] = [
+  {
+    name: "ScrewHole",
+    category: "Fasteners",
+    description: "Negative volume for a screw: a hole going down from z = 0, optionally with a counterbore or a 90° countersink at the top. Subtract it with difference() after translating it to the part's surface. It pokes 0.01 mm above z = 0 for a clean cut.",
+    params: [
+      { name: "d", description: "Hole diameter in mm (e.g. 3.4 for an M3 clearance hole)." },
+      { name: "depth", description: "Hole depth in mm." },
+      { name: "head_d", default: "0", description: "Head diameter in mm; 0 for a plain hole." },
+      { name: "head_depth", default: "0", description: "Counterbore depth in mm; ignored for countersinks." },
+      { name: "countersink", default: "false", description: "Use a 90° cone for flat-head screws instead of a counterbore." },
+    ],
+    source: `
+module ScrewHole(d, depth, head_d = 0, head_depth = 0, countersink = false) {
+    translate([0, 0, -depth - 0.01]) cylinder(h = depth + 0.02, d = d);
+    if (head_d > d) {
+        if (countersink)
+            translate([0, 0, -(head_d - d) / 2])
+                cylinder(h = (head_d - d) / 2 + 0.01, d1 = d, d2 = head_d + 0.02);
+        else if (head_depth > 0)
+            translate([0, 0, -head_depth]) cylinder(h = head_depth + 0.01, d = head_d);
+    }
+}`,
+    example: {
+      call: "ScrewHole(3.4, 10, head_d = 6.5, countersink = true);",
+      bounds: [[-3.26, -3.26, -10.01], [3.26, 3.26, 0.01]],
+    },
+  },
+  {
+    name: "HeatSetBoss",
+    category: "Fasteners",
+    description: "Cylindrical boss standing on z = 0 with a blind hole from the top for a heat-set threaded insert.",
+    params: [
+      { name: "insert_d", description: "Hole diameter for the insert in mm (e.g. 4.2 for a typical M3 insert)." },
+      { name: "insert_depth", description: "Hole depth in mm, usually the insert length plus 1 mm." },
+      { name: "height", description: "Boss height in mm." },
+      { name: "wall", default: "2", description: "Wall thickness around the insert in mm." },
+    ],
+    source: `
+module HeatSetBoss(insert_d, insert_depth, height, wall = 2) {
+    difference() {
+        cylinder(h = height, d = insert_d + 2 * wall);
+        translate([0, 0, height - insert_depth]) cylinder(h = insert_depth + 1, d = insert_d);
+    }
+}`,
+    example: { call: "HeatSetBoss(4.2, 5.7, 10);", bounds: [[-4.1, -4.1, 0], [4.1, 4.1, 10]] },
+  },
+];
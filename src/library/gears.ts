@@ -0,0 +1,41 @@
+import { ScadModule } from "./types.js";
+
+export const GEAR_MODULES: ScadModule[] = [
+  {
+    name: "SpurGear",
+    category: "Gears",
+    description: "Involute spur gear standing on z = 0, centered on the origin, with a tooth pointing along +x. Gears with the same mod mesh when their centers are (teeth1 + teeth2) * mod / 2 apart.",
+    params: [
+      { name: "teeth", description: "Number of teeth." },
+      { name: "mod", description: "Module in mm: pitch diameter / teeth. The outer diameter is mod * (teeth + 2)." },
+      { name: "thickness", description: "Gear thickness in mm." },
+      { name: "bore_d", default: "0", description: "Diameter of the center bore in mm; 0 for none." },
+      { name: "pressure_angle", default: "20", description: "Pressure angle in degrees." },
+    ],
+    source: `
+function _gear_involute(rb, t) = rb * [cos(t * 180 / PI) + t * sin(t * 180 / PI), sin(t * 180 / PI) - t * cos(t * 180 / PI)];
+function _gear_rotate(p, a) = [p[0] * cos(a) - p[1] * sin(a), p[0] * sin(a) + p[1] * cos(a)];
+
+module SpurGear(teeth, mod, thickness, bore_d = 0, pressure_angle = 20) {
+    rp = mod * teeth / 2;
+    rb = rp * cos(pressure_angle);
+    ro = rp + mod;
+    rr = rp - 1.25 * mod;
+    // Half the tooth's angular width at the pitch circle, plus the involute's own turn up to it
+    half = 90 / teeth + (tan(pressure_angle) - pressure_angle * PI / 180) * 180 / PI;
+    t_max = sqrt(pow(ro / rb, 2) - 1);
+    flank = [for (i = [0 : 10]) _gear_rotate(_gear_involute(rb, t_max * i / 10), -half)];
+    tooth = concat([[0, 0]], flank, [for (i = [10 : -1 : 0]) [flank[i][0], -flank[i][1]]]);
+
+    difference() {
+        linear_extrude(thickness)
+            union() {
+                circle(r = rr);
+                for (k = [0 : teeth - 1]) rotate(k * 360 / teeth) polygon(tooth);
+            }
+        if (bore_d > 0) translate([0, 0, -1]) cylinder(h = thickness + 2, d = bore_d);
+    }
+}`,
+    example: { call: "SpurGear(20, 2, 5, bore_d = 5);", bounds: [[-22, -22, 0], [22, 22, 5]] },
+  },
+];
@@ -0,0 +1,54 @@
+import { ScadModule } from "./types.js";
+
+export const JOINT_MODULES: ScadModule[] = [
+  {
+    name: "SnapFitClip",
+    category: "Joints",
+    description: "Cantilever snap-fit: a flexible beam standing on z = 0 with a barbed hook at its tip, protruding towards +y. Place the matching catch hook_length below the top of the mating part.",
+    params: [
+      { name: "length", description: "Beam length (height) in mm." },
+      { name: "width", description: "Beam width along x in mm." },
+      { name: "thickness", description: "Beam thickness along y in mm; thinner flexes more." },
+      { name: "hook_depth", description: "How far the hook protrudes beyond the beam in mm." },
+      { name: "hook_length", description: "Height of the hook's ramp in mm." },
+    ],
+    source: `
+module SnapFitClip(length, width, thickness, hook_depth, hook_length) {
+    cube([width, thickness, length]);
+    rotate([90, 0, 90])
+    linear_extrude(width)
+        polygon([
+            [thickness, length - hook_length],
+            [thickness + hook_depth, length - hook_length],
+            [thickness, length]
+        ]);
+}`,
+    example: { call: "SnapFitClip(20, 8, 2, 1.5, 4);", bounds: [[0, 0, 0], [8, 3.5, 20]] },
+  },
+  {
+    name: "Hinge",
+    category: "Joints",
+    description: "Print-in-place barrel hinge along the x axis, starting at the origin. Alternating knuckles turn around a pin fused to the even ones; attach one leaf to the even knuckles and the other to the odd ones.",
+    params: [
+      { name: "length", description: "Total hinge length along x in mm." },
+      { name: "outer_d", description: "Knuckle diameter in mm." },
+      { name: "pin_d", description: "Pin diameter in mm." },
+      { name: "knuckles", default: "5", description: "Number of knuckles; odd numbers keep both ends on the same leaf." },
+      { name: "clearance", default: "0.4", description: "Gap between moving surfaces in mm." },
+    ],
+    source: `
+module Hinge(length, outer_d, pin_d, knuckles = 5, clearance = 0.4) {
+    segment = (length - (knuckles - 1) * clearance) / knuckles;
+    for (i = [0 : knuckles - 1])
+        translate([i * (segment + clearance), 0, 0])
+        rotate([0, 90, 0])
+        difference() {
+            cylinder(h = segment, d = outer_d);
+            if (i % 2 == 1)
+                translate([0, 0, -1]) cylinder(h = segment + 2, d = pin_d + 2 * clearance);
+        }
+    rotate([0, 90, 0]) cylinder(h = length, d = pin_d);
+}`,
+    example: { call: "Hinge(40, 8, 3);", bounds: [[0, -4, -4], [40, 4, 4]] },
+  },
+];
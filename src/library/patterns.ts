@@ -0,0 +1,52 @@
+import { ScadModule } from "./types.js";
+
+export const PATTERN_MODULES: ScadModule[] = [
+  {
+    name: "HoneycombPanel",
+    category: "Infill patterns",
+    description: "Plate standing on z = 0 at the origin, perforated with hexagonal cells and a solid border. Light and stiff for panels, lids and guards.",
+    params: [
+      { name: "size", description: "[x, y, z] plate size in mm." },
+      { name: "cell", description: "Hexagon width across flats in mm." },
+      { name: "wall", description: "Wall between cells and border width in mm." },
+    ],
+    source: `
+module HoneycombPanel(size, cell, wall) {
+    dx = cell + wall;
+    dy = dx * sqrt(3) / 2;
+    difference() {
+        cube(size);
+        intersection() {
+            translate([wall, wall, -1]) cube([size.x - 2 * wall, size.y - 2 * wall, size.z + 2]);
+            for (row = [0 : ceil(size.y / dy)], col = [0 : ceil(size.x / dx)])
+                translate([col * dx + (row % 2) * dx / 2, row * dy, -1])
+                    rotate([0, 0, 30]) cylinder(h = size.z + 2, d = cell / cos(30), $fn = 6);
+        }
+    }
+}`,
+    example: { call: "HoneycombPanel([60, 40, 3], 8, 1.5);", bounds: [[0, 0, 0], [60, 40, 3]] },
+  },
+  {
+    name: "GridPanel",
+    category: "Infill patterns",
+    description: "Plate standing on z = 0 at the origin, perforated with square cells and a solid border.",
+    params: [
+      { name: "size", description: "[x, y, z] plate size in mm." },
+      { name: "cell", description: "Square cell width in mm." },
+      { name: "wall", description: "Wall between cells and border width in mm." },
+    ],
+    source: `
+module GridPanel(size, cell, wall) {
+    pitch = cell + wall;
+    difference() {
+        cube(size);
+        intersection() {
+            translate([wall, wall, -1]) cube([size.x - 2 * wall, size.y - 2 * wall, size.z + 2]);
+            for (row = [0 : ceil(size.y / pitch)], col = [0 : ceil(size.x / pitch)])
+                translate([wall + col * pitch, wall + row * pitch, -1]) cube([cell, cell, size.z + 2]);
+        }
+    }
+}`,
+    example: { call: "GridPanel([60, 40, 3], 8, 1.5);", bounds: [[0, 0, 0], [60, 40, 3]] },
+  },
+];
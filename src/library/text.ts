@@ -0,0 +1,24 @@
+import { ScadModule } from "./types.js";
+
+export const TEXT_MODULES: ScadModule[] = [
+  {
+    name: "EmbossedText",
+    category: "Text",
+    description: "Text extruded upwards from z = 0, centered on the origin. Union it onto a surface to emboss, or subtract it with difference() to engrave.",
+    params: [
+      { name: "txt", description: "The text." },
+      { name: "size", description: "Cap height in mm." },
+      { name: "height", description: "Extrusion height in mm." },
+      { name: "font", default: "\"Liberation Sans:style=Bold\"", description: "Font name; Liberation fonts ship with OpenSCAD." },
+      { name: "halign", default: "\"center\"", description: "\"left\", \"center\" or \"right\"." },
+      { name: "valign", default: "\"center\"", description: "\"top\", \"center\", \"baseline\" or \"bottom\"." },
+    ],
+    source: `
+module EmbossedText(txt, size, height, font = "Liberation Sans:style=Bold", halign = "center", valign = "center") {
+    linear_extrude(height)
+        text(txt, size = size, font = font, halign = halign, valign = valign);
+}`,
+    // Glyph widths depend on the installed font, so only the extrusion is checked
+    example: { call: "EmbossedText(\"MM\", 10, 2);", bounds: [[null, null, 0], [null, null, 2]] },
+  },
+];
@@ -0,0 +1,23 @@
+export interface ScadModuleParam {
+  name: string;
+  /** OpenSCAD default, written exactly as in the module signature. */
+  default?: string;
+  description: string;
+}
+
+export interface ScadModule {
+  name: string;
+  category: string;
+  description: string;
+  params: ScadModuleParam[];
+  source: string;
+  /**
+   * A call the render tests compile, and the bounding box ([min, max] in mm) it must produce.
+   * `null` leaves an axis unchecked, e.g. for text whose width depends on the installed font.
+   */
+  example: {
+    call: string;
+    bounds: [(number | null)[], (number | null)[]];
+    tolerance?: number;
+  };
+}
@@ -0,0 +1,317 @@
+import fs from "fs/promises";
+import Anthropic from "@anthropic-ai/sdk";
+import { chargeLlmCall } from "./accounts.js";
+
+export interface ToolSchema {
+  name: string;
+  description: string;
+  input_schema: { type: "object"; properties: Record<string, unknown>; required?: string[] };
+}
+
+/** One model call. `messages` use Anthropic's content-block format, which is also how sessions are stored. */
+export interface LlmRequest {
+  model: string;
+  maxTokens: number;
+  system: string;
+  messages: any[];
+  tools: ToolSchema[];
+  /** "none" asks for a text-only reply; the tools stay declared because the history refers to them. */
+  toolChoice?: "auto" | "none";
+}
+
+export type LlmContentBlock =
+  | { type: "text"; text: string }
+  | { type: "tool_use"; id: string; name: string; input: unknown };
+
+export interface LlmStreamHandlers {
+  /** Next piece of the reply's text. */
+  onText?: (text: string) => void;
+  /** The tool input parsed so far; string fields may be cut off mid-way. */
+  onToolInput?: (snapshot: Record<string, unknown>) => void;
+}
+
+export interface LlmProvider {
+  name: string;
+  defaultModel: string;
+  createMessage(request: LlmRequest, handlers?: LlmStreamHandlers): Promise<{ content: LlmContentBlock[] }>;
+}
+
+/** Model, token limit and extra system prompt; set per deployment through the environment and per project. */
+export interface LlmSettings {
+  model?: string;
+  maxTokens?: number;
+  systemPrompt?: string;
+}
+
+export function anthropicProvider({ apiKey = process.env.ANTHROPIC_API_KEY } = {}): LlmProvider {
+  let client: Anthropic | null = null;
+  return {
+    name: "anthropic",
+    defaultModel: "claude-sonnet-4-5-20250929",
+    async createMessage(request, handlers = {}) {
+      client ??= new Anthropic({ apiKey });
+      const stream = client.messages.stream({
+        model: request.model,
+        max_tokens: request.maxTokens,
+        system: request.system,
+        messages: request.messages,
+        ...(request.tools.length > 0 ? { tools: request.tools } : {}),
+        ...(request.toolChoice ? { tool_choice: { type: request.toolChoice } } : {}),
+      });
+      if (handlers.onText) stream.on("text", handlers.onText);
+      if (handlers.onToolInput) stream.on("inputJson", (_, snapshot) => handlers.onToolInput!((snapshot ?? {}) as Record<string, unknown>));
+      const message = await stream.finalMessage();
+      return { content: message.content.filter(c => c.type === "text" || c.type === "tool_use") as LlmContentBlock[] };
+    },
+  };
+}
+
+function toOpenAiPart(block: any) {
+  if (block.type === "image") return { type: "image_url", image_url: { url: `data:${block.source.media_type};base64,${block.source.data}` } };
+  return { type: "text", text: block.text };
+}
+
+/** Converts Anthropic-style history into OpenAI chat messages. */
+export function toOpenAiMessages(system: string, messages: any[]) {
+  const converted: any[] = [{ role: "system", content: system }];
+  for (const message of messages) {
+    const parts: any[] = typeof message.content === "string" ? [{ type: "text", text: message.content }] : message.content;
+
+    if (message.role === "assistant") {
+      const text = parts.filter(p => p.type === "text").map(p => p.text).join("");
+      const toolCalls = parts.filter(p => p.type === "tool_use").map(p => ({
+        id: p.id,
+        type: "function",
+        function: { name: p.name, arguments: JSON.stringify(p.input) },
+      }));
+      converted.push({ role: "assistant", content: text || null, ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {}) });
+      continue;
+    }
+
+    // Tool messages only carry text, so images attached to a tool result follow in a user message
+    const resultImages: any[] = [];
+    for (const result of parts.filter(p => p.type === "tool_result")) {
+      const blocks: any[] = typeof result.content === "string" ? [{ type: "text", text: result.content }] : result.content;
+      converted.push({ role: "tool", tool_call_id: result.tool_use_id, content: blocks.filter(b => b.type === "text").map(b => b.text).join("\n") });
+      resultImages.push(...blocks.filter(b => b.type === "image"));
+    }
+    const userParts = [...parts.filter(p => p.type === "text" || p.type === "image"), ...resultImages];
+    if (userParts.length > 0) converted.push({ role: "user", content: userParts.map(toOpenAiPart) });
+  }
+  return converted;
+}
+
+/** String fields of a JSON object that is still being streamed; the last one may be cut off. */
+export function partialJsonStrings(json: string) {
+  const fields: Record<string, string> = {};
+  for (const [, key, raw] of json.matchAll(/"(\w+)"\s*:\s*"((?:[^"\\]|\\.)*\\?)/g)) {
+    try {
+      // Drop an escape sequence the next chunk has not finished yet
+      fields[key] = JSON.parse(`"${raw.replace(/\\(u[0-9a-fA-F]{0,3})?$/, "")}"`);
+    } catch {
+      // Not a string value after all
+    }
+  }
+  return fields;
+}
+
+/** Any server speaking OpenAI's chat completions API, such as llama.cpp, Ollama, vLLM or LM Studio. */
+export function openAiProvider({
+  baseUrl = process.env.OPENAI_BASE_URL || "https://api.openai.com/v1",
+  apiKey = process.env.OPENAI_API_KEY,
+} = {}): LlmProvider {
+  return {
+    name: "openai",
+    defaultModel: "gpt-4o",
+    async createMessage(request, handlers = {}) {
+      const response = await fetch(`${baseUrl.replace(/\/$/, "")}/chat/completions`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) },
+        body: JSON.stringify({
+          model: request.model,
+          max_tokens: request.maxTokens,
+          messages: toOpenAiMessages(request.system, request.messages),
+          ...(request.tools.length > 0
+            ? { tools: request.tools.map(t => ({ type: "function", function: { name: t.name, description: t.description, parameters: t.input_schema } })) }
+            : {}),
+          ...(request.toolChoice ? { tool_choice: request.toolChoice } : {}),
+          stream: true,
+        }),
+      });
+      if (!response.ok || !response.body) {
+        throw new Error(`${baseUrl} answered ${response.status}: ${(await response.text()).slice(0, 500)}`);
+      }
+
+      let text = "";
+      const calls: { id: string; name: string; arguments: string }[] = [];
+      let buffer = "";
+      for await (const chunk of response.body.pipeThrough(new TextDecoderStream())) {
+        buffer += chunk;
+        const lines = buffer.split("\n");
+        buffer = lines.pop()!;
+        for (const line of lines) {
+          const data = line.match(/^data:\s*(.*)$/)?.[1];
+          if (!data || data === "[DONE]") continue;
+          const delta = JSON.parse(data).choices?.[0]?.delta;
+          if (delta?.content) {
+            text += delta.content;
+            handlers.onText?.(delta.content);
+          }
+          for (const call of delta?.tool_calls ?? []) {
+            const index = call.index ?? calls.length;
+            calls[index] ??= { id: call.id || `call_${index}`, name: "", arguments: "" };
+            calls[index].name += call.function?.name ?? "";
+            calls[index].arguments += call.function?.arguments ?? "";
+            handlers.onToolInput?.(partialJsonStrings(calls[index].arguments));
+          }
+        }
+      }
+
+      const content: LlmContentBlock[] = text ? [{ type: "text", text }] : [];
+      for (const call of calls.filter(Boolean)) {
+        content.push({ type: "tool_use", id: call.id, name: call.name, input: JSON.parse(call.arguments || "{}") });
+      }
+      return { content };
+    },
+  };
+}
+
+export interface MockReply {
+  text?: string;
+  /** Name of the tool to call with `input`. */
+  tool?: string;
+  input?: Record<string, unknown>;
+}
+
+/** Replies to the first entry whose `match` appears in the user's latest message; "*" matches anything. */
+export interface MockScriptEntry {
+  match: string;
+  /** The first reply answers the message, the next ones answer the tool results that follow it. */
+  replies: MockReply[];
+}
+
+// The last message the user wrote, skipping messages that only carry tool results
+function latestUserText(messages: any[]) {
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const content = messages[i].content;
+    if (messages[i].role !== "user") continue;
+    if (typeof content === "string") return { text: content, index: i };
+    if (content.some((c: any) => c.type !== "tool_result")) {
+      return { text: content.filter((c: any) => c.type === "text").at(-1)?.text ?? "", index: i };
+    }
+  }
+  return { text: "", index: -1 };
+}
+
+/**
+ * Deterministic provider for tests and offline development. Replies come from `script`, or from the JSON file
+ * at LLM_MOCK_SCRIPT, re-read on every call; with LLM_MOCK_LOG set, every request is appended to that file as a JSON line.
+ */
+export function mockProvider({ script, logPath = process.env.LLM_MOCK_LOG }: { script?: MockScriptEntry[]; logPath?: string } = {}): LlmProvider {
+  return {
+    name: "mock",
+    defaultModel: "mock",
+    async createMessage(request, handlers = {}) {
+      if (logPath) await fs.appendFile(logPath, JSON.stringify(request) + "\n");
+      const entries: MockScriptEntry[] = script
+        ?? (process.env.LLM_MOCK_SCRIPT ? JSON.parse(await fs.readFile(process.env.LLM_MOCK_SCRIPT, "utf8")) : []);
+
+      const { text: prompt, index } = latestUserText(request.messages);
+      const entry = entries.find(e => e.match === "*" || prompt.toLowerCase().includes(e.match.toLowerCase()));
+      const turn = request.messages.slice(index + 1).filter(m => m.role === "assistant").length;
+      const reply: MockReply = entry
+        ? entry.replies[turn] ?? { text: "The mock script has no more replies for this message." }
+        : { text: `Mock reply to: ${prompt}` };
+
+      const content: LlmContentBlock[] = [];
+      if (reply.text) {
+        for (const word of reply.text.match(/\S+\s*/g) ?? []) handlers.onText?.(word);
+        content.push({ type: "text", text: reply.text });
+      }
+      if (reply.tool && request.toolChoice !== "none") {
+        const input = reply.input ?? {};
+        const code = typeof input.code === "string" ? input.code : "";
+        // Stream the code in a few pieces, like a real model would
+        for (const end of [Math.ceil(code.length / 3), Math.ceil((2 * code.length) / 3), code.length]) {
+          handlers.onToolInput?.({ ...input, code: code.slice(0, end) });
+        }
+        content.push({ type: "tool_use", id: `toolu_mock_${request.messages.length}`, name: reply.tool, input });
+      }
+      return { content };
+    },
+  };
+}
+
+const PROVIDERS: Record<string, () => LlmProvider> = {
+  anthropic: anthropicProvider,
+  openai: openAiProvider,
+  mock: mockProvider,
+};
+
+let provider: LlmProvider | null = null;
+
+/** The provider chosen by LLM_PROVIDER (default "anthropic"). */
+export function getProvider() {
+  if (!provider) {
+    const name = process.env.LLM_PROVIDER || "anthropic";
+    if (!(name in PROVIDERS)) throw new Error(`Unknown LLM_PROVIDER "${name}"; use ${Object.keys(PROVIDERS).join(", ")}`);
+    const created = PROVIDERS[name]();
+    // Every call counts against the signed-in user's daily quota
+    provider = { ...created, createMessage: async (request, handlers) => {
+      await chargeLlmCall();
+      return created.createMessage(request, handlers);
+    } };
+  }
+  return provider;
+}
+
+/** Validates settings sent by a client; `null` clears a setting so the deployment default applies again. */
+export function parseLlmSettings(raw: unknown): LlmSettings {
+  if (typeof raw !== "object" || raw === null || Array.isArray(raw)) throw new Error("llm must be an object");
+  const { model, maxTokens, systemPrompt } = raw as Record<string, unknown>;
+  const settings: LlmSettings = {};
+  if (model != null) {
+    if (typeof model !== "string" || !model.trim() || model.length > 200) throw new Error("llm.model must be a model name");
+    settings.model = model.trim();
+  }
+  if (maxTokens != null) {
+    if (!Number.isInteger(maxTokens) || (maxTokens as number) < 256 || (maxTokens as number) > 64000) {
+      throw new Error("llm.maxTokens must be a whole number between 256 and 64000");
+    }
+    settings.maxTokens = maxTokens as number;
+  }
+  if (systemPrompt != null) {
+    if (typeof systemPrompt !== "string" || systemPrompt.length > 10000) throw new Error("llm.systemPrompt must be text of at most 10000 characters");
+    if (systemPrompt.trim()) settings.systemPrompt = systemPrompt.trim();
+  }
+  return settings;
+}
+
+/**
+ * Applies a client's partial update to a project's saved settings: fields left out are kept, `null` clears one,
+ * and `null` instead of an object goes back to the deployment's settings altogether.
+ */
+export function mergeLlmSettings(current: LlmSettings = {}, raw: unknown): LlmSettings {
+  if (raw === null) return {};
+  const parsed = parseLlmSettings(raw);
+  const merged: LlmSettings = { ...current };
+  for (const key of ["model", "maxTokens", "systemPrompt"] as const) {
+    if ((raw as Record<string, unknown>)[key] === undefined) continue;
+    if (parsed[key] === undefined) delete merged[key];
+    else Object.assign(merged, { [key]: parsed[key] });
+  }
+  return merged;
+}
+
+/**
+ * Model and token limit for a chat turn: the project's settings, then LLM_MODEL / LLM_MAX_TOKENS, then the provider's default.
+ * The deployment's LLM_SYSTEM_PROMPT and the project's systemPrompt are both added to the built-in prompt.
+ */
+export function resolveLlmSettings(project: LlmSettings = {}) {
+  const deploymentPrompt = process.env.LLM_SYSTEM_PROMPT?.trim();
+  return {
+    model: project.model || process.env.LLM_MODEL || getProvider().defaultModel,
+    maxTokens: project.maxTokens || Number(process.env.LLM_MAX_TOKENS) || 4096,
+    extraInstructions: [deploymentPrompt, project.systemPrompt].filter(Boolean) as string[],
+  };
+}
@@ -0,0 +1,201 @@
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { z } from "zod";
+import fs from "fs/promises";
+import path from "path";
+import { analyzeModel, deleteModel, exportModel, exportsDir, generateScad, listModels, readModelParts, readModelSource } from "./workspace.js";
+import { recordRevision } from "./revisions.js";
+import { COLOR_SCHEMES, DEFAULT_VIEWS, PREVIEW_VIEWS, PreviewView, renderPreviewSet, resolvePreviewOptions } from "./previews.js";
+import { EXPORT_FORMATS, ExportFormat, exportFormats, zipExport } from "./export.js";
+import { MATERIAL_DENSITIES } from "./stl.js";
+import { describeLibrary, LIBRARY_VERSION } from "./scad_lib.js";
+import { parseParts, PARTS_DESCRIPTION } from "./assembly.js";
+import { arrangeOnPlate } from "./plate.js";
+
+export const CREATE_MODEL_DESCRIPTION = "Generates 3D geometry. Output MUST be valid OpenSCAD code utilizing the Standard Library.";
+
+// MCP clients have no system prompt of ours, so the library reference travels with the tool
+const MCP_CREATE_MODEL_DESCRIPTION = `${CREATE_MODEL_DESCRIPTION}
+
+Standard Library v${LIBRARY_VERSION} (already included, do not redefine):
+${describeLibrary()}`;
+
+function errorResult(err: unknown) {
+  const text = err instanceof Error ? err.message : String(err);
+  return { isError: true, content: [{ type: "text" as const, text: `Error: ${text}` }] };
+}
+
+// A fresh server per connection: an McpServer can only be attached to one transport at a time
+export function createMcpServer() {
+  const server = new McpServer({ name: "modelmint", version: "2.1.0" });
+
+  server.tool("create_model", MCP_CREATE_MODEL_DESCRIPTION,
+    {
+      filename: z.string(),
+      code: z.string().describe("The OpenSCAD logic calling Standard Library modules."),
+      prompt: z.string().optional().describe("The user request this code implements, stored with the revision."),
+      parts: z.array(z.object({
+        name: z.string(),
+        module: z.string().optional(),
+        translate: z.array(z.number()).length(3).optional(),
+        rotate: z.array(z.number()).length(3).optional(),
+        color: z.string().optional().describe("Colour name or #rrggbb."),
+      })).optional().describe(PARTS_DESCRIPTION),
+    },
+    async ({ filename, code, prompt, parts }) => {
+      try {
+        const { safeName, pngPath, stlPath } = await generateScad(filename, code, undefined, undefined, parseParts(parts));
+        const { revision } = await recordRevision(safeName, prompt ?? null);
+        const png = await fs.readFile(pngPath);
+        const partPaths = (await readModelParts(safeName)).map(p => `${p.name}: ${p.stlPath}`);
+        return {
+          content: [
+            { type: "image" as const, data: png.toString("base64"), mimeType: "image/png" },
+            {
+              type: "text" as const,
+              text: `Generated revision ${revision} of ${safeName} (${stlPath}).` + (partPaths.length > 0 ? `\nParts:\n${partPaths.join("\n")}` : ""),
+            }
+          ]
+        };
+      } catch (err) {
+        return errorResult(err);
+      }
+    }
+  );
+
+  server.tool("get_model_source", "Returns the OpenSCAD code of a saved model, without the injected Standard Library.",
+    { name: z.string() },
+    async ({ name }) => {
+      try {
+        return { content: [{ type: "text" as const, text: await readModelSource(name) }] };
+      } catch (err) {
+        return errorResult(err);
+      }
+    }
+  );
+
+  server.tool("list_models", "Lists the models saved in the workspace.",
+    async () => {
+      const models = await listModels();
+      const text = models.length === 0
+        ? "The workspace is empty."
+        : models.map(m => `${m.name} (updated ${m.updatedAt}${m.hasStl ? ", STL ready" : ""})`).join("\n");
+      return { content: [{ type: "text" as const, text }] };
+    }
+  );
+
+  server.tool("export_model",
+    "Re-renders a saved model with its saved parameter values and returns the file paths. Without formats it refreshes the model's STL; " +
+    "otherwise it writes each format to the workspace's .exports folder. DXF and SVG are 2D: the outline seen from above, or a horizontal cut at cut_height.",
+    {
+      name: z.string(),
+      formats: z.array(z.enum(Object.keys(EXPORT_FORMATS) as [ExportFormat, ...ExportFormat[]])).optional(),
+      zip: z.boolean().optional().describe("Also bundle the files with the .scad source into a zip."),
+      cut_height: z.number().optional().describe("Z height in mm of the DXF/SVG section."),
+    },
+    async ({ name, formats, zip, cut_height }) => {
+      try {
+        if (!formats?.length) {
+          const { safeName, stlPath } = await exportModel(name);
+          return { content: [{ type: "text" as const, text: `Exported ${safeName} to ${stlPath}` }] };
+        }
+
+        const exported = await exportFormats(name, formats, { cutHeight: cut_height });
+        const lines = exported.files.map(f => `${f.format}: ${f.path}`);
+        if (zip) {
+          const zipPath = path.join(exportsDir(), exported.safeName, `${exported.safeName}.zip`);
+          await fs.writeFile(zipPath, await zipExport(exported));
+          lines.push(`zip: ${zipPath}`);
+        }
+        return { content: [{ type: "text" as const, text: `Exported ${exported.safeName}:\n${lines.join("\n")}` }] };
+      } catch (err) {
+        return errorResult(err);
+      }
+    }
+  );
+
+  server.tool("arrange_on_plate",
+    "Lays the parts of a saved model (or the whole model, if it has no parts) flat-side-down on a print bed without overlap and writes one STL per plate " +
+    "to the workspace's .exports folder. Parts that don't fit on one bed go onto further plates.",
+    {
+      name: z.string(),
+      bed_width: z.number().min(20).max(2000).optional().describe("Bed width in mm. Defaults to 220."),
+      bed_depth: z.number().min(20).max(2000).optional().describe("Bed depth in mm. Defaults to 220."),
+      spacing: z.number().min(0).max(50).optional().describe("Gap between parts in mm. Defaults to 5."),
+    },
+    async ({ name, bed_width, bed_depth, spacing }) => {
+      try {
+        const arranged = await arrangeOnPlate(name, { bedWidth: bed_width, bedDepth: bed_depth, spacing });
+        const lines = arranged.plates.map(plate => `${plate.path}: ${plate.parts.map(p => p.name + (p.rotated ? " (turned 90°)" : "")).join(", ")}`);
+        return {
+          content: [{
+            type: "text" as const,
+            text: `Arranged ${arranged.safeName} on ${arranged.plates.length} plate(s) of ${arranged.bedWidth} × ${arranged.bedDepth} mm:\n${lines.join("\n")}`,
+          }],
+        };
+      } catch (err) {
+        return errorResult(err);
+      }
+    }
+  );
+
+  server.tool("analyze_model",
+    "Checks a model's STL for print readiness: size in mm, volume, surface area, filament mass, open or non-manifold edges, degenerate triangles and overhangs.",
+    {
+      name: z.string(),
+      material: z.string().optional().describe(`One of ${Object.keys(MATERIAL_DENSITIES).join(", ")}. Defaults to PLA.`),
+      density: z.number().positive().optional().describe("Material density in g/cm³; overrides material."),
+      overhang_angle: z.number().min(0).max(90).optional().describe("Overhang threshold in degrees from vertical. Defaults to 45."),
+    },
+    async ({ name, material, density, overhang_angle }) => {
+      try {
+        const report = await analyzeModel(name, { material, density, overhangAngle: overhang_angle });
+        return { content: [{ type: "text" as const, text: JSON.stringify(report, null, 2) }] };
+      } catch (err) {
+        return errorResult(err);
+      }
+    }
+  );
+
+  server.tool("render_views",
+    "Renders a saved model from several fixed camera angles and returns them as one labelled contact sheet, to check features the default preview hides. " +
+    "Optionally also renders a turntable animation to the workspace.",
+    {
+      name: z.string(),
+      views: z.array(z.enum(Object.keys(PREVIEW_VIEWS) as [PreviewView, ...PreviewView[]])).optional().describe(`Defaults to ${DEFAULT_VIEWS.join(", ")}.`),
+      color_scheme: z.enum(COLOR_SCHEMES as [string, ...string[]]).optional(),
+      size: z.number().int().min(200).max(2000).optional().describe("Contact sheet size in pixels; each view is half of it. Defaults to 800."),
+      turntable: z.enum(["gif", "webp"]).optional(),
+    },
+    async ({ name, views, color_scheme, size, turntable }) => {
+      try {
+        const preview = await renderPreviewSet(name, resolvePreviewOptions({ views, colorScheme: color_scheme, size, turntable }));
+        const content: ({ type: "image"; data: string; mimeType: string } | { type: "text"; text: string })[] = [];
+        if (preview.sheetPath) {
+          content.push({ type: "image" as const, data: (await fs.readFile(preview.sheetPath)).toString("base64"), mimeType: "image/png" });
+        }
+        content.push({
+          type: "text" as const,
+          text: `Rendered ${preview.views.map(v => v.view).join(", ") || "no"} views of ${preview.safeName}` +
+            (preview.turntablePath ? `; turntable saved to ${preview.turntablePath}` : "") + ".",
+        });
+        return { content };
+      } catch (err) {
+        return errorResult(err);
+      }
+    }
+  );
+
+  server.tool("delete_model", "Deletes a model's .scad, .png and .stl files and its revision history from the workspace.",
+    { name: z.string() },
+    async ({ name }) => {
+      try {
+        const { safeName } = await deleteModel(name);
+        return { content: [{ type: "text" as const, text: `Deleted ${safeName}.` }] };
+      } catch (err) {
+        return errorResult(err);
+      }
+    }
+  );
+
+  return server;
+}
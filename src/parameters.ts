@@ -0,0 +1,198 @@
+export type ParameterValue = number | boolean | string | number[];
+
+export interface ParameterOption {
+  value: number | string;
+  label: string;
+}
+
+export interface ScadParameter {
+  name: string;
+  type: "number" | "boolean" | "string" | "vector";
+  default: ParameterValue;
+  min?: number;
+  max?: number;
+  step?: number;
+  options?: ParameterOption[];
+  description?: string;
+  group?: string;
+}
+
+const NUMBER = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+
+function parseLiteral(text: string): Pick<ScadParameter, "type" | "default"> | null {
+  const value = text.trim();
+  if (NUMBER.test(value)) return { type: "number", default: Number(value) };
+  if (value === "true" || value === "false") return { type: "boolean", default: value === "true" };
+  if (/^"(?:[^"\\]|\\.)*"$/.test(value)) {
+    try {
+      return { type: "string", default: JSON.parse(value) };
+    } catch {
+      return null;
+    }
+  }
+  const vector = value.match(/^\[(.*)\]$/);
+  if (vector) {
+    const items = vector[1].split(",").map(item => item.trim());
+    if (items.length > 0 && items.every(item => NUMBER.test(item))) return { type: "vector", default: items.map(Number) };
+  }
+  // Anything else is an expression derived from other variables, which the customizer leaves alone
+  return null;
+}
+
+/** Parses the bracketed part of an OpenSCAD Customizer comment: `[10:100]`, `[0:5:100]`, `[a, b]`, `[10:Small, 20:Large]`. */
+function parseWidget(spec: string): Partial<ScadParameter> {
+  const parts = spec.split(":").map(p => p.trim());
+  if (!spec.includes(",") && parts.length >= 1 && parts.length <= 3 && parts.every(p => NUMBER.test(p))) {
+    const numbers = parts.map(Number);
+    // A lone number is the maximum of a slider that starts at 0
+    if (numbers.length === 1) return { min: 0, max: numbers[0] };
+    if (numbers.length === 2) return { min: numbers[0], max: numbers[1] };
+    return { min: numbers[0], step: numbers[1], max: numbers[2] };
+  }
+
+  const options = spec.split(",").map(item => {
+    const [rawValue, ...label] = item.split(":");
+    const value = rawValue.trim();
+    return {
+      value: NUMBER.test(value) ? Number(value) : value,
+      label: label.length > 0 ? label.join(":").trim() : value,
+    };
+  }).filter(option => option.value !== "");
+  return options.length > 0 ? { options } : {};
+}
+
+/**
+ * Removes string contents and comments from one line of SCAD so braces can be counted.
+ * `state.inBlockComment` carries an open `/* ... *\/` over to the next line.
+ */
+function stripLine(line: string, state: { inBlockComment: boolean }) {
+  let code = "";
+  for (let i = 0; i < line.length; i++) {
+    if (state.inBlockComment) {
+      if (line.startsWith("*/", i)) {
+        state.inBlockComment = false;
+        i++;
+      }
+      continue;
+    }
+    if (line.startsWith("/*", i)) {
+      state.inBlockComment = true;
+      i++;
+      continue;
+    }
+    if (line.startsWith("//", i)) break;
+    if (line[i] === '"') {
+      const end = line.slice(i + 1).search(/(?<!\\)"/);
+      code += '""';
+      i = end === -1 ? line.length : i + end + 1;
+      continue;
+    }
+    code += line[i];
+  }
+  return code;
+}
+
+/**
+ * Extracts the customizable parameters of model-written SCAD: top-level literal assignments
+ * before the first module or function definition, annotated by OpenSCAD Customizer comments.
+ */
+export function extractParameters(code: string): ScadParameter[] {
+  const parameters: ScadParameter[] = [];
+  const state = { inBlockComment: false };
+  let depth = 0;
+  let group: string | undefined;
+  let previousComment: string | undefined;
+
+  for (const line of code.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    const wasInComment = state.inBlockComment;
+    const stripped = stripLine(line, state);
+
+    if (depth === 0 && !wasInComment) {
+      const groupMatch = trimmed.match(/^\/\*\s*\[([^\]]+)\]\s*\*\/$/);
+      if (groupMatch) {
+        group = groupMatch[1].trim();
+        previousComment = undefined;
+        continue;
+      }
+      if (/^(module|function)\b/.test(trimmed)) break;
+
+      const assignment = line.match(/^\s*([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.+?)\s*;\s*(?:\/\/\s*(.*))?$/);
+      if (assignment && group?.toLowerCase() !== "hidden") {
+        const [, name, valueText, trailing] = assignment;
+        const literal = parseLiteral(valueText);
+        if (literal && !parameters.some(p => p.name === name)) {
+          const widget = trailing?.match(/^\[(.*)\]\s*(.*)$/);
+          const description = previousComment || (widget ? widget[2] : trailing)?.trim() || undefined;
+          parameters.push({
+            name,
+            ...literal,
+            ...(widget ? parseWidget(widget[1]) : {}),
+            ...(description ? { description } : {}),
+            ...(group && group.toLowerCase() !== "global" ? { group } : {}),
+          });
+        }
+      }
+      previousComment = trimmed.startsWith("//") ? trimmed.replace(/^\/\/\s*/, "") : undefined;
+    }
+
+    for (const char of stripped) {
+      if (char === "{") depth++;
+      else if (char === "}") depth = Math.max(0, depth - 1);
+    }
+  }
+
+  return parameters;
+}
+
+/** Checks client-supplied values against the schema; throws on unknown names or values of the wrong type. */
+export function resolveOverrides(parameters: ScadParameter[], values: Record<string, unknown>) {
+  const overrides: Record<string, ParameterValue> = {};
+
+  for (const [name, value] of Object.entries(values ?? {})) {
+    const parameter = parameters.find(p => p.name === name);
+    if (!parameter) throw new Error(`Unknown parameter "${name}"`);
+
+    const invalid = () => new Error(`Invalid value for "${name}": expected ${parameter.type}`);
+    switch (parameter.type) {
+      case "number": {
+        const number = typeof value === "string" && NUMBER.test(value.trim()) ? Number(value) : value;
+        if (typeof number !== "number" || !Number.isFinite(number)) throw invalid();
+        if ((parameter.min !== undefined && number < parameter.min) || (parameter.max !== undefined && number > parameter.max)) {
+          throw new Error(`"${name}" must be between ${parameter.min ?? "-∞"} and ${parameter.max ?? "∞"}`);
+        }
+        overrides[name] = number;
+        break;
+      }
+      case "boolean":
+        if (typeof value !== "boolean") throw invalid();
+        overrides[name] = value;
+        break;
+      case "string":
+        if (typeof value !== "string") throw invalid();
+        overrides[name] = value;
+        break;
+      case "vector":
+        if (!Array.isArray(value) || !value.every(v => typeof v === "number" && Number.isFinite(v))) throw invalid();
+        overrides[name] = value;
+        break;
+    }
+
+    if (parameter.options && !parameter.options.some(o => o.value === overrides[name])) {
+      throw new Error(`"${name}" must be one of ${parameter.options.map(o => o.value).join(", ")}`);
+    }
+  }
+
+  return overrides;
+}
+
+function toScadLiteral(value: ParameterValue): string {
+  if (Array.isArray(value)) return `[${value.join(",")}]`;
+  if (typeof value === "string") return JSON.stringify(value);
+  return String(value);
+}
+
+/** Turns overrides into OpenSCAD `-D name=value` command-line definitions. */
+export function toDefineArgs(overrides: Record<string, ParameterValue>) {
+  return Object.entries(overrides).flatMap(([name, value]) => ["-D", `${name}=${toScadLiteral(value)}`]);
+}
@@ -0,0 +1,197 @@
+import fs from "fs/promises";
+import path from "path";
+import JSZip from "jszip";
+import { parseStl, toBinaryStl, TriangleSoup } from "./stl.js";
+import { checkedRender, exportsDir, modelPaths, readModelParameters, readModelParts, readModelSource, renderStl } from "./workspace.js";
+
+export interface PlateOptions {
+  /** Printable area in mm. */
+  bedWidth?: number;
+  bedDepth?: number;
+  /** Gap between parts in mm. */
+  spacing?: number;
+  /** Defaults to .exports/<model>/, which is overwritten by the next export. */
+  outDir?: string;
+}
+
+export interface PlacedPart {
+  name: string;
+  /** Where the part's footprint starts on the bed, in mm. */
+  x: number;
+  y: number;
+  /** True when the part was turned 90° about Z to fit. */
+  rotated: boolean;
+  size: number[];
+}
+
+const DEFAULT_BED = 220;
+const DEFAULT_SPACING = 5;
+
+/** Parses "220x220" (or a single number for a square bed) into a bed size in mm. */
+export function parseBedSize(raw: string) {
+  const match = raw.trim().match(/^(\d+(?:\.\d+)?)(?:\s*[x×*]\s*(\d+(?:\.\d+)?))?$/i);
+  const bedWidth = Number(match?.[1]);
+  const bedDepth = Number(match?.[2] ?? match?.[1]);
+  if (!match || !(bedWidth >= 20 && bedWidth <= 2000) || !(bedDepth >= 20 && bedDepth <= 2000)) {
+    throw new Error('bed must look like "220x220", in mm between 20 and 2000');
+  }
+  return { bedWidth, bedDepth };
+}
+
+function bounds(soup: TriangleSoup) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < soup.length; i++) {
+    min[i % 3] = Math.min(min[i % 3], soup[i]);
+    max[i % 3] = Math.max(max[i % 3], soup[i]);
+  }
+  return { min, max };
+}
+
+function transform(soup: TriangleSoup, apply: (x: number, y: number, z: number) => number[]) {
+  const out = new Float64Array(soup.length);
+  for (let i = 0; i < soup.length; i += 3) out.set(apply(soup[i], soup[i + 1], soup[i + 2]), i);
+  return out;
+}
+
+// Rotation taking the unit vector n onto (0, 0, -1) (Rodrigues' formula)
+function rotationToDown([nx, ny, nz]: number[]) {
+  if (nz > 1 - 1e-9) return [[1, 0, 0], [0, -1, 0], [0, 0, -1]];
+  const [vx, vy] = [-ny, nx];
+  const k = 1 / (1 - nz);
+  return [
+    [1 - vy * vy * k, vx * vy * k, vy],
+    [vx * vy * k, 1 - vx * vx * k, -vx],
+    [-vy, vx, 1 - (vx * vx + vy * vy) * k],
+  ];
+}
+
+/**
+ * Turns a mesh so the largest flat face it can rest on (one with no geometry below its plane) faces the bed,
+ * then moves it so its bounding box starts at the origin.
+ */
+export function layFlat(soup: TriangleSoup): TriangleSoup {
+  const faces = new Map<string, { normal: number[]; offset: number; area: number }>();
+  for (let t = 0; t < soup.length; t += 9) {
+    const [ax, ay, az, bx, by, bz, cx, cy, cz] = soup.subarray(t, t + 9);
+    const nx = (by - ay) * (cz - az) - (bz - az) * (cy - ay);
+    const ny = (bz - az) * (cx - ax) - (bx - ax) * (cz - az);
+    const nz = (bx - ax) * (cy - ay) - (by - ay) * (cx - ax);
+    const length = Math.hypot(nx, ny, nz);
+    if (length < 1e-12) continue;
+    const normal = [nx / length, ny / length, nz / length];
+    const offset = normal[0] * ax + normal[1] * ay + normal[2] * az;
+    // Coplanar triangles share a rounded normal and distance from the origin
+    const key = [...normal.map(v => Math.round(v * 1000) + 0), Math.round(offset * 100) + 0].join(",");
+    const face = faces.get(key) ?? { normal, offset, area: 0 };
+    face.area += length / 2;
+    faces.set(key, face);
+  }
+
+  const candidates = [...faces.values()].sort((a, b) => b.area - a.area).slice(0, 64);
+  const base = candidates.find(({ normal, offset }) => {
+    for (let i = 0; i < soup.length; i += 3) {
+      if (normal[0] * soup[i] + normal[1] * soup[i + 1] + normal[2] * soup[i + 2] > offset + 0.01) return false;
+    }
+    return true;
+  });
+
+  const r = base ? rotationToDown(base.normal) : [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+  const turned = transform(soup, (x, y, z) => r.map(row => row[0] * x + row[1] * y + row[2] * z));
+  const { min } = bounds(turned);
+  return transform(turned, (x, y, z) => [x - min[0], y - min[1], z - min[2]]);
+}
+
+/**
+ * Shelf packing: parts go left to right in rows, tallest footprint first, and onto another plate when the bed
+ * is full. Parts that only fit turned by 90° are turned. Returns the placements per plate.
+ */
+export function packParts(footprints: { name: string; size: number[] }[], { bedWidth = DEFAULT_BED, bedDepth = DEFAULT_BED, spacing = DEFAULT_SPACING } = {}) {
+  const placed = footprints.map(({ name, size: [w, d, h] }) => {
+    if (w <= bedWidth && d <= bedDepth) return { name, w, d, rotated: false, size: [w, d, h] };
+    if (d <= bedWidth && w <= bedDepth) return { name, w: d, d: w, rotated: true, size: [w, d, h] };
+    throw new Error(`Part "${name}" (${w.toFixed(1)} × ${d.toFixed(1)} mm) does not fit on a ${bedWidth} × ${bedDepth} mm bed`);
+  }).sort((a, b) => b.d - a.d || b.w - a.w);
+
+  const plates: PlacedPart[][] = [[]];
+  let x = 0;
+  let y = 0;
+  let rowDepth = 0;
+  for (const part of placed) {
+    if (x > 0 && x + part.w > bedWidth) {
+      y += rowDepth + spacing;
+      x = 0;
+      rowDepth = 0;
+    }
+    if (y > 0 && y + part.d > bedDepth) {
+      plates.push([]);
+      x = 0;
+      y = 0;
+      rowDepth = 0;
+    }
+    plates.at(-1)!.push({ name: part.name, x, y, rotated: part.rotated, size: part.size });
+    x += part.w + spacing;
+    rowDepth = Math.max(rowDepth, part.d);
+  }
+  return plates;
+}
+
+/**
+ * Lays the parts of a model, rendered with its saved parameter values, flat on print beds and writes one STL per
+ * plate. Models without parts are placed as a single piece. Each plate is centred on the bed.
+ */
+export async function arrangeOnPlate(name: string, options: PlateOptions = {}) {
+  const { safeName, values } = await readModelParameters(name);
+  const { scadPath } = modelPaths(safeName);
+  const aiCode = await readModelSource(safeName);
+  const outDir = options.outDir ?? path.join(exportsDir(), safeName);
+  const bedWidth = options.bedWidth ?? DEFAULT_BED;
+  const bedDepth = options.bedDepth ?? DEFAULT_BED;
+  await fs.mkdir(outDir, { recursive: true });
+
+  const parts = await readModelParts(safeName);
+  const pieces = new Map<string, TriangleSoup>();
+  for (const part of parts.length > 0 ? parts.map(p => p.name) : [safeName]) {
+    const stlPath = path.join(outDir, `${safeName}.${part}.plate-source.stl`);
+    await checkedRender(renderStl(scadPath, stlPath, parts.length > 0 ? { ...values, part } : values), aiCode);
+    pieces.set(part, layFlat(parseStl(await fs.readFile(stlPath))));
+    await fs.rm(stlPath, { force: true });
+  }
+
+  const footprints = [...pieces].map(([part, soup]) => ({ name: part, size: bounds(soup).max }));
+  const layout = packParts(footprints, { bedWidth, bedDepth, spacing: options.spacing });
+
+  const plates = [];
+  for (const [index, plate] of layout.entries()) {
+    const turned = plate.map(p => {
+      const soup = pieces.get(p.name)!;
+      const depth = p.size[1];
+      // Turning by 90° about Z keeps the part's handedness, unlike swapping x and y
+      return p.rotated ? transform(soup, (x, y, z) => [depth - y, x, z]) : soup;
+    });
+    const extent = bounds(Float64Array.from(plate.flatMap((p, i) => {
+      const { max } = bounds(turned[i]);
+      return [p.x, p.y, 0, p.x + max[0], p.y + max[1], 0];
+    })));
+    const dx = (bedWidth - extent.max[0]) / 2;
+    const dy = (bedDepth - extent.max[1]) / 2;
+
+    const soup = new Float64Array(turned.reduce((sum, s) => sum + s.length, 0));
+    let offset = 0;
+    for (const [i, p] of plate.entries()) {
+      soup.set(transform(turned[i], (x, y, z) => [x + p.x + dx, y + p.y + dy, z]), offset);
+      offset += turned[i].length;
+    }
+    const platePath = path.join(outDir, layout.length === 1 ? `${safeName}_plate.stl` : `${safeName}_plate${index + 1}.stl`);
+    await fs.writeFile(platePath, toBinaryStl(soup, `${safeName} plate ${index + 1}`));
+    plates.push({ path: platePath, parts: plate.map(p => ({ ...p, x: p.x + dx, y: p.y + dy })) });
+  }
+
+  return { safeName, bedWidth, bedDepth, plates };
+}
+
+export async function zipPlates(arranged: { plates: { path: string }[] }) {
+  const zip = new JSZip();
+  for (const plate of arranged.plates) zip.file(path.basename(plate.path), await fs.readFile(plate.path));
+  return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+}
@@ -0,0 +1,135 @@
+import fs from "fs/promises";
+import path from "path";
+import sharp from "sharp";
+import { checkedRender, modelPaths, previewsDir, readModelParameters, readModelSource, renderPng } from "./workspace.js";
+
+// OpenSCAD gimbal rotations [x, y, z]; "iso" is OpenSCAD's own default camera angle
+export const PREVIEW_VIEWS = {
+  iso: [55, 0, 25],
+  front: [90, 0, 0],
+  back: [90, 0, 180],
+  left: [90, 0, 270],
+  right: [90, 0, 90],
+  top: [0, 0, 0],
+  bottom: [180, 0, 0],
+} satisfies Record<string, number[]>;
+
+export type PreviewView = keyof typeof PREVIEW_VIEWS;
+
+export const COLOR_SCHEMES = [
+  "Cornfield", "Metallic", "Sunset", "Starnight", "BeforeDawn", "Nature", "DeepOcean", "Solarized", "Tomorrow", "Tomorrow Night", "Monotone",
+];
+
+export const DEFAULT_VIEWS: PreviewView[] = ["iso", "front", "right", "top"];
+
+// Views /chat renders after every successful render unless the request asks for others. Each one is another
+// OpenSCAD run against the render quota; PREVIEW_VIEWS=none leaves the main (iso) preview on its own.
+export const CHAT_VIEWS = process.env.PREVIEW_VIEWS === undefined ? DEFAULT_VIEWS : process.env.PREVIEW_VIEWS
+  .split(",")
+  .map(view => view.trim())
+  .filter((view): view is PreviewView => {
+    if (view && view !== "none" && !(view in PREVIEW_VIEWS)) console.warn(`⚠️  PREVIEW_VIEWS: unknown view "${view}" ignored`);
+    return view in PREVIEW_VIEWS;
+  });
+
+const TURNTABLE_FRAMES = 24;
+const TURNTABLE_DELAY_MS = 120;
+
+export interface PreviewOptions {
+  /** Views for the contact sheet; none skips it. */
+  views: PreviewView[];
+  colorScheme: string;
+  /** Pixel size of the square main preview. Views and turntable frames are half of it, so a 2x2 sheet matches the preview. */
+  size: number;
+  turntable: "gif" | "webp" | null;
+}
+
+/** Validates client- or model-supplied preview settings and fills in the defaults. */
+export function resolvePreviewOptions(raw: Record<string, unknown> = {}, defaultViews = DEFAULT_VIEWS): PreviewOptions {
+  const views = (raw.views ?? defaultViews) as unknown[];
+  if (!Array.isArray(views) || !views.every(v => typeof v === "string" && v in PREVIEW_VIEWS)) {
+    throw new Error(`views must be a list of ${Object.keys(PREVIEW_VIEWS).join(", ")}`);
+  }
+
+  const colorScheme = raw.colorScheme ?? "Cornfield";
+  if (typeof colorScheme !== "string" || !COLOR_SCHEMES.includes(colorScheme)) {
+    throw new Error(`colorScheme must be one of ${COLOR_SCHEMES.join(", ")}`);
+  }
+
+  const size = Number(raw.size ?? 800);
+  if (!Number.isInteger(size) || size < 200 || size > 2000) throw new Error("size must be a whole number of pixels between 200 and 2000");
+
+  const turntable = raw.turntable ?? null;
+  if (turntable !== null && turntable !== "gif" && turntable !== "webp") throw new Error('turntable must be "gif" or "webp"');
+
+  return { views: [...new Set(views as PreviewView[])], colorScheme, size, turntable };
+}
+
+export function labelOverlay(text: string, size: number) {
+  const fontSize = Math.max(12, Math.round(size / 20));
+  return Buffer.from(
+    `<svg width="${size}" height="${size}" xmlns="http://www.w3.org/2000/svg">` +
+    `<text x="${fontSize / 2}" y="${fontSize * 1.3}" font-family="sans-serif" font-weight="bold" font-size="${fontSize}" ` +
+    `fill="white" stroke="black" stroke-width="${fontSize / 12}" paint-order="stroke">${text.toUpperCase()}</text></svg>`
+  );
+}
+
+/**
+ * Renders the saved model from each requested view, joins the views into one labelled contact sheet
+ * and, when asked, renders a turntable animation. Uses the model's saved parameter values.
+ */
+export async function renderPreviewSet(name: string, options: PreviewOptions) {
+  const { safeName, values } = await readModelParameters(name);
+  const { scadPath } = modelPaths(safeName);
+  const aiCode = await readModelSource(safeName);
+  const outDir = path.join(previewsDir(), safeName);
+  await fs.rm(outDir, { recursive: true, force: true });
+  await fs.mkdir(outDir, { recursive: true });
+
+  const tileSize = Math.round(options.size / 2);
+  const views: { view: PreviewView; path: string }[] = [];
+  for (const view of options.views) {
+    const viewPath = path.join(outDir, `${view}.png`);
+    await checkedRender(renderPng(scadPath, viewPath, values, { rotation: PREVIEW_VIEWS[view], colorScheme: options.colorScheme, size: tileSize }), aiCode);
+    views.push({ view, path: viewPath });
+  }
+
+  let sheetPath: string | null = null;
+  if (views.length > 0) {
+    const tiles = await Promise.all(views.map(({ view, path: viewPath }) =>
+      sharp(viewPath).composite([{ input: labelOverlay(view, tileSize) }]).png().toBuffer()
+    ));
+    sheetPath = path.join(outDir, "sheet.png");
+    await sharp(tiles, { join: { across: Math.ceil(Math.sqrt(tiles.length)), shim: 4, background: "#222222" } }).png().toFile(sheetPath);
+  }
+
+  let turntablePath: string | null = null;
+  if (options.turntable) {
+    const frames: string[] = [];
+    const [tilt, , heading] = PREVIEW_VIEWS.iso;
+    for (let i = 0; i < TURNTABLE_FRAMES; i++) {
+      const framePath = path.join(outDir, `frame-${String(i).padStart(2, "0")}.png`);
+      const rotation = [tilt, 0, heading + (360 / TURNTABLE_FRAMES) * i];
+      await checkedRender(renderPng(scadPath, framePath, values, { rotation, colorScheme: options.colorScheme, size: tileSize }), aiCode);
+      frames.push(framePath);
+    }
+    turntablePath = path.join(outDir, `turntable.${options.turntable}`);
+    const animation = sharp(frames, { join: { animated: true } });
+    const output = { loop: 0, delay: frames.map(() => TURNTABLE_DELAY_MS) };
+    await (options.turntable === "gif" ? animation.gif(output) : animation.webp(output)).toFile(turntablePath);
+    await Promise.all(frames.map(frame => fs.rm(frame, { force: true })));
+  }
+
+  return { safeName, views, sheetPath, turntablePath };
+}
+
+/** Web paths of a rendered preview set, versioned so browsers don't show a cached older render. */
+export function previewUrls(preview: Awaited<ReturnType<typeof renderPreviewSet>>) {
+  const version = Date.now();
+  const url = (file: string) => `/models/${preview.safeName}/previews/${path.basename(file)}?v=${version}`;
+  return {
+    views: Object.fromEntries(preview.views.map(v => [v.view, url(v.path)])),
+    sheet: preview.sheetPath && url(preview.sheetPath),
+    turntable: preview.turntablePath && url(preview.turntablePath),
+  };
+}
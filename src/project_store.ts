@@ -0,0 +1,214 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { workspaceDir } from "./workspace.js";
+import { LlmSettings } from "./llm.js";
+import { SUMMARY_HEADER } from "./history.js";
+import { ReferenceImage } from "./references.js";
+
+// Dot-directories, like .history, so express.static never serves conversations or metadata
+const projectsDir = () => path.join(workspaceDir(), ".projects");
+const sessionsDir = () => path.join(workspaceDir(), ".sessions");
+
+export interface Project {
+  id: string;
+  name: string;
+  /** Safe names of the models generated in this project. */
+  models: string[];
+  /** Overrides the deployment's model, token limit and system prompt for this project's chats. */
+  llm?: LlmSettings;
+  /** Image pinned to the project's conversation, with the spec read off it. */
+  reference?: ReferenceImage;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface TranscriptEntry {
+  role: "user" | "assistant";
+  content: string;
+  image?: string;
+  model?: string;
+}
+
+function checkId(id: string) {
+  if (!/^[a-zA-Z0-9_-]{1,100}$/.test(id)) throw new Error(`Invalid id "${id}"`);
+  return id;
+}
+
+export async function readJson<T>(file: string): Promise<T | null> {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+// Write-then-rename so a crash mid-write never leaves a truncated file behind
+export async function writeJson(file: string, data: unknown) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(data, null, 2));
+  await fs.rename(tmp, file);
+}
+
+function projectFile(id: string) {
+  return path.join(projectsDir(), `${checkId(id)}.json`);
+}
+
+/** Files kept with a project, like its reference image. */
+export function projectFilesDir(id: string) {
+  return path.join(projectsDir(), `${checkId(id)}.files`);
+}
+
+function sessionFile(id: string) {
+  return path.join(sessionsDir(), `${checkId(id)}.json`);
+}
+
+function archiveFile(id: string) {
+  return path.join(sessionsDir(), `${checkId(id)}.archive.json`);
+}
+
+export async function listProjects() {
+  let files: string[];
+  try {
+    files = await fs.readdir(projectsDir());
+  } catch {
+    return [];
+  }
+
+  const projects: Project[] = [];
+  for (const file of files.filter(f => f.endsWith(".json"))) {
+    const project = await readJson<Project>(path.join(projectsDir(), file));
+    if (project) projects.push(project);
+  }
+  return projects.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+export async function getProject(id: string) {
+  return readJson<Project>(projectFile(id));
+}
+
+export async function createProject(name: string, llm?: LlmSettings) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 40);
+  const now = new Date().toISOString();
+  const project: Project = {
+    id: `${slug || "project"}-${crypto.randomBytes(3).toString("hex")}`,
+    name: name.trim() || "Untitled Project",
+    models: [],
+    ...(llm && Object.keys(llm).length > 0 ? { llm } : {}),
+    createdAt: now,
+    updatedAt: now,
+  };
+  await writeJson(projectFile(project.id), project);
+  return project;
+}
+
+export async function updateProject(id: string, changes: Partial<Pick<Project, "name" | "models" | "llm" | "reference">>) {
+  const project = await getProject(id);
+  if (!project) return null;
+  const updated = { ...project, ...changes, updatedAt: new Date().toISOString() };
+  await writeJson(projectFile(id), updated);
+  return updated;
+}
+
+/** Records a model the project's chat created or changed; the most recently changed one comes last. */
+export async function addModelToProject(id: string, modelName: string) {
+  const project = await getProject(id);
+  if (!project) return null;
+  return updateProject(id, { models: [...project.models.filter(name => name !== modelName), modelName] });
+}
+
+/** Removes the project's metadata and conversation; the caller decides what happens to its models. */
+export async function deleteProject(id: string) {
+  const project = await getProject(id);
+  if (!project) return null;
+  await fs.rm(projectFile(id), { force: true });
+  await fs.rm(projectFilesDir(id), { recursive: true, force: true });
+  await deleteSession(id);
+  return project;
+}
+
+// Sessions are cached in memory, by file so users' workspaces never share an entry, and written through to disk after every change
+const SESSION_CACHE = new Map<string, any[]>();
+
+export async function loadSession(id: string) {
+  let history = SESSION_CACHE.get(sessionFile(id));
+  if (!history) {
+    history = (await readJson<any[]>(sessionFile(id))) ?? [];
+    SESSION_CACHE.set(sessionFile(id), history);
+  }
+  return history;
+}
+
+export async function saveSession(id: string, history: any[]) {
+  SESSION_CACHE.set(sessionFile(id), history);
+  await writeJson(sessionFile(id), history);
+}
+
+const SESSION_LOCKS = new Map<string, Promise<unknown>>();
+
+/** Runs `fn` once every earlier call for the same session has settled, so two turns never edit one history at once. */
+export function withSessionLock<T>(id: string, fn: () => Promise<T>): Promise<T> {
+  const key = sessionFile(id);
+  const run = (SESSION_LOCKS.get(key) ?? Promise.resolve()).then(fn);
+  const settled = run.catch(() => {});
+  SESSION_LOCKS.set(key, settled);
+  settled.then(() => {
+    if (SESSION_LOCKS.get(key) === settled) SESSION_LOCKS.delete(key);
+  });
+  return run;
+}
+
+export async function deleteSession(id: string) {
+  SESSION_CACHE.delete(sessionFile(id));
+  await fs.rm(sessionFile(id), { force: true });
+  await fs.rm(archiveFile(id), { force: true });
+}
+
+/** Keeps messages condensed out of a session, so the project's transcript still shows them. */
+export async function archiveSessionMessages(id: string, messages: any[]) {
+  const archive = (await readJson<any[]>(archiveFile(id))) ?? [];
+  await writeJson(archiveFile(id), [...archive, ...messages]);
+}
+
+/** The session's archived messages followed by its current history. */
+export async function loadFullSession(id: string) {
+  return [...((await readJson<any[]>(archiveFile(id))) ?? []), ...(await loadSession(id))];
+}
+
+/** Turns raw model-API history into the chat bubbles a client shows when reopening a project. */
+export function sessionTranscript(history: any[]): TranscriptEntry[] {
+  const transcript: TranscriptEntry[] = [];
+  const toolFiles = new Map<string, string>();
+
+  for (const message of history) {
+    const parts: any[] = typeof message.content === "string" ? [{ type: "text", text: message.content }] : message.content;
+
+    if (message.role === "assistant") {
+      const text = parts.filter(p => p.type === "text").map(p => p.text).join("\n").trim();
+      if (text) transcript.push({ role: "assistant", content: text });
+      for (const p of parts.filter(p => p.type === "tool_use")) toolFiles.set(p.id, p.input?.filename);
+      continue;
+    }
+
+    for (const p of parts.filter(p => p.type === "tool_result" && !p.is_error)) {
+      // Results with attached views are a list of text and image blocks
+      const resultText = typeof p.content === "string" ? p.content : p.content.filter((c: any) => c.type === "text").map((c: any) => c.text).join("\n");
+      const generated = resultText.match(/^Success\. Generated (\S+)\.png \(revision (\d+)\)/);
+      if (!generated) continue;
+      const [, safeName, revision] = generated;
+      transcript.push({
+        role: "assistant",
+        content: `I've updated the model for "${toolFiles.get(p.tool_use_id) ?? safeName}".`,
+        image: `/models/${safeName}/revisions/${revision}/png`,
+        model: `/models/${safeName}/revisions/${revision}/stl`,
+      });
+    }
+
+    const text = parts.filter(p => p.type === "text" && !p.text.startsWith(SUMMARY_HEADER)).map(p => p.text).join("\n").trim();
+    const hasImage = parts.some(p => p.type === "image");
+    if (text || hasImage) transcript.push({ role: "user", content: text || "Attached image..." });
+  }
+
+  return transcript;
+}
@@ -0,0 +1,201 @@
+import fs from "fs/promises";
+import path from "path";
+import sharp from "sharp";
+import { getProject, Project, projectFilesDir, updateProject } from "./project_store.js";
+import { labelOverlay } from "./previews.js";
+import { ToolSchema } from "./llm.js";
+
+export interface SpecDimension {
+  feature: string;
+  mm: number;
+  /** How the value was read off the image, e.g. "2.5 × the coin's diameter". */
+  basis?: string;
+}
+
+/** Dimensions the model read off the reference image; the user confirms them before anything is modelled. */
+export interface ReferenceSpec {
+  dimensions: SpecDimension[];
+  notes?: string;
+  proposedAt: string;
+  confirmedAt: string | null;
+}
+
+export interface ReferenceImage {
+  /** File name in the project's files directory. */
+  file: string;
+  mediaType: string;
+  /** The known measurement that scales the image, in the user's words: "the coin is 24 mm". */
+  dimension: string;
+  spec: ReferenceSpec | null;
+  createdAt: string;
+}
+
+const MEDIA_TYPES: Record<string, string> = { "image/png": "png", "image/jpeg": "jpg", "image/webp": "webp", "image/gif": "gif" };
+
+const COMPARISON_HEIGHT = 480;
+
+export const SPEC_TOOL: ToolSchema = {
+  name: "propose_spec",
+  description: "Records the dimensions read off the project's reference image, scaled by its known dimension, for the user to confirm. " +
+    "Call it before create_model whenever the reference has no confirmed spec, and again when the user corrects a value.",
+  input_schema: {
+    type: "object",
+    properties: {
+      dimensions: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            feature: { type: "string", description: "What is measured, e.g. \"overall width\" or \"hole diameter\"." },
+            mm: { type: "number" },
+            basis: { type: "string", description: "How the value follows from the known dimension." }
+          },
+          required: ["feature", "mm"]
+        }
+      },
+      notes: { type: "string", description: "Assumptions, and anything the image does not show." }
+    },
+    required: ["dimensions"]
+  }
+};
+
+/** Splits a data: URL into its media type and base64 payload; null for anything but PNG, JPEG, WebP and GIF. */
+export function parseImageDataUrl(dataUrl: string) {
+  const matches = dataUrl.match(/^data:(image\/(?:png|jpeg|webp|gif));base64,(.*)$/);
+  return matches ? { mediaType: matches[1], data: matches[2] } : null;
+}
+
+export function referenceImagePath(projectId: string, reference: ReferenceImage) {
+  return path.join(projectFilesDir(projectId), reference.file);
+}
+
+export function comparisonPath(projectId: string) {
+  return path.join(projectFilesDir(projectId), "comparison.png");
+}
+
+/** Stores the image in the project, replacing an earlier reference and its spec. */
+export async function pinReference(projectId: string, dataUrl: string, dimension: string) {
+  const image = parseImageDataUrl(dataUrl);
+  if (!image) throw new Error("The reference must be a PNG, JPEG, WebP or GIF data: URL");
+  if (!dimension.trim()) throw new Error('The reference needs a known dimension, e.g. "the coin is 24 mm"');
+  if (!/\d/.test(dimension)) throw new Error(`"${dimension}" has no measurement in it`);
+  const project = await getProject(projectId);
+  if (!project) throw new Error(`Project "${projectId}" not found`);
+
+  const dir = projectFilesDir(projectId);
+  await removeReferenceFiles(projectId, project);
+  await fs.mkdir(dir, { recursive: true });
+  const reference: ReferenceImage = {
+    file: `reference.${MEDIA_TYPES[image.mediaType]}`,
+    mediaType: image.mediaType,
+    dimension: dimension.trim().slice(0, 200),
+    spec: null,
+    createdAt: new Date().toISOString(),
+  };
+  await fs.writeFile(path.join(dir, reference.file), Buffer.from(image.data, "base64"));
+  return (await updateProject(projectId, { reference }))!;
+}
+
+async function removeReferenceFiles(projectId: string, project: Project) {
+  if (project.reference) await fs.rm(referenceImagePath(projectId, project.reference), { force: true });
+  await fs.rm(comparisonPath(projectId), { force: true });
+}
+
+export async function removeReference(projectId: string) {
+  const project = await getProject(projectId);
+  if (!project) return null;
+  await removeReferenceFiles(projectId, project);
+  return updateProject(projectId, { reference: undefined });
+}
+
+export function parseSpecDimensions(raw: unknown): SpecDimension[] {
+  if (!Array.isArray(raw) || raw.length === 0) throw new Error("dimensions must be a non-empty list");
+  if (raw.length > 50) throw new Error("A spec has at most 50 dimensions");
+  return raw.map((item, index) => {
+    const { feature, mm, basis } = (item ?? {}) as Record<string, unknown>;
+    if (typeof feature !== "string" || !feature.trim()) throw new Error(`dimensions[${index}].feature must be a non-empty string`);
+    if (typeof mm !== "number" || !Number.isFinite(mm) || mm <= 0) throw new Error(`dimensions[${index}].mm must be a positive number`);
+    return { feature: feature.trim(), mm, ...(typeof basis === "string" && basis.trim() ? { basis: basis.trim() } : {}) };
+  });
+}
+
+/** Saves the spec the model proposed; it waits for the user's confirmation. */
+export async function proposeSpec(projectId: string, input: Record<string, unknown>) {
+  const project = await getProject(projectId);
+  if (!project?.reference) throw new Error("The project has no reference image");
+  const spec: ReferenceSpec = {
+    dimensions: parseSpecDimensions(input.dimensions),
+    ...(typeof input.notes === "string" && input.notes.trim() ? { notes: input.notes.trim() } : {}),
+    proposedAt: new Date().toISOString(),
+    confirmedAt: null,
+  };
+  return (await updateProject(projectId, { reference: { ...project.reference, spec } }))!;
+}
+
+/** Confirms the proposed spec, with the user's corrections when `dimensions` is given. */
+export async function confirmSpec(projectId: string, dimensions?: unknown) {
+  const project = await getProject(projectId);
+  if (!project) return null;
+  const spec = project.reference?.spec;
+  if (!spec) throw new Error("There is no proposed spec to confirm");
+  const confirmed: ReferenceSpec = {
+    ...spec,
+    ...(dimensions !== undefined ? { dimensions: parseSpecDimensions(dimensions) } : {}),
+    confirmedAt: new Date().toISOString(),
+  };
+  return updateProject(projectId, { reference: { ...project.reference!, spec: confirmed } });
+}
+
+export function describeSpec(spec: ReferenceSpec) {
+  return spec.dimensions.map(d => `- ${d.feature}: ${d.mm} mm${d.basis ? ` (${d.basis})` : ""}`).join("\n") +
+    (spec.notes ? `\nNotes: ${spec.notes}` : "");
+}
+
+/** System prompt section that tells the model about the pinned reference and what it may do next. */
+export function referencePrompt(reference: ReferenceImage) {
+  const state = !reference.spec
+    ? "Before modelling, call propose_spec with the dimensions you read off the image, scaled by the known dimension. Do not call create_model yet."
+    : !reference.spec.confirmedAt
+      ? `You proposed this spec; the user has not confirmed it yet. Answer their questions or call propose_spec again with corrections.\n${describeSpec(reference.spec)}`
+      : `The user confirmed this spec. Model to these dimensions exactly and keep them as top-level variables:\n${describeSpec(reference.spec)}`;
+  return `\n### REFERENCE IMAGE:\nThe project has a pinned reference image, attached to the start of the conversation. Known dimension: ${reference.dimension}.\n${state}\n`;
+}
+
+/**
+ * The history as sent to the model: the pinned image goes at the start of the first message, so it is read once
+ * per request instead of being stored in every turn.
+ */
+export async function withReference(history: any[], projectId: string, reference: ReferenceImage) {
+  if (history.length === 0) return history;
+  const data = (await fs.readFile(referenceImagePath(projectId, reference))).toString("base64");
+  const [first, ...rest] = history;
+  const content = typeof first.content === "string" ? [{ type: "text", text: first.content }] : first.content;
+  return [{
+    ...first,
+    content: [
+      { type: "text", text: `[Pinned reference image. Known dimension: ${reference.dimension}]` },
+      { type: "image", source: { type: "base64", media_type: reference.mediaType, data } },
+      ...content,
+    ],
+  }, ...rest];
+}
+
+async function comparisonTile(input: string | Buffer, label: string) {
+  const tile = await sharp(input)
+    .resize(COMPARISON_HEIGHT, COMPARISON_HEIGHT, { fit: "contain", background: "#222222" })
+    .flatten({ background: "#222222" })
+    .png()
+    .toBuffer();
+  return sharp(tile).composite([{ input: labelOverlay(label, COMPARISON_HEIGHT) }]).png().toBuffer();
+}
+
+/** Puts the reference and a model preview side by side, at the same size, in the project's files. */
+export async function renderComparison(projectId: string, reference: ReferenceImage, previewPath: string) {
+  const tiles = [
+    await comparisonTile(referenceImagePath(projectId, reference), "reference"),
+    await comparisonTile(previewPath, "model"),
+  ];
+  const outPath = comparisonPath(projectId);
+  await sharp(tiles, { join: { across: 2, shim: 4, background: "#222222" } }).png().toFile(outPath);
+  return outPath;
+}
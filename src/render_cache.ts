@@ -0,0 +1,163 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { hasFileReferences } from "./sandbox.js";
+import { WORKSPACE_ROOT } from "./workspace.js";
+
+// RENDER_CACHE_MB=0 (or anything that isn't a number) turns the cache off
+const MAX_BYTES = Math.max(0, Number(process.env.RENDER_CACHE_MB ?? 512) || 0) * 1024 * 1024;
+const MAX_ENTRIES = Math.max(1, Number(process.env.RENDER_CACHE_ENTRIES) || 2000);
+
+// Shared by all workspaces: an entry is only found with the exact same source, so nothing leaks between users
+function cacheDir() {
+  return process.env.RENDER_CACHE_DIR || path.join(WORKSPACE_ROOT, ".render-cache");
+}
+
+/** What a cached render replays besides its artifact, so diagnostics parsing sees the original output. */
+export interface CachedRender {
+  stdout: string;
+  stderr: string;
+  /** How long the original render took. */
+  durationMs: number;
+}
+
+interface CacheEntry {
+  file: string;
+  size: number;
+}
+
+// In least recently used order: a hit moves its entry to the end
+let index: Promise<Map<string, CacheEntry>> | undefined;
+const stats = { hits: 0, misses: 0, uncacheable: 0, evictions: 0, savedMs: 0 };
+
+async function loadIndex() {
+  const dir = cacheDir();
+  await fs.mkdir(dir, { recursive: true });
+  const found: (CacheEntry & { key: string; usedAt: number })[] = [];
+  for (const file of await fs.readdir(dir)) {
+    const key = path.parse(file).name;
+    if (file.endsWith(".json") || !/^[0-9a-f]{64}$/.test(key)) continue;
+    try {
+      const stat = await fs.stat(path.join(dir, file));
+      found.push({ key, file, size: stat.size, usedAt: stat.mtimeMs });
+    } catch {
+      // Removed while scanning
+    }
+  }
+  return new Map(found.sort((a, b) => a.usedAt - b.usedAt).map(({ key, file, size }) => [key, { file, size }]));
+}
+
+// A failed load is retried on the next call rather than remembered
+function entries() {
+  index ??= loadIndex().catch(err => {
+    index = undefined;
+    throw err;
+  });
+  return index;
+}
+
+function warn(action: string, err: unknown) {
+  console.warn(`⚠️  Render cache: could not ${action}: ${(err as Error).message}`);
+}
+
+function totalBytes(map: Map<string, CacheEntry>) {
+  let total = 0;
+  for (const entry of map.values()) total += entry.size;
+  return total;
+}
+
+async function removeEntry(map: Map<string, CacheEntry>, key: string) {
+  const entry = map.get(key);
+  map.delete(key);
+  if (!entry) return;
+  await fs.rm(path.join(cacheDir(), entry.file), { force: true });
+  await fs.rm(path.join(cacheDir(), `${key}.json`), { force: true });
+}
+
+async function evict(map: Map<string, CacheEntry>) {
+  let total = totalBytes(map);
+  for (const [key, entry] of map) {
+    if (total <= MAX_BYTES && map.size <= MAX_ENTRIES) break;
+    total -= entry.size;
+    await removeEntry(map, key);
+    stats.evictions++;
+  }
+}
+
+/**
+ * Content address of a render: the OpenSCAD version, the full source (Standard Library included) and the
+ * arguments, with the output path reduced to its extension so `-D` overrides, image options and the output
+ * format all count. Null when the cache is off or the source reads other files, whose content isn't hashed.
+ */
+export function renderCacheKey(source: string, args: string[], openScadVersion: string) {
+  const output = args.indexOf("-o");
+  if (MAX_BYTES === 0 || output === -1) return null;
+  if (hasFileReferences(source)) {
+    stats.uncacheable++;
+    return null;
+  }
+  const normalized = args.map((arg, i) => (i === output + 1 ? path.extname(arg).toLowerCase() : arg));
+  return crypto.createHash("sha256").update(JSON.stringify([openScadVersion, source, normalized])).digest("hex");
+}
+
+/** Copies a cached artifact to `outPath`; null on a miss, including when the cache can't be read. */
+export async function lookupRender(key: string, outPath: string): Promise<CachedRender | null> {
+  let map: Map<string, CacheEntry>;
+  try {
+    map = await entries();
+  } catch (err) {
+    warn("read the cache", err);
+    stats.misses++;
+    return null;
+  }
+  const entry = map.get(key);
+  if (entry) {
+    try {
+      const file = path.join(cacheDir(), entry.file);
+      const cached: CachedRender = JSON.parse(await fs.readFile(path.join(cacheDir(), `${key}.json`), "utf8"));
+      await fs.copyFile(file, outPath);
+      const now = new Date();
+      await fs.utimes(file, now, now);
+      map.delete(key);
+      map.set(key, entry);
+      stats.hits++;
+      stats.savedMs += cached.durationMs;
+      return cached;
+    } catch {
+      // Deleted or damaged on disk; render again
+      await removeEntry(map, key).catch(err => warn("remove a damaged entry", err));
+    }
+  }
+  stats.misses++;
+  return null;
+}
+
+/** Keeps a finished render's artifact, then evicts the least recently used entries beyond the size limits. */
+export async function storeRender(key: string, outPath: string, result: CachedRender) {
+  const file = `${key}${path.extname(outPath).toLowerCase()}`;
+  try {
+    const map = await entries();
+    await fs.copyFile(outPath, path.join(cacheDir(), file));
+    await fs.writeFile(path.join(cacheDir(), `${key}.json`), JSON.stringify(result));
+    const { size } = await fs.stat(path.join(cacheDir(), file));
+    map.delete(key);
+    map.set(key, { file, size });
+    await evict(map);
+  } catch (err) {
+    warn(`store render ${key.slice(0, 12)}`, err);
+  }
+}
+
+export async function renderCacheStats() {
+  const map = MAX_BYTES === 0 ? new Map<string, CacheEntry>() : await entries().catch(() => new Map<string, CacheEntry>());
+  const lookups = stats.hits + stats.misses;
+  return {
+    enabled: MAX_BYTES > 0,
+    entries: map.size,
+    bytes: totalBytes(map),
+    maxBytes: MAX_BYTES,
+    maxEntries: MAX_ENTRIES,
+    ...stats,
+    hitRate: lookups === 0 ? null : stats.hits / lookups,
+  };
+}
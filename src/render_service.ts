@@ -0,0 +1,237 @@
+import { execFile, spawn, spawnSync } from "child_process";
+import { randomUUID } from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { findForbiddenPaths, LIBRARY_PATHS } from "./sandbox.js";
+import { checkRenderBudget, currentUser, recordRenderTime } from "./accounts.js";
+import { lookupRender, renderCacheKey, storeRender } from "./render_cache.js";
+
+const OPENSCAD_BIN = process.env.OPENSCAD_BIN || "openscad";
+const MAX_CONCURRENT_RENDERS = Math.max(1, Number(process.env.MAX_CONCURRENT_RENDERS) || 2);
+const RENDER_TIMEOUT_MS = Number(process.env.RENDER_TIMEOUT_MS) || 120_000;
+const RENDER_MEMORY_MB = Number(process.env.RENDER_MEMORY_MB) || 2048;
+const MAX_OUTPUT_BYTES = 1024 * 5000;
+const MAX_FINISHED_JOBS = 200;
+
+// The address-space cap goes through util-linux prlimit; without it renders run unbounded
+const HAS_PRLIMIT = spawnSync("prlimit", ["--version"], { stdio: "ignore" }).status === 0;
+if (!HAS_PRLIMIT) console.warn("⚠️  prlimit not found: OpenSCAD renders will run without a memory limit");
+
+export type RenderJobStatus = "queued" | "running" | "succeeded" | "failed" | "timeout";
+
+export interface RenderJob {
+  id: string;
+  /** What is being rendered, e.g. "png" or "stl". */
+  label: string;
+  model?: string;
+  /** Id of the user whose request queued the render, when accounts are enabled. */
+  owner?: string;
+  args: string[];
+  status: RenderJobStatus;
+  queuedAt: string;
+  startedAt?: string;
+  finishedAt?: string;
+  durationMs?: number;
+  error?: string;
+  /** Served from the render cache without running OpenSCAD. */
+  cached?: boolean;
+}
+
+export interface RenderOptions {
+  label: string;
+  model?: string;
+  /** Directories the SCAD source may include/use/import from, besides the configured library paths. */
+  allowedRoots: string[];
+  /** Working directory of the OpenSCAD process. */
+  cwd: string;
+}
+
+/** A render that failed, was sandbox-rejected or timed out; `stderr` holds OpenSCAD-style output for diagnostics parsing. */
+export class RenderJobError extends Error {
+  constructor(public stderr: string, public job: RenderJob) {
+    super(stderr || `Render ${job.status}`);
+    this.name = "RenderJobError";
+  }
+}
+
+const JOBS = new Map<string, RenderJob>();
+const QUEUE: (() => void)[] = [];
+let running = 0;
+
+function publicJob(job: RenderJob): RenderJob {
+  return { ...job, args: [...job.args] };
+}
+
+function pruneJobs() {
+  const finished = [...JOBS.values()].filter(job => job.finishedAt);
+  for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) JOBS.delete(job.id);
+}
+
+function finish(job: RenderJob, status: RenderJobStatus, error?: string) {
+  job.status = status;
+  job.finishedAt = new Date().toISOString();
+  job.durationMs = Date.parse(job.finishedAt) - Date.parse(job.startedAt ?? job.queuedAt);
+  if (error) job.error = error.trim().split("\n").slice(-5).join("\n");
+  pruneJobs();
+}
+
+let version: Promise<string> | undefined;
+
+// Part of every cache key, so upgrading OpenSCAD doesn't serve renders from the old version
+function openScadVersion() {
+  version ??= new Promise(resolve => {
+    execFile(OPENSCAD_BIN, ["--version"], { timeout: 10_000 }, (err, stdout, stderr) => {
+      resolve(err ? "unknown" : `${stdout}${stderr}`.trim());
+    });
+  });
+  return version;
+}
+
+function acquireSlot() {
+  if (running < MAX_CONCURRENT_RENDERS) {
+    running++;
+    return Promise.resolve();
+  }
+  return new Promise<void>(resolve => QUEUE.push(resolve));
+}
+
+function releaseSlot() {
+  const next = QUEUE.shift();
+  if (next) next();
+  else running--;
+}
+
+function spawnOpenScad(job: RenderJob, cwd: string) {
+  const [command, args] = HAS_PRLIMIT
+    ? ["prlimit", [`--as=${RENDER_MEMORY_MB * 1024 * 1024}`, "--", OPENSCAD_BIN, ...job.args]]
+    : [OPENSCAD_BIN, job.args];
+
+  return new Promise<{ stdout: string; stderr: string }>((resolve, reject) => {
+    const child = spawn(command, args, {
+      cwd,
+      env: { ...process.env, OPENSCADPATH: LIBRARY_PATHS.join(path.delimiter) },
+      stdio: ["ignore", "pipe", "pipe"],
+      // Own process group, so a timeout also kills anything OpenSCAD started
+      detached: true,
+    });
+    let stdout = "";
+    let stderr = "";
+    let timedOut = false;
+    const append = (current: string, chunk: Buffer) => (current.length < MAX_OUTPUT_BYTES ? current + chunk.toString() : current);
+    child.stdout.on("data", chunk => (stdout = append(stdout, chunk)));
+    child.stderr.on("data", chunk => (stderr = append(stderr, chunk)));
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try {
+        process.kill(-child.pid!, "SIGKILL");
+      } catch {
+        child.kill("SIGKILL");
+      }
+    }, RENDER_TIMEOUT_MS);
+
+    child.on("error", err => {
+      clearTimeout(timer);
+      const message = (err as NodeJS.ErrnoException).code === "ENOENT" ? `ERROR: ${command} is not installed or not on PATH` : `ERROR: ${err.message}`;
+      finish(job, "failed", message);
+      reject(new RenderJobError(message, job));
+    });
+
+    child.on("close", (code, signal) => {
+      clearTimeout(timer);
+      if (job.finishedAt) return;
+      if (timedOut) {
+        const message = `${stderr}\nERROR: Render timed out after ${RENDER_TIMEOUT_MS / 1000} seconds`;
+        finish(job, "timeout", message);
+        reject(new RenderJobError(message, job));
+      } else if (code !== 0) {
+        const message = stderr || `ERROR: OpenSCAD exited with ${signal ?? `code ${code}`}`;
+        finish(job, "failed", message);
+        reject(new RenderJobError(message, job));
+      } else {
+        finish(job, "succeeded");
+        resolve({ stdout, stderr });
+      }
+    });
+  });
+}
+
+/**
+ * Queues an OpenSCAD run for `scadPath` (the last argument is appended automatically).
+ * At most MAX_CONCURRENT_RENDERS run at once; each one is checked against the path sandbox first,
+ * spawned without a shell, memory-capped and killed after RENDER_TIMEOUT_MS.
+ * Its running time counts against the requesting user's daily render quota.
+ * A render of the same source with the same arguments is served from the render cache instead.
+ */
+export async function runOpenScad(scadPath: string, args: string[], options: RenderOptions) {
+  const user = currentUser();
+  await checkRenderBudget(user);
+  const source = await fs.readFile(scadPath, "utf8");
+  const cacheKey = renderCacheKey(source, args, await openScadVersion());
+  const outPath = args[args.indexOf("-o") + 1];
+  const job: RenderJob = {
+    id: randomUUID(),
+    label: options.label,
+    model: options.model,
+    ...(user ? { owner: user.id } : {}),
+    args: [...args, scadPath],
+    status: "queued",
+    queuedAt: new Date().toISOString(),
+  };
+  JOBS.set(job.id, job);
+
+  const cached = cacheKey && (await lookupRender(cacheKey, outPath));
+  if (cached) {
+    job.cached = true;
+    job.startedAt = job.queuedAt;
+    finish(job, "succeeded");
+    return { stdout: cached.stdout, stderr: cached.stderr };
+  }
+
+  await acquireSlot();
+  try {
+    job.status = "running";
+    job.startedAt = new Date().toISOString();
+
+    const forbidden = findForbiddenPaths(source, scadPath, options.allowedRoots);
+    if (forbidden.length > 0) {
+      const message = forbidden.join("\n");
+      finish(job, "failed", message);
+      throw new RenderJobError(message, job);
+    }
+
+    const result = await spawnOpenScad(job, options.cwd);
+    if (cacheKey) await storeRender(cacheKey, outPath, { ...result, durationMs: job.durationMs ?? 0 });
+    return result;
+  } catch (err) {
+    if (!job.finishedAt) finish(job, "failed", (err as Error).message);
+    throw err;
+  } finally {
+    releaseSlot();
+    if (job.startedAt) await recordRenderTime(user, Date.now() - Date.parse(job.startedAt));
+  }
+}
+
+export function getJob(id: string) {
+  const job = JOBS.get(id);
+  return job && publicJob(job);
+}
+
+/** Most recent first. */
+export function listJobs(filter: { model?: string; owner?: string } = {}) {
+  return [...JOBS.values()]
+    .filter(job => !filter.model || job.model === filter.model)
+    .filter(job => !filter.owner || job.owner === filter.owner)
+    .reverse()
+    .map(publicJob);
+}
+
+export function queueStats() {
+  return {
+    running,
+    queued: QUEUE.length,
+    maxConcurrent: MAX_CONCURRENT_RENDERS,
+    timeoutMs: RENDER_TIMEOUT_MS,
+    memoryLimitMb: HAS_PRLIMIT ? RENDER_MEMORY_MB : null,
+  };
+}
@@ -0,0 +1,130 @@
+import fs from "fs/promises";
+import path from "path";
+import { createTwoFilesPatch } from "diff";
+import { LIBRARY_VERSION } from "./scad_lib.js";
+import { extractModelCode, historyDir, modelPaths, removePartStls, toSafeName } from "./workspace.js";
+
+export const REVISION_ARTIFACTS = ["scad", "png", "stl"] as const;
+export type RevisionArtifact = typeof REVISION_ARTIFACTS[number];
+
+export interface Revision {
+  revision: number;
+  createdAt: string;
+  prompt: string | null;
+  /** Standard Library version the revision was rendered with; missing on revisions older than library versioning. */
+  libraryVersion?: string;
+  /** Set when this revision was created by rolling back to an earlier one. */
+  restoredFrom?: number;
+}
+
+function modelHistoryDir(safeName: string) {
+  return path.join(historyDir(), safeName);
+}
+
+function indexPath(safeName: string) {
+  return path.join(modelHistoryDir(safeName), "revisions.json");
+}
+
+function currentPaths(safeName: string): Record<RevisionArtifact, string> {
+  const { scadPath, pngPath, stlPath } = modelPaths(safeName);
+  return { scad: scadPath, png: pngPath, stl: stlPath };
+}
+
+export function revisionPath(name: string, revision: number, artifact: RevisionArtifact) {
+  return path.join(modelHistoryDir(toSafeName(name)), `r${revision}.${artifact}`);
+}
+
+// The customizer values the revision was rendered with; not served as an artifact
+function revisionParamsPath(safeName: string, revision: number) {
+  return path.join(modelHistoryDir(safeName), `r${revision}.params.json`);
+}
+
+export async function listRevisions(name: string): Promise<Revision[]> {
+  try {
+    return JSON.parse(await fs.readFile(indexPath(toSafeName(name)), "utf8"));
+  } catch {
+    return [];
+  }
+}
+
+async function getRevision(name: string, revision: number) {
+  const found = (await listRevisions(name)).find(r => r.revision === revision);
+  if (!found) throw new Error(`Revision ${revision} of "${name}" not found`);
+  return found;
+}
+
+/** Snapshots the model's current .scad/.png/.stl and parameter values as the next numbered revision. */
+export async function recordRevision(name: string, prompt: string | null, extra: Partial<Revision> = {}) {
+  const safeName = toSafeName(name);
+  const revisions = await listRevisions(safeName);
+  const revision: Revision = {
+    revision: (revisions.at(-1)?.revision ?? 0) + 1,
+    createdAt: new Date().toISOString(),
+    prompt,
+    libraryVersion: LIBRARY_VERSION,
+    ...extra,
+  };
+
+  await fs.mkdir(modelHistoryDir(safeName), { recursive: true });
+  const current = currentPaths(safeName);
+  for (const artifact of REVISION_ARTIFACTS) {
+    await fs.copyFile(current[artifact], revisionPath(safeName, revision.revision, artifact)).catch(() => {});
+  }
+  await fs.copyFile(modelPaths(safeName).paramsPath, revisionParamsPath(safeName, revision.revision)).catch(() => {});
+
+  revisions.push(revision);
+  await fs.writeFile(indexPath(safeName), JSON.stringify(revisions, null, 2));
+  return revision;
+}
+
+export async function readRevisionSource(name: string, revision: number) {
+  await getRevision(name, revision);
+  return extractModelCode(await fs.readFile(revisionPath(name, revision, "scad"), "utf8"));
+}
+
+/** Unified diff of the model-written SCAD between two revisions. */
+export async function diffRevisions(name: string, from: number, to: number) {
+  const safeName = toSafeName(name);
+  const [before, after] = await Promise.all([readRevisionSource(safeName, from), readRevisionSource(safeName, to)]);
+  return createTwoFilesPatch(`${safeName}.scad@r${from}`, `${safeName}.scad@r${to}`, before, after);
+}
+
+/**
+ * Restores an earlier revision as the current model. The restore is recorded as a new
+ * revision, so rolling back never discards history.
+ */
+export async function rollbackRevision(name: string, revision: number) {
+  const safeName = toSafeName(name);
+  const target = await getRevision(safeName, revision);
+  const current = currentPaths(safeName);
+  // Part STLs aren't kept per revision; the plate export renders them again from the restored .scad
+  await removePartStls(safeName);
+
+  for (const artifact of REVISION_ARTIFACTS) {
+    const source = revisionPath(safeName, revision, artifact);
+    await fs.copyFile(source, current[artifact]).catch(() => fs.rm(current[artifact], { force: true }));
+  }
+  // Values saved after the target revision would belong to code it doesn't have
+  const { paramsPath } = modelPaths(safeName);
+  await fs.copyFile(revisionParamsPath(safeName, revision), paramsPath).catch(() => fs.rm(paramsPath, { force: true }));
+
+  // The restored .scad embeds the library it was generated with, not the current one
+  const restored = await recordRevision(safeName, target.prompt, { restoredFrom: revision, libraryVersion: target.libraryVersion });
+  return { safeName, revision: restored, code: await readRevisionSource(safeName, restored.revision) };
+}
+
+/** Deletes all but the newest `keep` revisions of a model; numbering of the kept ones stays the same. */
+export async function pruneRevisions(name: string, keep: number, { dryRun = false } = {}) {
+  if (!Number.isInteger(keep) || keep < 1) throw new Error("keep must be a whole number of at least 1");
+  const safeName = toSafeName(name);
+  const revisions = await listRevisions(safeName);
+  const removed = revisions.slice(0, Math.max(0, revisions.length - keep));
+  if (dryRun || removed.length === 0) return { safeName, removed, kept: revisions.length - removed.length };
+
+  for (const { revision } of removed) {
+    for (const artifact of REVISION_ARTIFACTS) await fs.rm(revisionPath(safeName, revision, artifact), { force: true });
+    await fs.rm(revisionParamsPath(safeName, revision), { force: true });
+  }
+  await fs.writeFile(indexPath(safeName), JSON.stringify(revisions.slice(removed.length), null, 2));
+  return { safeName, removed, kept: revisions.length - removed.length };
+}
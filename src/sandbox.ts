@@ -0,0 +1,94 @@
+import fs from "fs";
+import path from "path";
+
+// Extra directories SCAD code may include/use/import from, e.g. a shared BOSL2 checkout
+export const LIBRARY_PATHS = (process.env.OPENSCAD_LIBRARY_PATHS ?? "")
+  .split(path.delimiter)
+  .filter(Boolean)
+  .map(p => path.resolve(p));
+
+/** Blanks out comments while keeping strings and line breaks, so match offsets still map to source lines. */
+function stripComments(source: string) {
+  let result = "";
+  for (let i = 0; i < source.length; i++) {
+    if (source.startsWith("//", i)) {
+      while (i < source.length && source[i] !== "\n") i++;
+      result += "\n";
+    } else if (source.startsWith("/*", i)) {
+      const end = source.indexOf("*/", i + 2);
+      const comment = source.slice(i, end === -1 ? source.length : end + 2);
+      result += comment.replace(/[^\n]/g, " ");
+      i += comment.length - 1;
+    } else if (source[i] === '"') {
+      const match = source.slice(i).match(/^"(?:[^"\\]|\\.)*"?/)!;
+      result += match[0];
+      i += match[0].length - 1;
+    } else {
+      result += source[i];
+    }
+  }
+  return result;
+}
+
+function isInside(root: string, candidate: string) {
+  const relative = path.relative(root, candidate);
+  return relative === "" || (!relative.startsWith("..") && !path.isAbsolute(relative));
+}
+
+function isAllowed(candidate: string, roots: string[]) {
+  if (!roots.some(root => isInside(root, candidate))) return false;
+  // A symlink inside the workspace must not lead outside it either
+  try {
+    const real = fs.realpathSync(candidate);
+    return roots.some(root => isInside(fs.realpathSync(root), real));
+  } catch {
+    return true; // Doesn't exist; OpenSCAD will report the missing file itself
+  }
+}
+
+/** Whether SCAD source reads other files through include/use/import/surface, so its output depends on more than the source. */
+export function hasFileReferences(source: string) {
+  const code = stripComments(source);
+  const bare = code.replace(/"(?:[^"\\]|\\.)*"?/g, text => " ".repeat(text.length));
+  return /\b(?:include|use)\s*</.test(bare) || /\b(?:import|surface)\s*\(/.test(bare);
+}
+
+/**
+ * Finds include/use/import/surface references in SCAD source that would read files outside
+ * the allowed roots. Returns OpenSCAD-style ERROR lines, so they flow through the same
+ * diagnostics parsing as OpenSCAD's own output.
+ */
+export function findForbiddenPaths(source: string, scadPath: string, allowedRoots: string[]) {
+  const roots = [...allowedRoots, ...LIBRARY_PATHS].map(r => path.resolve(r));
+  const code = stripComments(source);
+  // Same offsets with string contents blanked, so `include <...>` inside a string literal isn't mistaken for one
+  const bare = code.replace(/"(?:[^"\\]|\\.)*"?/g, text => " ".repeat(text.length));
+  const fileName = path.basename(scadPath);
+  const errors: string[] = [];
+  const lineAt = (index: number) => code.slice(0, index).split("\n").length;
+
+  const checkPath = (reference: string, index: number, searchLibraries: boolean) => {
+    const baseDirs = [path.dirname(scadPath), ...(searchLibraries ? LIBRARY_PATHS : [])];
+    const candidates = path.isAbsolute(reference) ? [path.resolve(reference)] : baseDirs.map(dir => path.resolve(dir, reference));
+    if (!candidates.every(candidate => isAllowed(candidate, roots))) {
+      errors.push(`ERROR: Access to '${reference}' is not allowed outside the workspace and library paths in file ${fileName}, line ${lineAt(index)}`);
+    }
+  };
+
+  for (const match of bare.matchAll(/\b(?:include|use)\s*<([^>]*)>/g)) {
+    checkPath(match[1], match.index!, true);
+  }
+
+  for (const match of code.matchAll(/\b(import|surface)\s*\(([^)]*)\)/g)) {
+    if (bare[match.index!] === " ") continue;
+    const args = match[2];
+    const file = args.match(/(?:^\s*|\bfile\s*=\s*)"((?:[^"\\]|\\.)*)"/);
+    if (file) {
+      checkPath(file[1], match.index!, false);
+    } else if (args.trim()) {
+      errors.push(`ERROR: ${match[1]}() only accepts a literal file name string in file ${fileName}, line ${lineAt(match.index!)}`);
+    }
+  }
+
+  return errors;
+}
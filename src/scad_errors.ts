@@ -0,0 +1,111 @@
+export type DiagnosticKind =
+  | "syntax"
+  | "undefined_module"
+  | "undefined_variable"
+  | "undefined_function"
+  | "assertion"
+  | "empty"
+  | "forbidden_path"
+  | "timeout"
+  | "other";
+
+export interface ScadDiagnostic {
+  severity: "error" | "warning";
+  kind: DiagnosticKind;
+  message: string;
+  /** Line in the model-written code (1-based), or undefined when OpenSCAD gave none or it points into the library. */
+  line?: number;
+  /** True when the reported line falls inside the injected Standard Library. */
+  inLibrary?: boolean;
+  /** The unknown module, variable or function name. */
+  symbol?: string;
+}
+
+// Warnings OpenSCAD lets through with exit code 0 but which always mean the model is wrong
+const FATAL_WARNING_KINDS: DiagnosticKind[] = ["undefined_module", "undefined_variable", "undefined_function", "empty"];
+
+function classify(message: string): Pick<ScadDiagnostic, "kind" | "symbol"> {
+  const unknown = message.match(/unknown (module|variable|function) '([^']+)'/i);
+  if (unknown) return { kind: `undefined_${unknown[1].toLowerCase()}` as DiagnosticKind, symbol: unknown[2] };
+  if (/parser error|syntax error/i.test(message)) return { kind: "syntax" };
+  if (/assertion .* failed/i.test(message)) return { kind: "assertion" };
+  if (/top level object is empty|no top level geometry/i.test(message)) return { kind: "empty" };
+  if (/is not allowed outside the workspace|only accepts a literal file name/i.test(message)) return { kind: "forbidden_path" };
+  if (/render timed out/i.test(message)) return { kind: "timeout" };
+  return { kind: "other" };
+}
+
+/**
+ * Parses OpenSCAD's stderr into diagnostics. `lineOffset` is the number of lines
+ * injected before the model-written code, so line numbers point into the code the model wrote.
+ */
+export function parseScadDiagnostics(stderr: string, lineOffset = 0): ScadDiagnostic[] {
+  const diagnostics: ScadDiagnostic[] = [];
+
+  for (const raw of stderr.split(/\r?\n/)) {
+    const line = raw.trim();
+    const prefixed = line.match(/^(ERROR|WARNING):\s*(.*)$/);
+    const isEmptyNotice = /top level object is empty/i.test(line);
+    if (!prefixed && !isEmptyNotice) continue;
+
+    const message = prefixed ? prefixed[2] : line;
+    const diagnostic: ScadDiagnostic = {
+      severity: prefixed?.[1] === "WARNING" ? "warning" : "error",
+      message,
+      ...classify(message),
+    };
+
+    const lineMatch = message.match(/line (\d+)/i);
+    if (lineMatch) {
+      const modelLine = Number(lineMatch[1]) - lineOffset;
+      if (modelLine > 0) diagnostic.line = modelLine;
+      else diagnostic.inLibrary = true;
+    }
+
+    if (!diagnostics.some(d => d.message === diagnostic.message)) diagnostics.push(diagnostic);
+  }
+
+  return diagnostics;
+}
+
+export function hasFatalDiagnostics(diagnostics: ScadDiagnostic[]) {
+  return diagnostics.some(d => d.severity === "error" || FATAL_WARNING_KINDS.includes(d.kind));
+}
+
+function describe(d: ScadDiagnostic) {
+  switch (d.kind) {
+    case "syntax": return "Syntax error";
+    case "undefined_module": return `Unknown module "${d.symbol}"`;
+    case "undefined_variable": return `Unknown variable "${d.symbol}"`;
+    case "undefined_function": return `Unknown function "${d.symbol}"`;
+    case "assertion": return `Assertion failed: ${d.message}`;
+    case "empty": return "The code produced no geometry";
+    case "forbidden_path": return `${d.message.replace(/ in file .*$/, "")}; only files inside the workspace can be used`;
+    case "timeout": return `${d.message}; simplify the model (lower $fn, avoid minkowski() and large hull() or boolean chains)`;
+    default: return d.message;
+  }
+}
+
+/** Renders diagnostics as the text the model sees in its tool error, quoting the offending lines. */
+export function formatDiagnostics(diagnostics: ScadDiagnostic[], code: string) {
+  const codeLines = code.split("\n");
+  return diagnostics
+    .filter(d => d.severity === "error" || FATAL_WARNING_KINDS.includes(d.kind))
+    .map(d => {
+      const where = d.line ? ` (line ${d.line})` : d.inLibrary ? " (inside the Standard Library)" : "";
+      const source = d.line && codeLines[d.line - 1] !== undefined ? `\n    > ${codeLines[d.line - 1].trim()}` : "";
+      return `- ${describe(d)}${where}${source}`;
+    })
+    .join("\n");
+}
+
+export class ScadRenderError extends Error {
+  constructor(
+    public readonly stderr: string,
+    public readonly diagnostics: ScadDiagnostic[],
+    public readonly code: string,
+  ) {
+    super(diagnostics.length > 0 ? formatDiagnostics(diagnostics, code) || stderr : stderr);
+    this.name = "ScadRenderError";
+  }
+}
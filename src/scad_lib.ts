@@ -1,44 +1,45 @@
-export const SCAD_LIBRARY = `
-// --- STANDARD LIBRARY (INJECTED) ---
-$fn = 100; 
+import { ScadModule } from "./library/types.js";
+import { BASIC_MODULES } from "./library/basics.js";
+import { EDGE_MODULES } from "./library/edges.js";
+import { FASTENER_MODULES } from "./library/fasteners.js";
+import { JOINT_MODULES } from "./library/joints.js";
+import { TEXT_MODULES } from "./library/text.js";
+import { GEAR_MODULES } from "./library/gears.js";
+import { PATTERN_MODULES } from "./library/patterns.js";
 
-// 1. A PERFECT TUBE
-module Tube(height, radius, wall, center = false) {
-    difference() {
-        cylinder(h = height, r = radius, center = center);
-        translate([0, 0, center ? 0 : wall])
-            cylinder(h = height + 1, r = radius - wall, center = center);
-    }
-}
+export type { ScadModule, ScadModuleParam } from "./library/types.js";
+
+// Bump on every change to a module's geometry or signature; revisions record the version they were rendered with
+export const LIBRARY_VERSION = "2.0.0";
+
+export const LIBRARY_MODULES: ScadModule[] = [
+  ...BASIC_MODULES,
+  ...EDGE_MODULES,
+  ...FASTENER_MODULES,
+  ...JOINT_MODULES,
+  ...TEXT_MODULES,
+  ...GEAR_MODULES,
+  ...PATTERN_MODULES,
+];
+
+export const SCAD_LIBRARY = `
+// --- STANDARD LIBRARY v${LIBRARY_VERSION} (INJECTED) ---
+$fn = 100;
+${LIBRARY_MODULES.map(m => `\n// ${m.name}: ${m.description}${m.source}\n`).join("")}`;
 
-// 2. A ROUNDED BOX
-module SoftBox(size, radius) {
-    minkowski() {
-        cube(size - [radius*2, radius*2, radius*2], center=true);
-        sphere(r=radius);
-    }
+export function moduleSignature(module: ScadModule) {
+  const params = module.params.map(p => (p.default === undefined ? p.name : `${p.name} = ${p.default}`));
+  return `${module.name}(${params.join(", ")})`;
 }
 
-// 3. A PERFECT HANDLE (Improved)
-// Sinks into the mug body and cleans up the inside
-module ArcHandle(mug_radius, handle_radius, thickness, z_center) {
-    
-    translate([0, 0, z_center])
-    difference() {
-        // The Handle Ring
-        translate([mug_radius - thickness/2, 0, 0])
-        rotate([90, 0, 0])
-        rotate_extrude(angle = 360)
-            translate([handle_radius, 0])
-            circle(d = thickness);
-            
-        // CLEANUP: Remove any handle bits that poke into the drink area
-        // We cut with a cylinder slightly smaller than the mug's inner wall
-        // Assuming mug wall is roughly 2-4mm, we subtract radius - 4
-        cylinder(h=200, r=mug_radius - 4, center=true);
-        
-        // OPTIONAL: Cut the outer half if you want a "C" handle instead of a "D" handle
-        // But for a standard mug, a full loop sunken in is strongest.
-    }
+/** Markdown reference of every module, grouped by category; used for the system prompt and MCP tool docs. */
+export function describeLibrary() {
+  const categories = [...new Set(LIBRARY_MODULES.map(m => m.category))];
+  return categories.map(category => {
+    const modules = LIBRARY_MODULES.filter(m => m.category === category).map(m => {
+      const params = m.params.map(p => `  - \`${p.name}\`: ${p.description}`).join("\n");
+      return `- **${moduleSignature(m)}** - ${m.description}\n${params}`;
+    });
+    return `#### ${category}\n${modules.join("\n")}`;
+  }).join("\n\n");
 }
-`;
\ No newline at end of file
@@ -0,0 +1,227 @@
+import fs from "fs/promises";
+
+/** Flat list of triangle vertices: 9 numbers (three xyz vertices) per triangle. */
+export type TriangleSoup = Float64Array;
+
+// Solid densities in g/cm³, used for the filament mass estimate
+export const MATERIAL_DENSITIES: Record<string, number> = {
+  PLA: 1.24,
+  PETG: 1.27,
+  ABS: 1.04,
+  ASA: 1.07,
+  TPU: 1.21,
+  NYLON: 1.14,
+};
+
+const FILAMENT_DIAMETER_MM = 1.75;
+
+export interface PrintabilityOptions {
+  /** Key of MATERIAL_DENSITIES; ignored when `density` is given. */
+  material?: string;
+  /** Material density in g/cm³. */
+  density?: number;
+  /** Faces tilted further than this from vertical (degrees) count as overhangs. */
+  overhangAngle?: number;
+}
+
+export interface PrintabilityReport {
+  triangles: number;
+  boundingBox: { min: number[]; max: number[]; size: number[] };
+  /** mm³ */
+  volume: number;
+  /** mm² */
+  surfaceArea: number;
+  material: string;
+  density: number;
+  /** Grams at 100% infill. */
+  estimatedMass: number;
+  /** Metres of 1.75 mm filament at 100% infill. */
+  estimatedFilamentLength: number;
+  openEdges: number;
+  nonManifoldEdges: number;
+  degenerateTriangles: number;
+  watertight: boolean;
+  overhangAngle: number;
+  /** mm² of downward-facing surface steeper than `overhangAngle`, excluding faces resting on the bed. */
+  overhangArea: number;
+  overhangPercent: number;
+  warnings: string[];
+}
+
+function isBinaryStl(buffer: Buffer) {
+  if (buffer.length < 84) return false;
+  const triangles = buffer.readUInt32LE(80);
+  if (84 + triangles * 50 === buffer.length) return true;
+  // ASCII files start with "solid"; some binary exporters also write "solid" into the header, hence the size check first
+  return !buffer.subarray(0, 5).toString("ascii").toLowerCase().startsWith("solid");
+}
+
+export function parseStl(buffer: Buffer): TriangleSoup {
+  if (isBinaryStl(buffer)) {
+    const count = buffer.readUInt32LE(80);
+    const soup = new Float64Array(count * 9);
+    for (let t = 0; t < count; t++) {
+      // Skip the 12-byte normal; normals are recomputed from the winding
+      const offset = 84 + t * 50 + 12;
+      for (let i = 0; i < 9; i++) soup[t * 9 + i] = buffer.readFloatLE(offset + i * 4);
+    }
+    return soup;
+  }
+
+  const vertices: number[] = [];
+  const vertexPattern = /vertex\s+(\S+)\s+(\S+)\s+(\S+)/g;
+  const text = buffer.toString("utf8");
+  for (let match = vertexPattern.exec(text); match; match = vertexPattern.exec(text)) {
+    vertices.push(Number(match[1]), Number(match[2]), Number(match[3]));
+  }
+  if (vertices.length % 9 !== 0 || vertices.some(v => !Number.isFinite(v))) throw new Error("Malformed ASCII STL");
+  return Float64Array.from(vertices);
+}
+
+export async function readStl(stlPath: string) {
+  return parseStl(await fs.readFile(stlPath));
+}
+
+/** Binary STL of a triangle soup, with normals computed from the winding. */
+export function toBinaryStl(soup: TriangleSoup, header = "modelmint") {
+  const triangles = soup.length / 9;
+  const buffer = Buffer.alloc(84 + triangles * 50);
+  buffer.write(header.slice(0, 80), 0, "ascii");
+  buffer.writeUInt32LE(triangles, 80);
+  for (let t = 0; t < triangles; t++) {
+    const [ax, ay, az, bx, by, bz, cx, cy, cz] = soup.subarray(t * 9, t * 9 + 9);
+    const nx = (by - ay) * (cz - az) - (bz - az) * (cy - ay);
+    const ny = (bz - az) * (cx - ax) - (bx - ax) * (cz - az);
+    const nz = (bx - ax) * (cy - ay) - (by - ay) * (cx - ax);
+    const length = Math.hypot(nx, ny, nz) || 1;
+    const offset = 84 + t * 50;
+    [nx / length, ny / length, nz / length, ax, ay, az, bx, by, bz, cx, cy, cz].forEach((value, i) => buffer.writeFloatLE(value, offset + i * 4));
+  }
+  return buffer;
+}
+
+function round(value: number, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+export function analyzeMesh(soup: TriangleSoup, options: PrintabilityOptions = {}): PrintabilityReport {
+  const material = (options.material ?? "PLA").toUpperCase();
+  const density = options.density ?? MATERIAL_DENSITIES[material];
+  if (density === undefined) throw new Error(`Unknown material "${options.material}"; pass a density instead`);
+  const overhangAngle = options.overhangAngle ?? 45;
+
+  const triangles = soup.length / 9;
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < soup.length; i++) {
+    const axis = i % 3;
+    if (soup[i] < min[axis]) min[axis] = soup[i];
+    if (soup[i] > max[axis]) max[axis] = soup[i];
+  }
+  if (triangles === 0) {
+    min.fill(0);
+    max.fill(0);
+  }
+
+  // Vertices are welded on a 0.1 µm grid so edges shared by neighbouring triangles match up
+  const vertexIds = new Map<string, number>();
+  const vertexId = (t: number, v: number) => {
+    const o = t * 9 + v * 3;
+    const key = `${Math.round(soup[o] * 1e4)},${Math.round(soup[o + 1] * 1e4)},${Math.round(soup[o + 2] * 1e4)}`;
+    let id = vertexIds.get(key);
+    if (id === undefined) vertexIds.set(key, (id = vertexIds.size));
+    return id;
+  };
+  const edgeUses = new Map<string, number>();
+
+  let signedVolume = 0;
+  let surfaceArea = 0;
+  let overhangArea = 0;
+  let degenerateTriangles = 0;
+  const overhangThreshold = Math.sin((overhangAngle * Math.PI) / 180);
+  const bedTolerance = 0.01;
+
+  for (let t = 0; t < triangles; t++) {
+    const o = t * 9;
+    const [ax, ay, az, bx, by, bz, cx, cy, cz] = soup.subarray(o, o + 9);
+
+    // Cross product of the two edges: its length is twice the area, its direction the face normal
+    const ux = bx - ax, uy = by - ay, uz = bz - az;
+    const vx = cx - ax, vy = cy - ay, vz = cz - az;
+    const nx = uy * vz - uz * vy;
+    const ny = uz * vx - ux * vz;
+    const nz = ux * vy - uy * vx;
+    const doubleArea = Math.hypot(nx, ny, nz);
+    const area = doubleArea / 2;
+
+    signedVolume += (ax * (by * cz - bz * cy) - ay * (bx * cz - bz * cx) + az * (bx * cy - by * cx)) / 6;
+    surfaceArea += area;
+
+    const ids = [vertexId(t, 0), vertexId(t, 1), vertexId(t, 2)];
+    if (area < 1e-9 || new Set(ids).size < 3) {
+      degenerateTriangles++;
+      continue;
+    }
+    for (let e = 0; e < 3; e++) {
+      const a = ids[e], b = ids[(e + 1) % 3];
+      const key = a < b ? `${a}_${b}` : `${b}_${a}`;
+      edgeUses.set(key, (edgeUses.get(key) ?? 0) + 1);
+    }
+
+    const onBed = Math.max(az, bz, cz) - min[2] < bedTolerance;
+    if (!onBed && -nz / doubleArea > overhangThreshold) overhangArea += area;
+  }
+
+  let openEdges = 0;
+  let nonManifoldEdges = 0;
+  for (const uses of edgeUses.values()) {
+    if (uses === 1) openEdges++;
+    else if (uses > 2) nonManifoldEdges++;
+  }
+
+  const volume = Math.abs(signedVolume);
+  const estimatedMass = (volume / 1000) * density;
+  const filamentSection = Math.PI * (FILAMENT_DIAMETER_MM / 2) ** 2;
+  const overhangPercent = surfaceArea > 0 ? (overhangArea / surfaceArea) * 100 : 0;
+  const watertight = openEdges === 0 && nonManifoldEdges === 0;
+
+  const warnings: string[] = [];
+  if (triangles === 0) warnings.push("The STL contains no triangles.");
+  if (openEdges > 0) warnings.push(`${openEdges} open edge(s): the mesh has holes and is not watertight.`);
+  if (nonManifoldEdges > 0) warnings.push(`${nonManifoldEdges} non-manifold edge(s) shared by more than two faces.`);
+  if (degenerateTriangles > 0) warnings.push(`${degenerateTriangles} degenerate (zero-area) triangle(s).`);
+  if (overhangPercent > 0.5) {
+    warnings.push(`${round(overhangPercent, 1)}% of the surface overhangs more than ${overhangAngle}° and will likely need supports.`);
+  }
+
+  return {
+    triangles,
+    boundingBox: { min: min.map(v => round(v)), max: max.map(v => round(v)), size: max.map((v, i) => round(v - min[i])) },
+    volume: round(volume),
+    surfaceArea: round(surfaceArea),
+    material: options.density !== undefined ? "custom" : material,
+    density,
+    estimatedMass: round(estimatedMass),
+    estimatedFilamentLength: round(volume / filamentSection / 1000),
+    openEdges,
+    nonManifoldEdges,
+    degenerateTriangles,
+    watertight,
+    overhangAngle,
+    overhangArea: round(overhangArea),
+    overhangPercent: round(overhangPercent, 1),
+    warnings,
+  };
+}
+
+export async function analyzeStl(stlPath: string, options: PrintabilityOptions = {}) {
+  return analyzeMesh(await readStl(stlPath), options);
+}
+
+/** One-line summary, used in tool results and CLI output. */
+export function summarizeReport(report: PrintabilityReport) {
+  const [x, y, z] = report.boundingBox.size;
+  return `${x} x ${y} x ${z} mm, ${round(report.volume / 1000)} cm³, ~${report.estimatedMass} g ${report.material}` +
+    `, ${report.watertight ? "watertight" : "NOT watertight"}, ${report.overhangPercent}% overhang`;
+}
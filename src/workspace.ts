@@ -0,0 +1,353 @@
+import { AsyncLocalStorage } from "async_hooks";
+import fs from "fs/promises";
+import path from "path";
+import { SCAD_LIBRARY } from "./scad_lib.js";
+import { hasFatalDiagnostics, parseScadDiagnostics, ScadRenderError } from "./scad_errors.js";
+import { analyzeStl, PrintabilityOptions } from "./stl.js";
+import { extractParameters, ParameterValue, resolveOverrides, toDefineArgs } from "./parameters.js";
+import { RenderJobError, runOpenScad } from "./render_service.js";
+import { ASSEMBLY_MARKER, AssemblyPart, assemblyCode, readParts } from "./assembly.js";
+import { QuotaExceededError } from "./accounts.js";
+
+export const WORKSPACE_ROOT = process.env.MODELMINT_WORKSPACE || path.join(process.cwd(), "workspace");
+
+// With accounts enabled, each request runs inside its user's own workspace directory
+const WORKSPACE_SCOPE = new AsyncLocalStorage<string>();
+
+/** The workspace of the current request: the signed-in user's directory, or WORKSPACE_ROOT. */
+export function workspaceDir() {
+  return WORKSPACE_SCOPE.getStore() ?? WORKSPACE_ROOT;
+}
+
+/** Runs `fn` with every workspace path below resolved inside `dir`. */
+export function inWorkspace<T>(dir: string, fn: () => T) {
+  return WORKSPACE_SCOPE.run(dir, fn);
+}
+
+// Dot-directory so express.static never serves it; revisions go through the /models routes instead
+export const historyDir = () => path.join(workspaceDir(), ".history");
+
+// Output of on-demand exports to other formats, one folder per model
+export const exportsDir = () => path.join(workspaceDir(), ".exports");
+
+// Multi-view contact sheets and turntables, one folder per model
+export const previewsDir = () => path.join(workspaceDir(), ".previews");
+
+// Separates the injected library from the model-written code in every .scad file
+export const AI_CODE_MARKER = "// --- AI GENERATED CODE ---";
+
+const CODE_PREFIX = `${SCAD_LIBRARY}\n\n${AI_CODE_MARKER}\n`;
+
+// Number of lines OpenSCAD sees before the first line of model-written code
+export const LIBRARY_LINE_OFFSET = CODE_PREFIX.split("\n").length - 1;
+
+export function toSafeName(filename: string) {
+  const safeName = filename.replace(/\.(scad|stl|png)$/i, "").replace(/[^a-zA-Z0-9_-]/g, "");
+  if (!safeName) throw new Error(`Invalid model name "${filename}"`);
+  return safeName;
+}
+
+export function modelPaths(safeName: string) {
+  return {
+    scadPath: path.join(workspaceDir(), `${safeName}.scad`),
+    pngPath: path.join(workspaceDir(), `${safeName}.png`),
+    stlPath: path.join(workspaceDir(), `${safeName}.stl`),
+    paramsPath: path.join(workspaceDir(), `${safeName}.params.json`),
+  };
+}
+
+/** STL of one part of an assembly; model names never contain dots, so these can't collide with another model's files. */
+export function partStlPath(safeName: string, part: string) {
+  return path.join(workspaceDir(), `${safeName}.${part}.stl`);
+}
+
+function renderOptions(scadPath: string, label: string) {
+  return { label, model: path.basename(scadPath, ".scad"), allowedRoots: [workspaceDir()], cwd: path.dirname(scadPath) };
+}
+
+export interface PngOptions {
+  /** Gimbal rotation [x, y, z] in degrees; OpenSCAD's default camera when omitted. Distance and centre always fit the model. */
+  rotation?: number[];
+  colorScheme?: string;
+  /** Square image size in pixels. */
+  size?: number;
+}
+
+export async function renderPng(scadPath: string, pngPath: string, overrides: Record<string, ParameterValue> = {}, options: PngOptions = {}) {
+  const { rotation, colorScheme = "Cornfield", size = 800 } = options;
+  const args = [
+    "-o", pngPath,
+    ...(rotation ? [`--camera=0,0,0,${rotation.join(",")},0`] : []),
+    "--viewall", "--autocenter",
+    `--imgsize=${size},${size}`,
+    `--colorscheme=${colorScheme}`,
+    ...toDefineArgs(overrides),
+  ];
+  return runOpenScad(scadPath, args, renderOptions(scadPath, "png"));
+}
+
+export async function renderStl(scadPath: string, stlPath: string, overrides: Record<string, ParameterValue> = {}) {
+  return runOpenScad(scadPath, ["-o", stlPath, ...toDefineArgs(overrides)], renderOptions(scadPath, "stl"));
+}
+
+/** Renders to the format OpenSCAD infers from `outPath`'s extension; `args` can override it with `--export-format`. */
+export async function renderFile(scadPath: string, outPath: string, overrides: Record<string, ParameterValue> = {}, args: string[] = []) {
+  const label = path.extname(outPath).slice(1);
+  return runOpenScad(scadPath, ["-o", outPath, ...args, ...toDefineArgs(overrides)], renderOptions(scadPath, label));
+}
+
+/** Runs a render and turns OpenSCAD's output into a ScadRenderError when the model's code is broken. */
+export async function checkedRender(render: Promise<{ stderr: string }>, aiCode: string) {
+  let stderr: string;
+  try {
+    ({ stderr } = await render);
+  } catch (err) {
+    if (err instanceof QuotaExceededError) throw err;
+    const output = err instanceof RenderJobError ? err.stderr : String(err);
+    throw new ScadRenderError(output, parseScadDiagnostics(output, LIBRARY_LINE_OFFSET), aiCode);
+  }
+
+  const diagnostics = parseScadDiagnostics(stderr, LIBRARY_LINE_OFFSET);
+  if (hasFatalDiagnostics(diagnostics)) throw new ScadRenderError(stderr, diagnostics, aiCode);
+}
+
+/** Renders each part of an assembly to its own STL by selecting it with `-D part="name"`. */
+async function renderPartStls(safeName: string, parts: AssemblyPart[], aiCode: string, overrides: Record<string, ParameterValue> = {}) {
+  const { scadPath } = modelPaths(safeName);
+  for (const part of parts) {
+    await checkedRender(renderStl(scadPath, partStlPath(safeName, part.name), { ...overrides, part: part.name }), aiCode);
+  }
+}
+
+/** Removes the part STLs of the model's current .scad, before it is replaced. */
+export async function removePartStls(safeName: string) {
+  const parts = await readModelParts(safeName).catch(() => []);
+  await Promise.all(parts.map(part => fs.rm(partStlPath(safeName, part.name), { force: true })));
+}
+
+function scadSource(aiCode: string, parts: AssemblyPart[]) {
+  return CODE_PREFIX + aiCode + (parts.length > 0 ? `\n\n${assemblyCode(parts)}` : "");
+}
+
+/** A saved .scad (or plain model code) with the current Standard Library in place of the one it was written with. */
+export function withCurrentLibrary(fullCode: string) {
+  return scadSource(extractModelCode(fullCode), readParts(fullCode));
+}
+
+export type RenderStage = "rendering_preview" | "preview_ready" | "rendering_stl" | "rendering_parts";
+
+export async function generateScad(
+  filename: string,
+  aiCode: string,
+  onStage: (stage: RenderStage) => void = () => {},
+  pngOptions: PngOptions = {},
+  parts: AssemblyPart[] = [],
+) {
+  const safeName = toSafeName(filename);
+  await fs.mkdir(workspaceDir(), { recursive: true });
+
+  const { scadPath, pngPath, stlPath, paramsPath } = modelPaths(safeName);
+  await removePartStls(safeName);
+  await fs.writeFile(scadPath, scadSource(aiCode, parts));
+  // New code brings new defaults; stale slider values would silently override what the model just wrote
+  await fs.rm(paramsPath, { force: true });
+  onStage("rendering_preview");
+  await checkedRender(renderPng(scadPath, pngPath, {}, pngOptions), aiCode);
+  onStage("preview_ready");
+  onStage("rendering_stl");
+  await checkedRender(renderStl(scadPath, stlPath), aiCode);
+  if (parts.length > 0) {
+    onStage("rendering_parts");
+    await renderPartStls(safeName, parts, aiCode);
+  }
+
+  return { safeName, scadPath, pngPath, stlPath };
+}
+
+async function modifiedAt(filePath: string) {
+  try {
+    return (await fs.stat(filePath)).mtimeMs;
+  } catch {
+    return null;
+  }
+}
+
+async function exists(filePath: string) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** Strips the injected library and any generated assembly block from a saved .scad file, leaving only the model-written code. */
+export function extractModelCode(fullCode: string) {
+  const markerIndex = fullCode.indexOf(AI_CODE_MARKER);
+  const code = markerIndex === -1 ? fullCode : fullCode.slice(markerIndex + AI_CODE_MARKER.length).replace(/^\n/, "");
+  const assemblyIndex = code.indexOf(ASSEMBLY_MARKER);
+  return assemblyIndex === -1 ? code : code.slice(0, assemblyIndex).replace(/\n\n$/, "");
+}
+
+/** Standard Library version a saved .scad was written with; null for files from before library versioning. */
+export function embeddedLibraryVersion(fullCode: string) {
+  return fullCode.match(/STANDARD LIBRARY v(\S+) \(INJECTED\)/)?.[1] ?? null;
+}
+
+export async function readModelSource(name: string) {
+  const { scadPath } = modelPaths(toSafeName(name));
+  return extractModelCode(await fs.readFile(scadPath, "utf8"));
+}
+
+/** The parts of an assembly with where their STLs are written; empty for single-part models. */
+export async function readModelParts(name: string) {
+  const safeName = toSafeName(name);
+  const parts = readParts(await fs.readFile(modelPaths(safeName).scadPath, "utf8"));
+  return parts.map(part => ({ ...part, stlPath: partStlPath(safeName, part.name) }));
+}
+
+export async function listModels() {
+  let files: string[];
+  try {
+    files = await fs.readdir(workspaceDir());
+  } catch {
+    return [];
+  }
+
+  const models = [];
+  for (const file of files.filter(f => f.endsWith(".scad")).sort()) {
+    const name = file.slice(0, -".scad".length);
+    const { scadPath, pngPath, stlPath } = modelPaths(name);
+    const stats = await fs.stat(scadPath);
+    const renderedAt = [await modifiedAt(pngPath), await modifiedAt(stlPath)];
+    models.push({
+      name,
+      updatedAt: stats.mtime.toISOString(),
+      hasPreview: renderedAt[0] !== null,
+      hasStl: renderedAt[1] !== null,
+      // "stale" when the .scad changed after its preview or STL was last written
+      render: renderedAt.includes(null) ? "missing" : renderedAt.some(t => t! < stats.mtimeMs) ? "stale" : "ok",
+      libraryVersion: embeddedLibraryVersion(await fs.readFile(scadPath, "utf8")),
+    });
+  }
+  return models;
+}
+
+/** Previews and STLs, part STLs included, whose model has no .scad any more. */
+export async function findOrphanedFiles() {
+  let files: string[];
+  try {
+    files = await fs.readdir(workspaceDir());
+  } catch {
+    return [];
+  }
+  const models = new Set(files.filter(f => f.endsWith(".scad")).map(f => f.slice(0, -".scad".length)));
+  return files
+    .filter(f => /\.(png|stl)$/.test(f) && !models.has(f.split(".")[0]))
+    .sort()
+    .map(f => path.join(workspaceDir(), f));
+}
+
+/** Returns the model's parameter schema and the override values saved for it. */
+export async function readModelParameters(name: string) {
+  const safeName = toSafeName(name);
+  const parameters = extractParameters(await readModelSource(safeName));
+  let saved: Record<string, unknown> = {};
+  try {
+    saved = JSON.parse(await fs.readFile(modelPaths(safeName).paramsPath, "utf8"));
+  } catch {
+    // No values saved yet
+  }
+
+  // Drop values for parameters the current code no longer has
+  const values: Record<string, ParameterValue> = {};
+  for (const parameter of parameters) {
+    if (parameter.name in saved) {
+      try {
+        Object.assign(values, resolveOverrides([parameter], { [parameter.name]: saved[parameter.name] }));
+      } catch {
+        // Out of range for the current code; fall back to the default
+      }
+    }
+  }
+  return { safeName, parameters, values };
+}
+
+/**
+ * Saves new parameter values and re-renders the preview with them as `-D` definitions.
+ * The STL is only re-rendered when asked for, because CGAL exports are much slower than previews.
+ */
+export async function renderWithParameters(name: string, values: Record<string, unknown>, { stl = false } = {}) {
+  const { safeName, parameters } = await readModelParameters(name);
+  const overrides = resolveOverrides(parameters, values);
+  const { scadPath, pngPath, stlPath, paramsPath } = modelPaths(safeName);
+  const aiCode = await readModelSource(safeName);
+
+  await checkedRender(renderPng(scadPath, pngPath, overrides), aiCode);
+  if (stl) {
+    await checkedRender(renderStl(scadPath, stlPath, overrides), aiCode);
+    await renderPartStls(safeName, await readModelParts(safeName), aiCode, overrides);
+  }
+  await fs.writeFile(paramsPath, JSON.stringify(overrides, null, 2));
+
+  return { safeName, values: overrides, pngPath, stlPath };
+}
+
+/**
+ * Writes the model's .scad again with the current Standard Library and renders the preview, STL and part STLs
+ * with its saved parameter values. If OpenSCAD rejects it, the previous .scad is put back untouched.
+ */
+export async function rerenderModel(name: string) {
+  const { safeName, values } = await readModelParameters(name);
+  const { scadPath, pngPath, stlPath } = modelPaths(safeName);
+  const previous = await fs.readFile(scadPath, "utf8");
+  const { mtime } = await fs.stat(scadPath);
+  const aiCode = extractModelCode(previous);
+  const parts = readParts(previous);
+
+  await fs.writeFile(scadPath, withCurrentLibrary(previous));
+  try {
+    await checkedRender(renderPng(scadPath, pngPath, values), aiCode);
+    await checkedRender(renderStl(scadPath, stlPath, values), aiCode);
+    await renderPartStls(safeName, parts, aiCode, values);
+  } catch (err) {
+    await fs.writeFile(scadPath, previous);
+    // Keeps the artifacts from looking older than the code they were rendered from
+    await fs.utimes(scadPath, mtime, mtime);
+    throw err;
+  }
+  return { safeName, pngPath, stlPath, previousLibraryVersion: embeddedLibraryVersion(previous) };
+}
+
+/** Re-renders the STL from the saved .scad and parameter values so exports always match the current design. */
+export async function exportModel(name: string) {
+  const safeName = toSafeName(name);
+  const { scadPath, stlPath } = modelPaths(safeName);
+  if (!(await exists(scadPath))) throw new Error(`Model "${safeName}" not found`);
+  const { values } = await readModelParameters(safeName);
+  const aiCode = await readModelSource(safeName);
+  await checkedRender(renderStl(scadPath, stlPath, values), aiCode);
+  const parts = await readModelParts(safeName);
+  for (const part of parts) await checkedRender(renderStl(scadPath, part.stlPath, { ...values, part: part.name }), aiCode);
+  return { safeName, stlPath, partPaths: parts.map(p => p.stlPath) };
+}
+
+export async function analyzeModel(name: string, options: PrintabilityOptions = {}) {
+  const safeName = toSafeName(name);
+  const { stlPath } = modelPaths(safeName);
+  if (!(await exists(stlPath))) throw new Error(`Model "${safeName}" has no STL to analyze`);
+  return analyzeStl(stlPath, options);
+}
+
+/** Deletes the model's current files together with its revision history, exports and preview sets. */
+export async function deleteModel(name: string) {
+  const safeName = toSafeName(name);
+  const paths = Object.values(modelPaths(safeName));
+  if (!(await exists(paths[0]))) throw new Error(`Model "${safeName}" not found`);
+  await removePartStls(safeName);
+  await Promise.all(paths.map(p => fs.rm(p, { force: true })));
+  await fs.rm(path.join(historyDir(), safeName), { recursive: true, force: true });
+  await fs.rm(path.join(exportsDir(), safeName), { recursive: true, force: true });
+  await fs.rm(path.join(previewsDir(), safeName), { recursive: true, force: true });
+  return { safeName };
+}
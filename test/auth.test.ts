@@ -0,0 +1,160 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { ChildProcess, spawn } from "child_process";
+import fs from "fs";
+import net from "net";
+import os from "os";
+import path from "path";
+import { MockScriptEntry } from "../src/llm.js";
+
+// End-to-end tests of accounts: a server with REQUIRE_AUTH=1, the scripted mock provider and a stand-in for OpenSCAD
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "modelmint-auth-"));
+const SCRIPT_PATH = path.join(TMP_DIR, "script.json");
+const ADMIN_TOKEN = "test-admin-token";
+
+const BOX = "cube([20, 20, 10]);";
+
+let server: ChildProcess;
+let baseUrl: string;
+
+async function freePort() {
+  const probe = net.createServer().listen(0);
+  await new Promise(resolve => probe.once("listening", resolve));
+  const { port } = probe.address() as net.AddressInfo;
+  await new Promise(resolve => probe.close(resolve));
+  return port;
+}
+
+before(async () => {
+  const port = await freePort();
+  baseUrl = `http://localhost:${port}`;
+  const entries: MockScriptEntry[] = [
+    { match: "box", replies: [{ text: "Here is a box.", tool: "create_model", input: { filename: "box", code: BOX } }] },
+    { match: "hello", replies: [{ text: "Hi!" }] },
+  ];
+  fs.writeFileSync(SCRIPT_PATH, JSON.stringify(entries));
+  server = spawn(process.execPath, ["--import", "tsx", "src/index.ts"], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      MODELMINT_WORKSPACE: path.join(TMP_DIR, "workspace"),
+      OPENSCAD_BIN: path.resolve("test/fixtures/fake_openscad.mjs"),
+      LLM_PROVIDER: "mock",
+      LLM_MOCK_SCRIPT: SCRIPT_PATH,
+      REQUIRE_AUTH: "1",
+      ADMIN_TOKEN,
+    },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+  await new Promise<void>((resolve, reject) => {
+    server.stdout!.on("data", chunk => String(chunk).includes("Engine running") && resolve());
+    server.once("exit", code => reject(new Error(`The server exited with code ${code}`)));
+  });
+});
+
+after(() => {
+  server?.kill();
+  fs.rmSync(TMP_DIR, { recursive: true, force: true });
+});
+
+async function call(route: string, { token, method = "GET", body, headers = {} }: { token?: string; method?: string; body?: unknown; headers?: Record<string, string> } = {}) {
+  const response = await fetch(baseUrl + route, {
+    method,
+    headers: {
+      ...(body !== undefined && { "Content-Type": "application/json" }),
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...headers,
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const text = await response.text();
+  const json = response.headers.get("content-type")?.includes("json") && text ? JSON.parse(text) : null;
+  return { status: response.status, body: json, headers: response.headers };
+}
+
+async function createUser(name: string, extra: Record<string, unknown> = {}) {
+  const { status, body } = await call("/admin/users", { token: ADMIN_TOKEN, method: "POST", body: { name, ...extra } });
+  assert.equal(status, 201);
+  return body as { user: { id: string; name: string; plan: string }; token: string };
+}
+
+test("requests without a valid token are refused", async () => {
+  for (const route of ["/projects", "/me", "/images/box.png", "/jobs"]) {
+    assert.equal((await call(route)).status, 401, route);
+  }
+  assert.equal((await call("/projects", { token: "mm_not-a-token" })).status, 401);
+  assert.equal((await call("/auth/login", { method: "POST", body: { token: "mm_not-a-token" } })).status, 401);
+  assert.equal((await call("/admin/users", { token: "wrong" })).status, 403);
+});
+
+test("each user works in their own workspace and can't load another user's artifacts", async () => {
+  const alice = await createUser("Alice", { plan: "Pro" });
+  const bob = await createUser("Bob");
+  assert.equal(alice.user.plan, "Pro");
+  assert.equal(bob.user.plan, "Team");
+
+  const chat = await call("/chat", { token: alice.token, method: "POST", body: { sessionId: "s1", message: "Make a box" } });
+  assert.equal(chat.status, 200);
+  assert.equal(chat.body.model, "/images/box.stl");
+  assert.ok(fs.existsSync(path.join(TMP_DIR, "workspace", ".users", alice.user.id, "box.stl")));
+
+  assert.equal((await call("/images/box.stl", { token: alice.token })).status, 200);
+  assert.equal((await call("/images/box.stl", { token: bob.token })).status, 404);
+  assert.equal((await call("/models/box/source", { token: bob.token })).status, 404);
+  assert.equal((await call("/models/box/export?formats=stl", { token: bob.token })).status, 404);
+
+  const aliceJobs = (await call("/jobs", { token: alice.token })).body.jobs;
+  assert.ok(aliceJobs.length > 0);
+  assert.deepEqual((await call("/jobs", { token: bob.token })).body.jobs, []);
+  assert.equal((await call(`/jobs/${aliceJobs[0].id}`, { token: bob.token })).status, 404);
+  const { renderCache } = (await call("/status", { token: alice.token })).body;
+  assert.ok(renderCache.enabled && renderCache.misses > 0);
+
+  // The browser signs in once and then loads artifact URLs with the cookie
+  const login = await call("/auth/login", { method: "POST", body: { token: alice.token } });
+  assert.equal(login.status, 200);
+  const cookie = login.headers.get("set-cookie")!;
+  assert.match(cookie, /modelmint_token=.*HttpOnly.*SameSite=Strict/i);
+  assert.equal((await call("/images/box.stl", { headers: { Cookie: cookie.split(";")[0] } })).status, 200);
+  assert.equal((await call("/images/box.stl", { headers: { Cookie: "modelmint_token=%E0%A4%A" } })).status, 401);
+});
+
+test("model calls and render time are limited per user and day", async () => {
+  const chatty = await createUser("Chatty", { quotas: { llmCallsPerDay: 1 } });
+  assert.equal((await call("/chat", { token: chatty.token, method: "POST", body: { sessionId: "q", message: "hello" } })).status, 200);
+  const refused = await call("/chat", { token: chatty.token, method: "POST", body: { sessionId: "q", message: "hello again" } });
+  assert.equal(refused.status, 429);
+  assert.match(refused.body.text, /daily limit of 1 model calls/);
+
+  const me = await call("/me", { token: chatty.token });
+  assert.equal(me.body.user.name, "Chatty");
+  assert.equal(me.body.usage.llmCalls, 1);
+  assert.equal(me.body.usage.quotas.llmCallsPerDay, 1);
+  assert.equal(me.body.user.tokens[0].hash, undefined);
+
+  const idle = await createUser("Idle", { quotas: { renderSecondsPerDay: 0 } });
+  const render = await call("/chat", { token: idle.token, method: "POST", body: { sessionId: "r", message: "Make a box" } });
+  assert.equal(render.status, 429);
+  assert.match(render.body.text, /seconds of rendering/);
+
+  assert.equal((await call("/admin/users", { token: ADMIN_TOKEN, method: "POST", body: { name: "X", quotas: { llmCallsPerDay: -1 } } })).status, 400);
+});
+
+test("users issue and revoke their own API tokens", async () => {
+  const carol = await createUser("Carol");
+  const issued = await call("/me/tokens", { token: carol.token, method: "POST", body: { label: "CI" } });
+  assert.equal(issued.status, 201);
+  assert.equal(issued.body.created.label, "CI");
+  assert.equal((await call("/me", { token: issued.body.token })).body.user.id, carol.user.id);
+
+  assert.equal((await call(`/me/tokens/${issued.body.created.id}`, { token: carol.token, method: "DELETE" })).status, 204);
+  assert.equal((await call("/me", { token: issued.body.token })).status, 401);
+
+  assert.equal((await call(`/admin/users/${carol.user.id}`, { token: ADMIN_TOKEN, method: "DELETE" })).status, 204);
+  assert.equal((await call("/me", { token: carol.token })).status, 401);
+});
+
+test("with accounts, other origins get no CORS access unless configured", async () => {
+  const { headers } = await call("/auth/logout", { method: "POST", headers: { Origin: "https://elsewhere.example" } });
+  assert.equal(headers.get("access-control-allow-origin"), null);
+});
@@ -0,0 +1,352 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { ChildProcess, spawn } from "child_process";
+import fs from "fs";
+import net from "net";
+import os from "os";
+import path from "path";
+import JSZip from "jszip";
+import sharp from "sharp";
+import { MockScriptEntry } from "../src/llm.js";
+
+// End-to-end tests of /chat: a real server with the scripted mock provider and a stand-in for OpenSCAD
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "modelmint-chat-"));
+const SCRIPT_PATH = path.join(TMP_DIR, "script.json");
+const LOG_PATH = path.join(TMP_DIR, "requests.jsonl");
+
+const BOX = "width = 20; // [10:100]\nSoftBox([width, 20, 10], 2);";
+
+let server: ChildProcess;
+let baseUrl: string;
+
+async function freePort() {
+  const probe = net.createServer().listen(0);
+  await new Promise(resolve => probe.once("listening", resolve));
+  const { port } = probe.address() as net.AddressInfo;
+  await new Promise(resolve => probe.close(resolve));
+  return port;
+}
+
+before(async () => {
+  const port = await freePort();
+  baseUrl = `http://localhost:${port}`;
+  fs.writeFileSync(SCRIPT_PATH, "[]");
+  server = spawn(process.execPath, ["--import", "tsx", "src/index.ts"], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      MODELMINT_WORKSPACE: path.join(TMP_DIR, "workspace"),
+      OPENSCAD_BIN: path.resolve("test/fixtures/fake_openscad.mjs"),
+      LLM_PROVIDER: "mock",
+      LLM_MODEL: "mock-default",
+      LLM_SYSTEM_PROMPT: "Deployment rule: print in PETG.",
+      LLM_MOCK_SCRIPT: SCRIPT_PATH,
+      LLM_MOCK_LOG: LOG_PATH,
+      MAX_REPAIR_ATTEMPTS: "2",
+      HISTORY_TOKEN_BUDGET: "1500",
+    },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+  await new Promise<void>((resolve, reject) => {
+    server.stdout!.on("data", chunk => String(chunk).includes("Engine running") && resolve());
+    server.once("exit", code => reject(new Error(`The server exited with code ${code}`)));
+  });
+});
+
+after(() => {
+  server?.kill();
+  fs.rmSync(TMP_DIR, { recursive: true, force: true });
+});
+
+function script(entries: MockScriptEntry[]) {
+  fs.writeFileSync(SCRIPT_PATH, JSON.stringify(entries));
+  fs.rmSync(LOG_PATH, { force: true });
+}
+
+function loggedRequests() {
+  return fs.readFileSync(LOG_PATH, "utf8").trim().split("\n").map(line => JSON.parse(line));
+}
+
+async function post(route: string, body: unknown) {
+  const response = await fetch(baseUrl + route, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test("a reply without a tool call is returned as text", async () => {
+  script([{ match: "hello", replies: [{ text: "Hi! What shall we build?" }] }]);
+  const { status, body } = await post("/chat", { sessionId: "text-only", message: "hello there" });
+  assert.equal(status, 200);
+  assert.equal(body.text, "Hi! What shall we build?");
+  assert.equal(body.image, null);
+
+  const [request] = loggedRequests();
+  assert.equal(request.model, "mock-default");
+  assert.equal(request.maxTokens, 4096);
+  assert.match(request.system, /Deployment rule: print in PETG\./);
+  assert.equal(request.tools[0].name, "create_model");
+});
+
+test("a create_model call is rendered, analyzed and previewed", async () => {
+  script([{ match: "box", replies: [{ text: "Here is a box.", tool: "create_model", input: { filename: "box", code: BOX } }] }]);
+  const { status, body } = await post("/chat", { sessionId: "box", message: "Make a box" });
+  assert.equal(status, 200);
+  assert.equal(body.image, "/images/box.png");
+  assert.equal(body.model, "/images/box.stl");
+  assert.equal(body.revision, 1);
+  assert.deepEqual(body.printability.boundingBox.size, [10, 10, 10]);
+  assert.deepEqual(Object.keys(body.views.views), ["iso", "front", "right", "top"]);
+  assert.deepEqual(body.attempts, [{ attempt: 1, code: BOX, error: null, diagnostics: [] }]);
+
+  const image = await fetch(baseUrl + body.image);
+  assert.equal(image.headers.get("content-type"), "image/png");
+  const sheet = await fetch(baseUrl + body.views.sheet);
+  assert.equal(sheet.status, 200);
+
+  // The contact sheet goes back to the model with the tool result
+  const session = JSON.parse(fs.readFileSync(path.join(TMP_DIR, "workspace", ".sessions", "box.json"), "utf8"));
+  const result = session.at(-1).content[0];
+  assert.equal(result.type, "tool_result");
+  assert.deepEqual(result.content.map((c: { type: string }) => c.type), ["text", "image"]);
+});
+
+test("assemblies render each part to its own STL and lay them out on a plate", async () => {
+  const code = "module base() SoftBox([20, 20, 10], 2);\nmodule lid() SoftBox([20, 20, 2], 1);";
+  const parts = [{ name: "base", color: "steelblue" }, { name: "lid", translate: [0, 0, 12] }];
+  script([{ match: "assembly", replies: [{ tool: "create_model", input: { filename: "case", code, parts } }] }]);
+  const { status, body } = await post("/chat", { sessionId: "assembly", message: "An assembly with a lid" });
+  assert.equal(status, 200);
+  assert.deepEqual(body.parts.map((p: { model: string }) => p.model), ["/images/case.base.stl", "/images/case.lid.stl"]);
+  assert.equal((await fetch(baseUrl + body.parts[1].model)).status, 200);
+
+  const source = await fetch(`${baseUrl}/models/case/source`).then(r => r.json());
+  assert.equal(source.code, code);
+  const listed = await fetch(`${baseUrl}/models/case/parts`).then(r => r.json());
+  assert.deepEqual(listed.parts.map((p: { name: string; color: string | null }) => [p.name, p.color]), [["base", "steelblue"], ["lid", null]]);
+
+  const plate = await fetch(`${baseUrl}/models/case/plate?bed=100x100`);
+  assert.equal(plate.status, 200);
+  // Two 10 mm cubes, 12 triangles each, in one binary STL
+  assert.equal(Buffer.from(await plate.arrayBuffer()).readUInt32LE(80), 24);
+  assert.equal((await fetch(`${baseUrl}/models/case/plate?bed=5x5`)).status, 400);
+  assert.equal((await fetch(`${baseUrl}/models/case/plate?bed=25x25`)).status, 200);
+  const crowded = await fetch(`${baseUrl}/models/case/plate?bed=20x20`);
+  assert.equal(crowded.headers.get("content-type"), "application/zip");
+
+  // The 3MF holds one object per part, placed like in the assembly, with the part's colour as its material
+  const threeMf = await fetch(`${baseUrl}/models/case/export?formats=3mf`);
+  assert.equal(threeMf.status, 200);
+  const model = await (await JSZip.loadAsync(await threeMf.arrayBuffer())).file("3D/3dmodel.model")!.async("string");
+  assert.match(model, /<model unit="millimeter"/);
+  assert.deepEqual([...model.matchAll(/<base name="(\w+)" displaycolor="(#\w+)"/g)].map(m => [m[1], m[2]]), [["base", "#4682B4"]]);
+  assert.deepEqual([...model.matchAll(/<object id="(\d)" name="(\w+)" type="model"( pid="\d+" pindex="0")?>/g)].map(m => [m[2], !!m[3]]),
+    [["base", true], ["lid", false]]);
+  // A 10 mm cube per part: 8 shared corners and 12 triangles
+  assert.equal(model.match(/<vertex /g)!.length, 16);
+  assert.equal(model.match(/<triangle /g)!.length, 24);
+  assert.match(model, /<item objectid="2" transform="1 0 0 0 1 0 0 0 1 0 0 12" \/>/);
+
+  script([{ match: "bad part", replies: [{ tool: "create_model", input: { filename: "case", code, parts: [{ name: "has space" }] } }] }]);
+  const invalid = await post("/chat", { sessionId: "assembly-invalid", message: "bad part" });
+  assert.match(invalid.body.attempts[0].error, /parts\[0\]\.name/);
+});
+
+test("render errors are sent back to the model until it repairs the code", async () => {
+  script([{
+    match: "broken",
+    replies: [
+      { tool: "create_model", input: { filename: "repaired", code: "width = 20;\nBROKEN(" } },
+      { tool: "create_model", input: { filename: "repaired", code: BOX } },
+    ],
+  }]);
+  const { status, body } = await post("/chat", { sessionId: "repair", message: "Something broken" });
+  assert.equal(status, 200);
+  assert.equal(body.attempts.length, 2);
+  assert.equal(body.attempts[0].diagnostics[0].kind, "syntax");
+  assert.equal(body.attempts[0].diagnostics[0].line, 2);
+  assert.equal(body.attempts[1].error, null);
+
+  const [, repair] = loggedRequests();
+  const result = repair.messages.at(-1).content[0];
+  assert.equal(result.type, "tool_result");
+  assert.equal(result.is_error, true);
+  assert.match(result.content, /attempt 1 of 2/);
+});
+
+test("the turn fails once the repair attempts are used up", async () => {
+  const broken = { tool: "create_model", input: { filename: "hopeless", code: "BROKEN" } };
+  script([{ match: "hopeless", replies: [broken, broken] }]);
+  const { status, body } = await post("/chat", { sessionId: "hopeless", message: "hopeless" });
+  assert.equal(status, 500);
+  assert.match(body.text, /failed after 2 attempt/);
+  assert.equal(body.attempts.length, 2);
+});
+
+test("attached images reach the model", async () => {
+  script([{ match: "*", replies: [{ text: "Nice sketch." }] }]);
+  const image = "data:image/png;base64,iVBORw0KGgo=";
+  await post("/chat", { sessionId: "image", message: "Like this", image });
+  const [request] = loggedRequests();
+  assert.deepEqual(request.messages.at(-1).content[0], { type: "image", source: { type: "base64", media_type: "image/png", data: "iVBORw0KGgo=" } });
+});
+
+test("a reference image is pinned to the project and modelled from a confirmed spec", async () => {
+  const photo = await sharp({ create: { width: 64, height: 48, channels: 3, background: "#aa5500" } }).png().toBuffer();
+  const image = `data:image/png;base64,${photo.toString("base64")}`;
+  const { body: { project } } = await post("/projects", { name: "Bracket" });
+
+  script([{ match: "bracket", replies: [{ text: "I measured this.", tool: "propose_spec", input: { dimensions: [{ feature: "width", mm: 80, basis: "the marked edge" }] } }] }]);
+  const proposed = await post("/chat", { projectId: project.id, message: "Model this bracket", image, reference: "this edge is 80mm" });
+  assert.equal(proposed.status, 200);
+  assert.equal(proposed.body.text, "I measured this.");
+  assert.deepEqual(proposed.body.spec.dimensions, [{ feature: "width", mm: 80, basis: "the marked edge" }]);
+  assert.equal(proposed.body.spec.confirmedAt, null);
+
+  const [request] = loggedRequests();
+  assert.deepEqual(request.tools.map((t: { name: string }) => t.name), ["propose_spec"]);
+  assert.match(request.system, /Known dimension: this edge is 80mm\.\nBefore modelling, call propose_spec/);
+  assert.equal(request.messages[0].content[1].type, "image");
+  // The image is stored once in the project, not in the conversation
+  const session = fs.readFileSync(path.join(TMP_DIR, "workspace", ".sessions", `${project.id}.json`), "utf8");
+  assert.ok(!session.includes(photo.toString("base64").slice(0, 40)));
+  assert.equal((await fetch(`${baseUrl}/projects/${project.id}/reference/image`)).headers.get("content-type"), "image/png");
+
+  const confirmed = await post(`/projects/${project.id}/reference/spec/confirm`, { dimensions: [{ feature: "width", mm: 82 }] });
+  assert.equal(confirmed.status, 200);
+  assert.ok(confirmed.body.project.reference.spec.confirmedAt);
+
+  script([{ match: "go ahead", replies: [{ tool: "create_model", input: { filename: "bracket", code: BOX } }] }]);
+  const built = await post("/chat", { projectId: project.id, message: "Looks right, go ahead" });
+  assert.equal(built.status, 200);
+  assert.match(built.body.comparison, new RegExp(`^/projects/${project.id}/reference/comparison\\?v=`));
+  const comparison = await sharp(Buffer.from(await (await fetch(baseUrl + built.body.comparison)).arrayBuffer())).metadata();
+  assert.equal(comparison.width, 480 * 2 + 4);
+
+  const [build] = loggedRequests();
+  assert.deepEqual(build.tools.map((t: { name: string }) => t.name), ["create_model", "propose_spec"]);
+  assert.match(build.system, /The user confirmed this spec\. .*\n- width: 82 mm/);
+  const result = JSON.parse(fs.readFileSync(path.join(TMP_DIR, "workspace", ".sessions", `${project.id}.json`), "utf8")).at(-1).content[0];
+  assert.deepEqual(result.content.map((c: { type: string }) => c.type), ["text", "image", "image"]);
+
+  assert.equal((await post("/chat", { sessionId: "no-project", message: "hi", image, reference: "24 mm coin" })).status, 400);
+  assert.equal((await post(`/projects/${project.id}/reference`, { image, dimension: "big" })).status, 400);
+});
+
+test("projects override the model, token limit and system prompt", async () => {
+  script([{ match: "*", replies: [{ text: "OK" }] }]);
+  const { body: { project } } = await post("/projects", { name: "Settings", llm: { model: "mock-large", maxTokens: 8000, systemPrompt: "Use 3 mm walls." } });
+  await post("/chat", { projectId: project.id, message: "hi" });
+
+  const [request] = loggedRequests();
+  assert.equal(request.model, "mock-large");
+  assert.equal(request.maxTokens, 8000);
+  assert.match(request.system, /Deployment rule: print in PETG\.\n\nUse 3 mm walls\./);
+
+  const invalid = await fetch(`${baseUrl}/projects/${project.id}`, {
+    method: "PATCH",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ llm: { maxTokens: 5 } }),
+  });
+  assert.equal(invalid.status, 400);
+
+  // A partial update keeps the other settings, and null clears one
+  const patch = (llm: unknown) => fetch(`${baseUrl}/projects/${project.id}`, {
+    method: "PATCH",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ llm }),
+  }).then(r => r.json());
+  assert.deepEqual((await patch({ maxTokens: 2048 })).project.llm, { model: "mock-large", maxTokens: 2048, systemPrompt: "Use 3 mm walls." });
+  assert.deepEqual((await patch({ model: null })).project.llm, { maxTokens: 2048, systemPrompt: "Use 3 mm walls." });
+  assert.deepEqual((await patch(null)).project.llm, {});
+});
+
+test("a rollback restores the parameter values of the revision", async () => {
+  script([{ match: "knob", replies: [{ tool: "create_model", input: { filename: "knob", code: BOX } }] }]);
+  assert.equal((await post("/chat", { sessionId: "knob", message: "a knob" })).status, 200);
+  script([{ match: "taller", replies: [{ tool: "create_model", input: { filename: "knob", code: BOX.replace("10);", "30);") } }] }]);
+  assert.equal((await post("/chat", { sessionId: "knob", message: "taller" })).status, 200);
+  assert.equal((await post("/models/knob/render", { parameters: { width: 60 } })).status, 200);
+
+  const rolledBack = await post("/models/knob/rollback", { revision: 1 });
+  assert.equal(rolledBack.status, 200);
+  const { values } = await fetch(`${baseUrl}/models/knob/parameters`).then(r => r.json());
+  assert.deepEqual(values, {});
+});
+
+test("a follow-up turn lets the model review the render", async () => {
+  script([{ match: "review", replies: [{ tool: "create_model", input: { filename: "reviewed", code: BOX } }, { text: "The box matches the request." }] }]);
+  const { status, body } = await post("/chat", { sessionId: "review", message: "Make a box and review it", followUp: true });
+  assert.equal(status, 200);
+  assert.equal(body.text, "The box matches the request.");
+  assert.equal(body.revision, 1);
+
+  const [, review] = loggedRequests();
+  assert.equal(review.toolChoice, "none");
+  assert.equal(review.messages.at(-1).content[0].type, "tool_result");
+});
+
+test("long conversations are condensed but stay in the transcript", async () => {
+  script([
+    { match: "Summarize", replies: [{ text: "A 20 mm box." }] },
+    { match: "box", replies: [{ tool: "create_model", input: { filename: "long", code: BOX } }] },
+  ]);
+  const { body: { project } } = await post("/projects", { name: "Long" });
+  for (const message of ["First box", "Second box", "Third box"]) {
+    assert.equal((await post("/chat", { projectId: project.id, message })).status, 200);
+  }
+
+  const last = loggedRequests().at(-1);
+  const summary = last.messages[0].content[0].text;
+  assert.match(summary, /^\[Summary of the earlier conversation\]\nA 20 mm box\.\n\nLatest code of "long":/);
+  assert.ok(!JSON.stringify(last.messages).includes("First box"));
+
+  const { messages } = await fetch(`${baseUrl}/projects/${project.id}`).then(r => r.json());
+  assert.deepEqual(messages.filter((m: { role: string }) => m.role === "user").map((m: { content: string }) => m.content), ["First box", "Second box", "Third box"]);
+});
+
+test("the model a turn changed becomes the project's last model", async () => {
+  const { body: { project } } = await post("/projects", { name: "Two parts" });
+  for (const filename of ["lid", "base", "lid"]) {
+    script([{ match: "*", replies: [{ tool: "create_model", input: { filename, code: BOX } }] }]);
+    assert.equal((await post("/chat", { projectId: project.id, message: `Make the ${filename}` })).status, 200);
+  }
+  const { project: updated } = await fetch(`${baseUrl}/projects/${project.id}`).then(r => r.json());
+  assert.deepEqual(updated.models, ["base", "lid"]);
+});
+
+test("turns sent at the same time on one session run one after the other", async () => {
+  script([{ match: "*", replies: [{ text: "OK" }] }]);
+  const statuses = await Promise.all(["one", "two"].map(async message => (await post("/chat", { sessionId: "parallel", message })).status));
+  assert.deepEqual(statuses, [200, 200]);
+
+  const history = JSON.parse(fs.readFileSync(path.join(TMP_DIR, "workspace", ".sessions", "parallel.json"), "utf8"));
+  assert.deepEqual(history.map((m: { role: string }) => m.role), ["user", "assistant", "user", "assistant"]);
+});
+
+test("requests without a session or with an unknown project are rejected", async () => {
+  assert.equal((await post("/chat", { message: "hi" })).status, 400);
+  assert.equal((await post("/chat", { projectId: "missing-project", message: "hi" })).status, 404);
+});
+
+test("/chat/stream reports the turn's progress as events", async () => {
+  script([{ match: "stream", replies: [{ text: "Streaming a box.", tool: "create_model", input: { filename: "streamed", code: BOX } }] }]);
+  const response = await fetch(`${baseUrl}/chat/stream`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ sessionId: "stream", message: "stream it" }),
+  });
+  const events = (await response.text()).trim().split("\n\n").map(chunk => ({
+    type: chunk.match(/^event: (.*)$/m)![1],
+    data: JSON.parse(chunk.match(/^data: (.*)$/m)![1]),
+  }));
+
+  const types = [...new Set(events.map(e => e.type))];
+  assert.deepEqual(types, ["text", "code", "tool_call", "stage", "preview", "views", "done"]);
+  assert.equal(events.filter(e => e.type === "text").map(e => e.data.text).join(""), "Streaming a box.");
+  assert.equal(events.filter(e => e.type === "code").map(e => e.data.delta).join(""), BOX);
+  assert.deepEqual(events.filter(e => e.type === "stage").map(e => e.data.stage), ["rendering_preview", "rendering_stl", "analyzing", "rendering_views"]);
+  assert.equal(events.at(-1)!.data.status, 200);
+});
@@ -0,0 +1,84 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// The mm CLI against a scratch workspace, with a stand-in for OpenSCAD
+const WORKSPACE = fs.mkdtempSync(path.join(os.tmpdir(), "modelmint-cli-"));
+const OLD_HEADER = "// --- STANDARD LIBRARY v1.0.0 (INJECTED) ---\n// --- AI GENERATED CODE ---\n";
+
+function mm(...args: string[]) {
+  const result = spawnSync(process.execPath, ["--import", "tsx", "src/cli.ts", ...args], {
+    env: { ...process.env, MODELMINT_WORKSPACE: WORKSPACE, OPENSCAD_BIN: path.resolve("test/fixtures/fake_openscad.mjs") },
+    encoding: "utf8",
+    timeout: 60_000,
+  });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr, json: () => JSON.parse(result.stdout) };
+}
+
+before(() => {
+  fs.writeFileSync(path.join(WORKSPACE, "box.scad"), `${OLD_HEADER}cube(10);\n`);
+  fs.writeFileSync(path.join(WORKSPACE, "broken.scad"), `${OLD_HEADER}BROKEN\n`);
+  fs.writeFileSync(path.join(WORKSPACE, "gone.png"), "");
+  fs.writeFileSync(path.join(WORKSPACE, "gone.lid.stl"), "");
+
+  const history = path.join(WORKSPACE, ".history", "box");
+  fs.mkdirSync(history, { recursive: true });
+  const revisions = [1, 2, 3].map(revision => ({ revision, createdAt: new Date(2026, 0, revision).toISOString(), prompt: `r${revision}` }));
+  fs.writeFileSync(path.join(history, "revisions.json"), JSON.stringify(revisions));
+  for (const { revision } of revisions) fs.writeFileSync(path.join(history, `r${revision}.scad`), "cube(1);");
+});
+
+after(() => {
+  fs.rmSync(WORKSPACE, { recursive: true, force: true });
+});
+
+test("list reports revisions, render status and the embedded library version", () => {
+  const { models } = mm("list", "--json").json();
+  assert.deepEqual(models.map((m: any) => [m.name, m.revisions, m.render, m.libraryVersion]), [
+    ["box", 3, "missing", "1.0.0"],
+    ["broken", 0, "missing", "1.0.0"],
+  ]);
+});
+
+test("render rewrites models with the current library and leaves a failing one untouched", () => {
+  const before = fs.readFileSync(path.join(WORKSPACE, "broken.scad"), "utf8");
+  const run = mm("render", "--outdated", "--json");
+  assert.equal(run.status, 1);
+  const { libraryVersion, results } = run.json();
+  assert.deepEqual(results.map((r: any) => [r.name, r.ok]), [["box", true], ["broken", false]]);
+  assert.equal(results[0].previousLibraryVersion, "1.0.0");
+
+  const box = mm("list", "--json").json().models[0];
+  assert.equal(box.render, "ok");
+  assert.equal(box.libraryVersion, libraryVersion);
+  assert.equal(fs.readFileSync(path.join(WORKSPACE, "broken.scad"), "utf8"), before);
+  assert.equal(mm("render").status, 2);
+});
+
+test("orphans finds previews and STLs without a .scad and deletes them on request", () => {
+  const found = mm("orphans", "--json").json();
+  assert.deepEqual(found.files.map((f: any) => path.basename(f.path)), ["gone.lid.stl", "gone.png"]);
+  assert.equal(mm("orphans", "--delete").status, 0);
+  assert.equal(fs.existsSync(path.join(WORKSPACE, "gone.png")), false);
+  assert.deepEqual(mm("orphans", "--json").json().files, []);
+});
+
+test("prune keeps the newest revisions", () => {
+  const dryRun = mm("prune", "box", "--keep", "1", "--dry-run", "--json").json();
+  assert.deepEqual(dryRun.results, [{ name: "box", removed: [1, 2], kept: 1 }]);
+  assert.ok(fs.existsSync(path.join(WORKSPACE, ".history", "box", "r1.scad")));
+
+  mm("prune", "box", "--keep", "1");
+  assert.deepEqual(fs.readdirSync(path.join(WORKSPACE, ".history", "box")).sort(), ["r3.scad", "revisions.json"]);
+  assert.equal(mm("list", "--json").json().models[0].revisions, 1);
+});
+
+test("export writes the requested formats", () => {
+  const out = path.join(WORKSPACE, "out");
+  const { files } = mm("export", "box", "--formats", "stl,off", "--out", out, "--json").json();
+  assert.deepEqual(files.map((f: string) => path.basename(f)), ["box.stl", "box.off"]);
+  assert.ok(fs.existsSync(path.join(out, "box.off")));
+});
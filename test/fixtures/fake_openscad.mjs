@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+// Stands in for OpenSCAD in tests: writes a plain image or a 10 mm cube for `-o`, and fails like OpenSCAD
+// on a line containing BROKEN.
+import fs from "fs";
+import sharp from "sharp";
+
+const args = process.argv.slice(2);
+const scadPath = args.at(-1);
+const outPath = args[args.indexOf("-o") + 1];
+
+const lines = fs.readFileSync(scadPath, "utf8").split("\n");
+const broken = lines.findIndex(line => line.includes("BROKEN"));
+if (broken !== -1) {
+  console.error(`ERROR: Parser error in file "${scadPath}", line ${broken + 1}: syntax error`);
+  process.exit(1);
+}
+
+if (outPath.endsWith(".png")) {
+  const size = Number(args.find(a => a.startsWith("--imgsize="))?.split("=")[1].split(",")[0] ?? 800);
+  await sharp({ create: { width: size, height: size, channels: 3, background: "#f0c040" } }).png().toFile(outPath);
+} else {
+  const corners = [[0, 0, 0], [10, 0, 0], [10, 10, 0], [0, 10, 0], [0, 0, 10], [10, 0, 10], [10, 10, 10], [0, 10, 10]];
+  const faces = [[0, 2, 1], [0, 3, 2], [4, 5, 6], [4, 6, 7], [0, 1, 5], [0, 5, 4], [1, 2, 6], [1, 6, 5], [2, 3, 7], [2, 7, 6], [3, 0, 4], [3, 4, 7]];
+  const facets = faces.map(face =>
+    `facet normal 0 0 0\n outer loop\n${face.map(i => `  vertex ${corners[i].join(" ")}\n`).join("")} endloop\nendfacet\n`);
+  fs.writeFileSync(outPath, `solid cube\n${facets.join("")}endsolid cube\n`);
+}
+console.error("Total rendering time: 0:00:00.010");
@@ -0,0 +1,123 @@
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import sharp from "sharp";
+import { compareMetrics, DEFAULT_TOLERANCE, formatGoldenReport, GoldenBaseline, GoldenResult, previewDifference, renderGolden } from "../src/golden.js";
+
+// Golden models: every fixture in test/golden/models and every .scad in workspace/ is rendered with the current
+// Standard Library and compared to test/golden/baselines.json. UPDATE_GOLDEN=1 records the renders as the new
+// baselines; GOLDEN_PREVIEWS=1 also compares previews with test/golden/previews/.
+const GOLDEN_DIR = path.resolve("test/golden");
+const BASELINES_PATH = path.join(GOLDEN_DIR, "baselines.json");
+const PREVIEWS_DIR = path.join(GOLDEN_DIR, "previews");
+const UPDATE = /^(1|true)$/i.test(process.env.UPDATE_GOLDEN ?? "");
+const PREVIEWS = /^(1|true)$/i.test(process.env.GOLDEN_PREVIEWS ?? "");
+
+function openScadAvailable() {
+  try {
+    execFileSync(process.env.OPENSCAD_BIN || "openscad", ["--version"], { stdio: "ignore" });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const SKIP_RENDERS = openScadAvailable() ? false : "OpenSCAD is not installed";
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "modelmint-golden-"));
+// Keeps the render cache out of the repo's workspace/
+process.env.RENDER_CACHE_DIR = path.join(TMP_DIR, ".render-cache");
+const baselines: Record<string, GoldenBaseline> = JSON.parse(fs.readFileSync(BASELINES_PATH, "utf8"));
+const results: GoldenResult[] = [];
+
+const scadFiles = (dir: string) => fs.existsSync(dir) ? fs.readdirSync(dir).filter(f => f.endsWith(".scad")).sort() : [];
+const goldenModels = [
+  ...scadFiles(path.join(GOLDEN_DIR, "models")).map(f => ({ name: f.slice(0, -".scad".length), file: path.join(GOLDEN_DIR, "models", f) })),
+  ...scadFiles(path.resolve("workspace")).map(f => ({ name: `workspace/${f.slice(0, -".scad".length)}`, file: path.resolve("workspace", f) })),
+];
+
+after(() => {
+  if (UPDATE && results.length > 0) fs.writeFileSync(BASELINES_PATH, JSON.stringify(baselines, null, 2) + "\n");
+  if (results.length > 0) console.log(formatGoldenReport(results));
+  fs.rmSync(TMP_DIR, { recursive: true, force: true });
+});
+
+const BOX = { triangles: 12, boundingBox: { min: [0, 0, 0], max: [40, 20, 5] }, volume: 4000 };
+
+test("metrics within tolerance match, and each miss is reported with its numbers", () => {
+  assert.deepEqual(compareMetrics({ ...BOX, volume: 4010, triangles: 12 }, BOX), []);
+  const failures = compareMetrics({ triangles: 14, boundingBox: { min: [0, 0, 0], max: [40, 22, 5] }, volume: 4400 }, BOX);
+  assert.deepEqual(failures, [
+    "bounding box y max is 22.00 mm, baseline 20.00 mm (allowed ± 0.05 mm)",
+    "volume is 4400.00 mm³, baseline 4000.00 mm³: 10.00 % off (allowed 0.50 %)",
+    "14 triangles, baseline 12: 16.67 % off (allowed 5.00 %)",
+  ]);
+  assert.deepEqual(compareMetrics({ ...BOX, triangles: 14 }, BOX, { ...DEFAULT_TOLERANCE, triangles: 0.2 }), []);
+});
+
+test("previews are compared perceptually", async () => {
+  const square = (offset: number) => sharp({ create: { width: 400, height: 400, channels: 3, background: "#ffffff" } })
+    .composite([{ input: { create: { width: 200, height: 200, channels: 3, background: "#f0c040" } }, left: 100 + offset, top: 100 }])
+    .png()
+    .toBuffer();
+  assert.ok(await previewDifference(await square(0), await square(1)) < DEFAULT_TOLERANCE.preview);
+  assert.ok(await previewDifference(await square(0), await square(100)) > DEFAULT_TOLERANCE.preview);
+});
+
+test("the report lists every model and explains the failures", () => {
+  const report = formatGoldenReport([
+    { name: "cube_plate", status: "pass", failures: [] },
+    { name: "workspace/mug", status: "fail", failures: ["volume is 10.00 mm³, baseline 12.00 mm³: 16.67 % off (allowed 0.50 %)"] },
+  ]);
+  assert.match(report, /1 of 2 match/);
+  assert.match(report, /workspace\/mug:\n  • volume is 10\.00 mm³/);
+});
+
+for (const { name, file } of goldenModels) {
+  test(`golden model ${name}`, { skip: SKIP_RENDERS }, async t => {
+    const baseline = baselines[name];
+    if (baseline?.excluded) {
+      results.push({ name, status: "excluded", failures: [] });
+      t.skip(baseline.excluded);
+      return;
+    }
+    const previewPath = path.join(PREVIEWS_DIR, `${name.replace("/", "_")}.png`);
+    let rendered;
+    try {
+      rendered = await renderGolden(name.replace("/", "_"), file, TMP_DIR, { preview: PREVIEWS });
+    } catch (err) {
+      results.push({ name, status: "error", failures: [(err as Error).message.split("\n")[0]] });
+      throw err;
+    }
+
+    if (UPDATE) {
+      baselines[name] = { ...baseline, metrics: rendered.metrics };
+      if (rendered.pngPath) {
+        fs.mkdirSync(PREVIEWS_DIR, { recursive: true });
+        fs.copyFileSync(rendered.pngPath, previewPath);
+      }
+      results.push({ name, status: "recorded", failures: [] });
+      return;
+    }
+    if (!baseline) {
+      const failure = "no baseline; record one with UPDATE_GOLDEN=1 npm run test:golden";
+      results.push({ name, status: "no baseline", failures: [failure] });
+      assert.fail(`${name} has ${failure}`);
+    }
+
+    const tolerance = { ...DEFAULT_TOLERANCE, ...baseline.tolerance };
+    const failures = compareMetrics(rendered.metrics, baseline.metrics!, tolerance);
+    if (rendered.pngPath && !fs.existsSync(previewPath)) {
+      failures.push(`no recorded preview ${path.relative(process.cwd(), previewPath)}; record one with UPDATE_GOLDEN=1 GOLDEN_PREVIEWS=1`);
+    } else if (rendered.pngPath) {
+      const difference = await previewDifference(rendered.pngPath, previewPath);
+      if (difference > tolerance.preview) {
+        failures.push(`${(difference * 100).toFixed(1)} % of the preview differs (allowed ${(tolerance.preview * 100).toFixed(1)} %)`);
+      }
+    }
+    results.push({ name, status: failures.length === 0 ? "pass" : "fail", failures });
+    assert.deepEqual(failures, [], `${name} no longer matches its baseline:\n${failures.map(f => `  • ${f}`).join("\n")}`);
+  });
+}
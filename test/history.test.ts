@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import sharp from "sharp";
+import { compactHistory, estimateTokens, repairHistory, shrinkImages, SUMMARY_HEADER } from "../src/history.js";
+
+// compactHistory asks the provider for the summary; the unscripted mock answers with "Mock reply to: ..."
+process.env.LLM_PROVIDER = "mock";
+
+const text = (t: string) => ({ type: "text", text: t });
+const call = (id: string, code: string) => ({ type: "tool_use", id, name: "create_model", input: { filename: "box", code } });
+const result = (id: string, content: string, isError = false) => ({ type: "tool_result", tool_use_id: id, content, ...(isError ? { is_error: true } : {}) });
+
+async function png(size: number) {
+  const data = await sharp({ create: { width: size, height: size, channels: 3, background: "#808080" } }).png().toBuffer();
+  return { type: "image", source: { type: "base64", media_type: "image/png", data: data.toString("base64") } };
+}
+
+test("unanswered tool calls get an error result wherever they are", () => {
+  const history = [
+    { role: "user", content: [text("a box")] },
+    { role: "assistant", content: [call("t1", "cube(1);")] },
+    { role: "user", content: [text("bigger")] },
+    { role: "assistant", content: [call("t2", "cube(2);")] },
+  ];
+  repairHistory(history);
+
+  assert.deepEqual(history.map(m => m.role), ["user", "assistant", "user", "assistant", "user"]);
+  assert.deepEqual(history[2].content.map((b: any) => b.type), ["tool_result", "text"]);
+  assert.equal(history[2].content[0].tool_use_id, "t1");
+  assert.equal(history[4].content[0].tool_use_id, "t2");
+  assert.equal(history[4].content[0].is_error, true);
+});
+
+test("orphaned results are dropped and consecutive messages merged", () => {
+  const history = [
+    { role: "assistant", content: [text("left over")] },
+    { role: "user", content: [text("a box")] },
+    { role: "assistant", content: [call("t1", "cube(1);")] },
+    { role: "user", content: [result("t1", "Success.")] },
+    { role: "user", content: [result("t0", "Success."), text("bigger")] },
+    { role: "user", content: "and round" },
+  ];
+  repairHistory(history);
+
+  assert.deepEqual(history.map(m => m.role), ["user", "assistant", "user"]);
+  assert.deepEqual(history[2].content, [result("t1", "Success."), text("bigger"), text("and round")]);
+});
+
+test("older images become thumbnails and the oldest are left out", async () => {
+  const history: any[] = [];
+  for (let i = 0; i < 10; i++) history.push({ role: "user", content: [await png(600), text(`image ${i}`)] }, { role: "assistant", content: [text("ok")] });
+  const before = estimateTokens(history);
+  await shrinkImages(history);
+
+  const sizes = history.filter(m => m.role === "user").map(m => m.content[0].type === "image"
+    ? (sharp(Buffer.from(m.content[0].source.data, "base64")).metadata() as Promise<{ width: number }>)
+    : Promise.resolve(null));
+  const widths = (await Promise.all(sizes)).map(meta => meta?.width ?? null);
+  assert.deepEqual(widths, [null, null, 256, 256, 256, 256, 256, 256, 600, 600]);
+  assert.ok(estimateTokens(history) < before);
+});
+
+test("history over the budget is condensed into a summary with the latest code", async () => {
+  const history: any[] = [];
+  for (let i = 1; i <= 6; i++) {
+    history.push(
+      { role: "user", content: [text(`change ${i} ${"x".repeat(2000)}`)] },
+      { role: "assistant", content: [call(`t${i}`, `cube(${i});`)] },
+      { role: "user", content: [result(`t${i}`, "Success.", i === 5)] },
+    );
+  }
+  repairHistory(history);
+  const condensed = await compactHistory(history, "mock", 2000);
+
+  // Each turn is about 500 tokens, so only the last one fits in half the budget
+  assert.equal(condensed.length, 10);
+  assert.equal(history.length, 3);
+  const [summary, prompt] = history[0].content;
+  assert.ok(summary.text.startsWith(SUMMARY_HEADER));
+  assert.match(summary.text, /Mock reply to: Summarize this conversation:\n\nUser: change 1/);
+  // Change 5 failed to render, so change 4's code is the latest
+  assert.match(summary.text, /Latest code of "box":\n```openscad\ncube\(4\);\n```$/);
+  assert.match(prompt.text, /^change 6/);
+  assert.ok(history[0].content.every((b: any) => b.type !== "tool_result"));
+});
+
+test("history within the budget is left alone", async () => {
+  const history = [{ role: "user", content: [text("a box")] }];
+  assert.deepEqual(await compactHistory(history, "mock", 1000), []);
+  assert.deepEqual(history, [{ role: "user", content: [text("a box")] }]);
+});
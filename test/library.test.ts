@@ -0,0 +1,62 @@
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { LIBRARY_MODULES, SCAD_LIBRARY } from "../src/scad_lib.js";
+import { renderStl } from "../src/workspace.js";
+import { analyzeStl } from "../src/stl.js";
+
+function openScadAvailable() {
+  try {
+    execFileSync("openscad", ["--version"], { stdio: "ignore" });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const SKIP_RENDERS = openScadAvailable() ? false : "OpenSCAD is not installed";
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "modelmint-library-"));
+// Keeps the render cache out of the repo's workspace/
+process.env.RENDER_CACHE_DIR = path.join(TMP_DIR, ".render-cache");
+
+after(() => fs.rmSync(TMP_DIR, { recursive: true, force: true }));
+
+test("module names are unique", () => {
+  const names = LIBRARY_MODULES.map(m => m.name);
+  assert.deepEqual(names, [...new Set(names)]);
+});
+
+for (const module of LIBRARY_MODULES) {
+  test(`${module.name} signature matches its source`, () => {
+    const header = module.source.match(new RegExp(`module ${module.name}\\(([^)]*)\\)`));
+    assert.ok(header, `source defines no module ${module.name}`);
+    const params = header[1].split(",").map(p => p.trim()).filter(Boolean).map(p => {
+      const [name, ...value] = p.split("=");
+      return { name: name.trim(), default: value.length > 0 ? value.join("=").trim() : undefined };
+    });
+    assert.deepEqual(params, module.params.map(p => ({ name: p.name, default: p.default })));
+  });
+
+  test(`${module.name} compiles to the expected bounding box`, { skip: SKIP_RENDERS }, async () => {
+    const scadPath = path.join(TMP_DIR, `${module.name}.scad`);
+    const stlPath = path.join(TMP_DIR, `${module.name}.stl`);
+    fs.writeFileSync(scadPath, `${SCAD_LIBRARY}\n${module.example.call}\n`);
+    await renderStl(scadPath, stlPath);
+
+    const { boundingBox } = await analyzeStl(stlPath);
+    const tolerance = module.example.tolerance ?? 0.1;
+    const [expectedMin, expectedMax] = module.example.bounds;
+    for (let axis = 0; axis < 3; axis++) {
+      for (const [label, expected, actual] of [["min", expectedMin[axis], boundingBox.min[axis]], ["max", expectedMax[axis], boundingBox.max[axis]]] as const) {
+        if (expected === null) continue;
+        assert.ok(
+          Math.abs(actual - expected) <= tolerance,
+          `${"xyz"[axis]} ${label} is ${actual}, expected ${expected} ± ${tolerance}`,
+        );
+      }
+    }
+  });
+}
@@ -0,0 +1,103 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import net from "net";
+import { mockProvider, openAiProvider, partialJsonStrings, toOpenAiMessages } from "../src/llm.js";
+
+const TOOLS = [{ name: "create_model", description: "Creates a model", input_schema: { type: "object" as const, properties: {} } }];
+
+test("history converts to OpenAI chat messages", () => {
+  const image = { type: "image", source: { type: "base64", media_type: "image/png", data: "AAAA" } };
+  const messages = toOpenAiMessages("system prompt", [
+    { role: "user", content: [image, { type: "text", text: "A box like this" }] },
+    { role: "assistant", content: [{ type: "text", text: "Sure." }, { type: "tool_use", id: "t1", name: "create_model", input: { filename: "box" } }] },
+    { role: "user", content: [{ type: "tool_result", tool_use_id: "t1", content: [{ type: "text", text: "Success." }, image] }] },
+  ]);
+
+  assert.deepEqual(messages, [
+    { role: "system", content: "system prompt" },
+    { role: "user", content: [{ type: "image_url", image_url: { url: "data:image/png;base64,AAAA" } }, { type: "text", text: "A box like this" }] },
+    { role: "assistant", content: "Sure.", tool_calls: [{ id: "t1", type: "function", function: { name: "create_model", arguments: '{"filename":"box"}' } }] },
+    { role: "tool", tool_call_id: "t1", content: "Success." },
+    { role: "user", content: [{ type: "image_url", image_url: { url: "data:image/png;base64,AAAA" } }] },
+  ]);
+});
+
+test("string fields are read from unfinished JSON", () => {
+  assert.deepEqual(partialJsonStrings('{"filename": "box", "code": "cube(10);\\nsph'), { filename: "box", code: "cube(10);\nsph" });
+  assert.deepEqual(partialJsonStrings('{"code": "a\\'), { code: "a" });
+  assert.deepEqual(partialJsonStrings('{"code": "say \\"hi\\""}'), { code: 'say "hi"' });
+});
+
+test("the OpenAI-compatible provider streams text and tool calls", async () => {
+  const chunks = [
+    { choices: [{ delta: { content: "Building " } }] },
+    { choices: [{ delta: { content: "it." } }] },
+    { choices: [{ delta: { tool_calls: [{ index: 0, id: "call_1", function: { name: "create_model", arguments: '{"filename":"box",' } }] } }] },
+    { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: '"code":"cube(10);"}' } }] } }] },
+  ];
+  let received: any;
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => (body += chunk));
+    req.on("end", () => {
+      received = { url: req.url, authorization: req.headers.authorization, body: JSON.parse(body) };
+      res.writeHead(200, { "Content-Type": "text/event-stream" });
+      for (const chunk of chunks) res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+      res.end("data: [DONE]\n\n");
+    });
+  }).listen(0);
+  await new Promise(resolve => server.once("listening", resolve));
+
+  try {
+    const { port } = server.address() as net.AddressInfo;
+    const provider = openAiProvider({ baseUrl: `http://localhost:${port}/v1/`, apiKey: "secret" });
+    const text: string[] = [];
+    const snapshots: Record<string, unknown>[] = [];
+    const reply = await provider.createMessage(
+      { model: "local-model", maxTokens: 1000, system: "system prompt", messages: [{ role: "user", content: "a box" }], tools: TOOLS },
+      { onText: t => text.push(t), onToolInput: s => snapshots.push(s) },
+    );
+
+    assert.equal(received.url, "/v1/chat/completions");
+    assert.equal(received.authorization, "Bearer secret");
+    assert.equal(received.body.model, "local-model");
+    assert.equal(received.body.max_tokens, 1000);
+    assert.equal(received.body.tools[0].function.name, "create_model");
+    assert.deepEqual(text, ["Building ", "it."]);
+    assert.deepEqual(snapshots.at(-1), { filename: "box", code: "cube(10);" });
+    assert.deepEqual(reply.content, [
+      { type: "text", text: "Building it." },
+      { type: "tool_use", id: "call_1", name: "create_model", input: { filename: "box", code: "cube(10);" } },
+    ]);
+  } finally {
+    server.close();
+  }
+});
+
+test("the mock provider follows its script through tool results", async () => {
+  const provider = mockProvider({
+    script: [
+      { match: "gear", replies: [{ tool: "create_model", input: { filename: "gear", code: "SpurGear();" } }, { text: "Done." }] },
+      { match: "*", replies: [{ text: "Anything else." }] },
+    ],
+  });
+  const request = { model: "mock", maxTokens: 100, system: "", tools: TOOLS };
+
+  const first = await provider.createMessage({ ...request, messages: [{ role: "user", content: [{ type: "text", text: "A Gear please" }] }] });
+  const toolUse = first.content[0];
+  assert.equal(toolUse.type, "tool_use");
+
+  const second = await provider.createMessage({
+    ...request,
+    messages: [
+      { role: "user", content: [{ type: "text", text: "A Gear please" }] },
+      { role: "assistant", content: first.content },
+      { role: "user", content: [{ type: "tool_result", tool_use_id: toolUse.type === "tool_use" ? toolUse.id : "", content: "Success." }] },
+    ],
+  });
+  assert.deepEqual(second.content, [{ type: "text", text: "Done." }]);
+
+  const other = await provider.createMessage({ ...request, messages: [{ role: "user", content: "hello" }] });
+  assert.deepEqual(other.content, [{ type: "text", text: "Anything else." }]);
+});
@@ -0,0 +1,17 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { extractParameters } from "../src/parameters.js";
+
+test("customizer ranges become sliders", () => {
+  const parameters = extractParameters([
+    "width = 20; // [10:100]",
+    "height = 5; // [0:0.5:20]",
+    "depth = 30; // [50]",
+  ].join("\n"));
+
+  assert.deepEqual(parameters.map(({ name, min, step, max }) => ({ name, min, step, max })), [
+    { name: "width", min: 10, step: undefined, max: 100 },
+    { name: "height", min: 0, step: 0.5, max: 20 },
+    { name: "depth", min: 0, step: undefined, max: 50 },
+  ]);
+});
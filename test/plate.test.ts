@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { layFlat, packParts, parseBedSize } from "../src/plate.js";
+import { assemblyCode, parseParts, readParts } from "../src/assembly.js";
+import { extractModelCode } from "../src/workspace.js";
+
+// Closed, outward-facing box mesh
+function box([w, d, h]: number[], { min = [0, 0, 0] } = {}) {
+  const [x0, y0, z0] = min;
+  const [x1, y1, z1] = [x0 + w, y0 + d, z0 + h];
+  const quads = [
+    [[x0, y0, z0], [x0, y1, z0], [x1, y1, z0], [x1, y0, z0]],
+    [[x0, y0, z1], [x1, y0, z1], [x1, y1, z1], [x0, y1, z1]],
+    [[x0, y0, z0], [x1, y0, z0], [x1, y0, z1], [x0, y0, z1]],
+    [[x0, y1, z0], [x0, y1, z1], [x1, y1, z1], [x1, y1, z0]],
+    [[x0, y0, z0], [x0, y0, z1], [x0, y1, z1], [x0, y1, z0]],
+    [[x1, y0, z0], [x1, y1, z0], [x1, y1, z1], [x1, y0, z1]],
+  ];
+  return Float64Array.from(quads.flatMap(([a, b, c, e]) => [...a, ...b, ...c, ...a, ...c, ...e]));
+}
+
+function size(soup: Float64Array) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  soup.forEach((v, i) => {
+    min[i % 3] = Math.min(min[i % 3], v);
+    max[i % 3] = Math.max(max[i % 3], v);
+  });
+  return { min: min.map(v => Math.round(v * 1000) / 1000), size: max.map((v, i) => Math.round((v - min[i]) * 1000) / 1000) };
+}
+
+test("a mesh is turned onto its largest flat face and moved onto the bed", () => {
+  // A 10 × 40 × 60 slab standing upright lies down on its 40 × 60 face
+  const laid = layFlat(box([10, 40, 60], { min: [5, -20, 3] }));
+  const { min, size: [w, d, h] } = size(laid);
+  assert.deepEqual(min, [0, 0, 0]);
+  assert.equal(h, 10);
+  assert.deepEqual([w, d].sort((a, b) => a - b), [40, 60]);
+});
+
+test("a face with geometry below it is not a resting face", () => {
+  // An L-shape: the inner face of the tall arm is large, but the foot sticks out past its plane
+  const arm = box([5, 50, 50]);
+  const foot = box([30, 50, 5]);
+  const combined = new Float64Array(arm.length + foot.length);
+  combined.set(arm);
+  combined.set(foot, arm.length);
+  const { size: [w, d, h] } = size(layFlat(combined));
+  // It rests on the back of the arm, which lies in one plane with the end of the foot
+  assert.equal(h, 30);
+  assert.deepEqual([w, d], [50, 50]);
+});
+
+test("parts are packed in rows and onto further plates without overlap", () => {
+  const footprints = ["a", "b", "c", "d", "e"].map(name => ({ name, size: [100, 100, 10] }));
+  const plates = packParts(footprints, { bedWidth: 220, bedDepth: 220, spacing: 5 });
+  assert.deepEqual(plates.map(p => p.length), [4, 1]);
+  assert.deepEqual(plates[0].map(p => [p.x, p.y]), [[0, 0], [105, 0], [0, 105], [105, 105]]);
+});
+
+test("parts that only fit turned are turned, and parts larger than the bed are rejected", () => {
+  const [[placed]] = packParts([{ name: "rail", size: [50, 200, 10] }], { bedWidth: 220, bedDepth: 100 });
+  assert.equal(placed.rotated, true);
+  assert.throws(() => packParts([{ name: "door", size: [300, 300, 5] }]), /Part "door" \(300\.0 × 300\.0 mm\) does not fit on a 220 × 220 mm bed/);
+});
+
+test("bed sizes are parsed from WxD or a single number", () => {
+  assert.deepEqual(parseBedSize("250x210"), { bedWidth: 250, bedDepth: 210 });
+  assert.deepEqual(parseBedSize("180"), { bedWidth: 180, bedDepth: 180 });
+  assert.throws(() => parseBedSize("huge"), /bed must look like/);
+});
+
+test("parts travel with the generated assembly code", () => {
+  const parts = parseParts([{ name: "base", color: "#336699" }, { name: "lid", module: "lid_part", translate: [0, 0, 30], rotate: [180, 0, 0] }]);
+  const code = assemblyCode(parts);
+  assert.match(code, /color\("#336699"\) translate\(\[0, 0, 0\]\) rotate\(\[0, 0, 0\]\) base\(\);/);
+  assert.match(code, /if \(part == "lid"\) lid_part\(\);/);
+  assert.deepEqual(readParts(`cube(1);\n\n${code}`), parts);
+  assert.equal(extractModelCode(`cube(1);\n\n${code}`), "cube(1);");
+  assert.throws(() => parseParts([{ name: "a b" }]), /parts\[0\]\.name/);
+  assert.throws(() => parseParts([{ name: "a" }, { name: "A" }]), /listed twice/);
+});
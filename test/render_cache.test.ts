@@ -0,0 +1,104 @@
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// The render cache in-process, with a stand-in for OpenSCAD and room for three entries
+const WORKSPACE = fs.mkdtempSync(path.join(os.tmpdir(), "modelmint-cache-"));
+process.env.MODELMINT_WORKSPACE = WORKSPACE;
+process.env.OPENSCAD_BIN = path.resolve("test/fixtures/fake_openscad.mjs");
+process.env.RENDER_CACHE_ENTRIES = "3";
+
+const { renderPng, renderStl } = await import("../src/workspace.js");
+const { listJobs } = await import("../src/render_service.js");
+const { renderCacheStats } = await import("../src/render_cache.js");
+
+after(() => {
+  fs.rmSync(WORKSPACE, { recursive: true, force: true });
+});
+
+function model(name: string, code: string) {
+  const scadPath = path.join(WORKSPACE, `${name}.scad`);
+  fs.writeFileSync(scadPath, code);
+  return scadPath;
+}
+
+const lastJobCached = () => listJobs()[0].cached ?? false;
+
+test("renders still work while the cache directory can't be used, and the cache recovers", async () => {
+  const notADirectory = path.join(WORKSPACE, "not-a-directory");
+  fs.writeFileSync(notADirectory, "");
+  process.env.RENDER_CACHE_DIR = path.join(notADirectory, "cache");
+  const scadPath = model("plain", "cube(5);\n");
+  const stlPath = path.join(WORKSPACE, "plain.stl");
+  try {
+    await renderStl(scadPath, stlPath);
+    await renderStl(scadPath, stlPath);
+    assert.equal(lastJobCached(), false);
+    assert.equal((await renderCacheStats()).entries, 0);
+  } finally {
+    delete process.env.RENDER_CACHE_DIR;
+  }
+
+  await renderStl(scadPath, stlPath);
+  await renderStl(scadPath, stlPath);
+  assert.equal(lastJobCached(), true);
+});
+
+test("a render with the same source, overrides and format is served from the cache", async () => {
+  const before = await renderCacheStats();
+  const box = model("box", "width = 10;\ncube(width);\n");
+  const stlPath = path.join(WORKSPACE, "box.stl");
+  await renderStl(box, stlPath);
+  assert.equal(lastJobCached(), false);
+  const rendered = fs.readFileSync(stlPath, "utf8");
+  fs.rmSync(stlPath);
+
+  await renderStl(box, stlPath);
+  assert.equal(lastJobCached(), true);
+  assert.equal(fs.readFileSync(stlPath, "utf8"), rendered);
+
+  // Other -D overrides, another output format or changed source each render again
+  await renderStl(box, stlPath, { width: 12 });
+  assert.equal(lastJobCached(), false);
+  await renderPng(box, path.join(WORKSPACE, "box.png"));
+  assert.equal(lastJobCached(), false);
+  await renderStl(model("box", "width = 10;\ncube(width, center = true);\n"), stlPath);
+  assert.equal(lastJobCached(), false);
+
+  const stats = await renderCacheStats();
+  assert.deepEqual([stats.hits - before.hits, stats.misses - before.misses, stats.entries], [1, 4, 3]);
+});
+
+test("the least recently used render is evicted beyond the limit", async () => {
+  const scadPath = model("sizes", "cube(10);\n");
+  const png = (size: number) => renderPng(scadPath, path.join(WORKSPACE, "sizes.png"), {}, { size });
+  await png(100);
+  await png(200);
+  await png(300);
+  await png(100);
+  assert.equal(lastJobCached(), true);
+
+  // 200 is now the oldest entry
+  await png(400);
+  await png(100);
+  assert.equal(lastJobCached(), true);
+  await png(200);
+  assert.equal(lastJobCached(), false);
+
+  const stats = await renderCacheStats();
+  assert.equal(stats.entries, 3);
+  assert.equal(fs.readdirSync(path.join(WORKSPACE, ".render-cache")).filter(f => f.endsWith(".png")).length, 3);
+  assert.ok(stats.evictions >= 2);
+});
+
+test("sources that read other files are never cached", async () => {
+  fs.writeFileSync(path.join(WORKSPACE, "part.scad"), "module part() { cube(1); }\n");
+  const scadPath = model("uses", "use <part.scad>\npart();\n");
+  const stlPath = path.join(WORKSPACE, "uses.stl");
+  await renderStl(scadPath, stlPath);
+  await renderStl(scadPath, stlPath);
+  assert.equal(lastJobCached(), false);
+  assert.equal((await renderCacheStats()).uncacheable, 2);
+});